@@ -1,22 +1,50 @@
 /**
  * Email Chronology v1.0.3 - Main Application
- * Email chain viewer for .msg files
+ * Email chain viewer for .msg, .eml, .mbox, Outlook archive and .zip files
  */
 
 import { toastManager } from './toast.js';
 import { ProcessingQueue } from './queue.js';
 import { EmailChain } from './emailChain.js';
-import { parseMsgFile } from './msgParser.js';
+import { parseEmailFile } from './msgParser.js';
 import { DragDropManager } from './dragDropManager.js';
+import { readMailbox } from './mboxParser.js';
+import { PstReader } from './pstReader.js';
+import { PstImportDialog } from './pstImportDialog.js';
+import { ParticipantDialog } from './participantDialog.js';
+import { mergeParticipants, splitParticipantVariant } from './participants.js';
+import { readZipArchive } from './zipReader.js';
+import { createChronologyPdf } from './pdfExporter.js';
+import { createChronologyDocx } from './docxExporter.js';
+import { createIndexCsv, createIndexXlsx } from './indexExporter.js';
+import { downloadBlob, datedFileName } from './download.js';
+import { createProjectFile, readProjectFile } from './projectFile.js';
+import { SessionStore } from './sessionStore.js';
+import { formatFileSize } from './formatters.js';
+import { SUPPORTED_EXTENSIONS, isSupportedFile, describeSupportedTypes, getFileExtension, withRelativePath } from './fileTypes.js';
 
 class EmailChronologyApp {
     constructor() {
-        this.emailChain = new EmailChain();
+        this.emailChain = new EmailChain({
+            onEmailsEdited: (emails, removedEmails) => this.persistEmails(emails, removedEmails)
+        });
         this.queue = new ProcessingQueue(this.processFile.bind(this));
+        this.pstDialog = new PstImportDialog();
+        this.participantDialog = new ParticipantDialog({
+            onMerge: (people) => this.updateParticipants(
+                mergeParticipants(this.emailChain.getParticipantOverrides(), people)),
+            onSplit: (person, key) => this.updateParticipants(
+                splitParticipantVariant(this.emailChain.getParticipantOverrides(), person, key)),
+            formatDate: (date) => this.emailChain.formatDate(date)
+        });
+        this.sessionStore = new SessionStore();
+        this.sessionErrorShown = false;
+        this.storageUsageTimer = null;
 
         this.initializeElements();
         this.initializeEventListeners();
         this.initializeDragDrop();
+        this.restoreSession();
     }
 
     /**
@@ -27,7 +55,23 @@ class EmailChronologyApp {
         this.emailChainEl = document.getElementById('emailChain');
         this.dragOverlay = document.getElementById('dragOverlay');
         this.clearAllBtn = document.getElementById('clearAllBtn');
+        this.htmlViewToggle = document.getElementById('htmlViewToggle');
+        this.threadViewToggle = document.getElementById('threadViewToggle');
+        this.dateOrderSelect = document.getElementById('dateOrder');
+        this.displayTimeZoneSelect = document.getElementById('displayTimeZone');
+        this.exportPdfBtn = document.getElementById('exportPdfBtn');
+        this.exportDocxBtn = document.getElementById('exportDocxBtn');
+        this.exportCsvBtn = document.getElementById('exportCsvBtn');
+        this.exportXlsxBtn = document.getElementById('exportXlsxBtn');
+        this.saveProjectBtn = document.getElementById('saveProjectBtn');
+        this.openProjectBtn = document.getElementById('openProjectBtn');
+        this.projectInput = document.getElementById('projectInput');
+        this.participantsBtn = document.getElementById('participantsBtn');
         this.fileInput = document.getElementById('fileInput');
+        this.fileInput.accept = SUPPORTED_EXTENSIONS.join(',');
+        this.folderInput = document.getElementById('folderInput');
+        this.chooseFolderBtn = document.getElementById('chooseFolderBtn');
+        this.storageUsageEl = document.getElementById('storageUsage');
     }
 
     /**
@@ -37,6 +81,52 @@ class EmailChronologyApp {
         // Clear All button
         this.clearAllBtn.addEventListener('click', () => this.clearAll());
 
+        // Project files
+        this.saveProjectBtn.addEventListener('click', () => this.saveProject());
+        this.openProjectBtn.addEventListener('click', () => this.projectInput.click());
+        this.projectInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Reset so the same project can be opened again
+            if (file) {
+                this.openProject(file);
+            }
+        });
+
+        // Participant directory
+        this.participantsBtn.addEventListener('click', () => {
+            this.participantDialog.show(this.emailChain.getParticipants());
+        });
+
+        // Export buttons
+        this.exportPdfBtn.addEventListener('click', () =>
+            this.exportChronology(createChronologyPdf, 'pdf', 'the PDF'));
+        this.exportDocxBtn.addEventListener('click', () =>
+            this.exportChronology(createChronologyDocx, 'docx', 'the Word document'));
+        this.exportCsvBtn.addEventListener('click', () =>
+            this.exportChronology(createIndexCsv, 'csv', 'the CSV index'));
+        this.exportXlsxBtn.addEventListener('click', () =>
+            this.exportChronology(createIndexXlsx, 'xlsx', 'the Excel index'));
+
+        // Original HTML view for all cards
+        this.htmlViewToggle.addEventListener('change', (e) => {
+            this.emailChain.setShowOriginalHtml(e.target.checked);
+        });
+
+        // Reply tree instead of the chronological timeline
+        this.threadViewToggle.addEventListener('change', (e) => {
+            this.emailChain.setThreadedView(e.target.checked);
+        });
+
+        // Day/month order for numeric dates their chain doesn't settle
+        this.dateOrderSelect.addEventListener('change', (e) => {
+            const { updated, removed } = this.emailChain.setDateOrder(e.target.value);
+            this.persistEmails(updated, removed);
+            this.persistDateSettings();
+        });
+
+        // The chain shows dates in the chosen zone; the choice is kept with the session
+        this.displayTimeZoneSelect.addEventListener('change', () => this.persistDateSettings());
+
         // Initial drop zone click to browse files
         this.initialDropZone.addEventListener('click', () => {
             this.fileInput.click();
@@ -49,6 +139,18 @@ class EmailChronologyApp {
             e.target.value = '';
         });
 
+        // Choose folder button (inside the drop zone, so don't trigger the file browser too)
+        this.chooseFolderBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.folderInput.click();
+        });
+
+        // Folder input change
+        this.folderInput.addEventListener('change', (e) => {
+            this.handleFolder(e.target.files);
+            e.target.value = '';
+        });
+
         // Note: Document-level preventDefault is now in index.html inline script
         // This ensures it runs synchronously before modules load (critical for production)
     }
@@ -62,13 +164,10 @@ class EmailChronologyApp {
             this.initialDropZone,
             (files) => this.handleFiles(files),
             {
-                allowedExtensions: ['.msg'],
-                onInvalidFile: (file) => {
-                    toastManager.showError(
-                        'Invalid File Type',
-                        `"${file.name}" is not a .msg file and will be ignored.`
-                    );
-                }
+                allowedExtensions: SUPPORTED_EXTENSIONS,
+                onInvalidFile: (file) => this.showInvalidFileError(file),
+                onFolderScan: (count) => this.queue.showScanProgress(count),
+                onEmptyFolder: () => this.showNoEmailFilesError('The dropped folder')
             }
         );
 
@@ -80,13 +179,10 @@ class EmailChronologyApp {
                 this.handleFiles(files);
             },
             {
-                allowedExtensions: ['.msg'],
-                onInvalidFile: (file) => {
-                    toastManager.showError(
-                        'Invalid File Type',
-                        `"${file.name}" is not a .msg file and will be ignored.`
-                    );
-                }
+                allowedExtensions: SUPPORTED_EXTENSIONS,
+                onInvalidFile: (file) => this.showInvalidFileError(file),
+                onFolderScan: (count) => this.queue.showScanProgress(count),
+                onEmptyFolder: () => this.showNoEmailFilesError('The dropped folder')
             }
         );
 
@@ -133,55 +229,126 @@ class EmailChronologyApp {
         // Convert to array if needed (DragDropManager already provides arrays)
         const fileArray = Array.isArray(files) ? files : Array.from(files);
 
-        // For file input, filter for .msg files (DragDropManager handles this for drag-drop)
-        const msgFiles = fileArray.filter(file => {
-            const isMsgFile = file.name.toLowerCase().endsWith('.msg');
-            if (!isMsgFile) {
-                toastManager.showError(
-                    'Invalid File Type',
-                    `"${file.name}" is not a .msg file and will be ignored.`
-                );
+        // For file input, filter for supported files (DragDropManager handles this for drag-drop)
+        const emailFiles = fileArray.filter(file => {
+            const isEmailFile = isSupportedFile(file.name);
+            if (!isEmailFile) {
+                this.showInvalidFileError(file);
             }
-            return isMsgFile;
+            return isEmailFile;
         });
 
-        if (msgFiles.length === 0) {
+        if (emailFiles.length === 0) {
             return;
         }
 
         // Add files to processing queue
-        this.queue.addFiles(msgFiles);
+        this.queue.addFiles(emailFiles);
+        this.persist(this.sessionStore.saveSourceFiles(emailFiles));
+    }
+
+    /**
+     * Handle the files of a folder chosen with the folder picker
+     * Unsupported files are skipped silently; supported ones keep their relative path as label
+     * @param {FileList} files - Every file in the chosen folder tree
+     */
+    handleFolder(files) {
+        if (!files || files.length === 0) {
+            return;
+        }
+
+        const emailFiles = Array.from(files)
+            .filter(file => isSupportedFile(file.name))
+            .map(file => withRelativePath(file, file.webkitRelativePath));
+
+        if (emailFiles.length === 0) {
+            this.showNoEmailFilesError('The chosen folder');
+            return;
+        }
+
+        this.queue.addFiles(emailFiles);
+        this.persist(this.sessionStore.saveSourceFiles(emailFiles));
+    }
+
+    /**
+     * Show an error toast for a folder without supported files
+     * @param {string} folder - How to refer to the folder, e.g. "The chosen folder"
+     */
+    showNoEmailFilesError(folder) {
+        toastManager.showError(
+            'No Email Files',
+            `${folder} contains no ${describeSupportedTypes()} files.`
+        );
+    }
+
+    /**
+     * Show an error toast for an unsupported file
+     * @param {File} file - Rejected file
+     */
+    showInvalidFileError(file) {
+        toastManager.showError(
+            'Invalid File Type',
+            `"${file.name}" is not a ${describeSupportedTypes()} file and will be ignored.`
+        );
     }
 
     /**
-     * Process a single .msg file
-     * @param {File} file - File to process
+     * Process a single queued file
+     * Mailboxes, Outlook archives and zips are split into files that are queued individually
+     * @param {File|Blob|Object} file - File or archive message entry to process
      */
     async processFile(file) {
+        // Archive message entries are already individual messages
+        const extension = file.pstReader ? '' : getFileExtension(file.name);
+
+        if (extension === '.mbox') {
+            await this.expandMailbox(file);
+            return;
+        }
+
+        if (extension === '.pst' || extension === '.ost') {
+            await this.importOutlookArchive(file);
+            return;
+        }
+
+        if (extension === '.zip') {
+            await this.expandZipArchive(file);
+            return;
+        }
+
         try {
-            // Parse the .msg file (returns array of emails)
-            const emails = await parseMsgFile(file);
+            // Parse the email file (returns array of emails)
+            const emails = await parseEmailFile(file);
 
-            // Track how many were added vs duplicates
-            let addedCount = 0;
+            // Track which were added vs duplicates
+            const changedEmails = [];
+            const replacedEmails = [];
             let duplicateCount = 0;
 
             // Add each email to the chain
             for (const email of emails) {
-                const added = this.emailChain.addEmail(email);
-                if (added) {
-                    addedCount++;
-                } else {
+                const result = this.emailChain.addEmail(email);
+                if (!result.added) {
                     duplicateCount++;
                 }
+
+                // New emails, duplicates that gained a source, and richer copies that took an email's place
+                if (result.changed) {
+                    changedEmails.push(result.email);
+                }
+                if (result.replaced) {
+                    replacedEmails.push(result.replaced);
+                }
             }
 
+            this.persistEmails(changedEmails, replacedEmails);
+
             // Show notification if there were duplicates
             if (duplicateCount > 0) {
                 const emailWord = duplicateCount === 1 ? 'email' : 'emails';
                 toastManager.showError(
                     'Duplicate Email',
-                    `"${file.name}" contained ${duplicateCount} ${emailWord} that ${duplicateCount === 1 ? 'has' : 'have'} already been added.`
+                    `"${file.name}" contained ${duplicateCount} ${emailWord} that ${duplicateCount === 1 ? 'has' : 'have'} already been added. The file is listed in ${duplicateCount === 1 ? 'its' : 'their'} sources.`
                 );
             }
         } catch (error) {
@@ -193,6 +360,281 @@ class EmailChronologyApp {
         }
     }
 
+    /**
+     * Split an .mbox file and queue its messages ahead of the remaining files
+     * @param {File} file - .mbox file
+     */
+    async expandMailbox(file) {
+        try {
+            const messages = await readMailbox(file);
+
+            if (messages.length === 0) {
+                toastManager.showError(
+                    'Empty Mailbox',
+                    `No messages were found in "${file.name}".`
+                );
+                return;
+            }
+
+            this.queue.insertFiles(messages);
+        } catch (error) {
+            console.error('Error reading mailbox:', error);
+            toastManager.showError(
+                'Parsing Error',
+                `Failed to read mailbox ${file.name}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Let the user pick folders of a .pst/.ost archive and queue the matching messages
+     * @param {File} file - .pst or .ost file
+     */
+    async importOutlookArchive(file) {
+        try {
+            const reader = await PstReader.open(file);
+            const entries = await this.pstDialog.choose(reader);
+
+            if (entries.length > 0) {
+                this.queue.insertFiles(entries);
+            }
+        } catch (error) {
+            console.error('Error reading Outlook archive:', error);
+            toastManager.showError(
+                'Parsing Error',
+                `Failed to read ${file.name}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Unpack a .zip archive and queue the email files it contains
+     * @param {File} file - .zip file
+     */
+    async expandZipArchive(file) {
+        try {
+            const { files, skipped } = await readZipArchive(file);
+
+            if (files.length === 0) {
+                toastManager.showError(
+                    'Empty Archive',
+                    `No ${describeSupportedTypes()} files were found in "${file.name}".`
+                );
+                return;
+            }
+
+            if (skipped > 0) {
+                const fileWord = skipped === 1 ? 'file' : 'files';
+                toastManager.showError(
+                    'Files Skipped',
+                    `${skipped} unsupported or unreadable ${fileWord} in "${file.name}" ${skipped === 1 ? 'was' : 'were'} ignored.`
+                );
+            }
+
+            this.queue.insertFiles(files);
+        } catch (error) {
+            console.error('Error reading zip archive:', error);
+            toastManager.showError(
+                'Parsing Error',
+                `Failed to unpack ${file.name}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Get the emails to export, or explain why there are none
+     * @returns {Array<Object>|null} Emails in chronological order, or null if the chain is empty
+     */
+    getEmailsForExport() {
+        const emails = this.emailChain.getSortedEmails();
+
+        if (emails.length === 0) {
+            toastManager.showError('Nothing to Export', 'Add some emails before exporting the chronology.');
+            return null;
+        }
+
+        return emails;
+    }
+
+    /**
+     * Export the chronology in one of the download formats
+     * @param {Function} createFile - Builds the file: (emails, options) => Blob
+     * @param {string} extension - File extension without the dot
+     * @param {string} description - Format name for error messages, e.g. "the PDF"
+     */
+    exportChronology(createFile, extension, description) {
+        const emails = this.getEmailsForExport();
+        if (!emails) return;
+
+        try {
+            const file = createFile(emails, {
+                formatDate: (date) => this.emailChain.formatDate(date)
+            });
+            downloadBlob(file, datedFileName('email-chronology', extension));
+        } catch (error) {
+            console.error(`Error exporting ${extension}:`, error);
+            toastManager.showError('Export Error', `Failed to create ${description}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save every email in the chain to a project file
+     */
+    saveProject() {
+        const emails = this.getEmailsForExport();
+        if (!emails) return;
+
+        try {
+            const project = createProjectFile(emails, this.emailChain.getParticipantOverrides(), this.emailChain.getDateSettings());
+            downloadBlob(project, datedFileName('email-chronology-project', 'json'));
+        } catch (error) {
+            console.error('Error saving project:', error);
+            toastManager.showError('Save Error', `Failed to save the project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the chain with the emails from a project file
+     * @param {File} file - Project file
+     */
+    async openProject(file) {
+        const count = this.emailChain.getCount();
+        if (count > 0 && !confirm(
+            `Opening "${file.name}" replaces the ${count} email${count !== 1 ? 's' : ''} currently loaded. Continue?`
+        )) {
+            return;
+        }
+
+        try {
+            const project = await readProjectFile(file);
+            this.emailChain.clear();
+            this.queue.clear();
+            this.emailChain.applyDateSettings(project.dateSettings);
+            this.emailChain.addEmails(project.emails);
+            this.emailChain.setParticipantOverrides(project.participants);
+
+            await this.sessionStore.clear();
+            this.persistEmails(project.emails);
+            this.persist(this.sessionStore.saveSetting('participants', project.participants));
+            this.persistDateSettings();
+        } catch (error) {
+            console.error('Error opening project:', error);
+            toastManager.showError('Project Error', `Failed to open ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open the session store and offer to restore the emails saved by the previous session
+     */
+    async restoreSession() {
+        if (!(await this.sessionStore.open())) {
+            return;
+        }
+
+        try {
+            const count = await this.sessionStore.getEmailCount();
+
+            if (count > 0) {
+                const restore = confirm(
+                    `Restore the previous session (${count} email${count !== 1 ? 's' : ''})?\n\n` +
+                    'Cancel starts a new session and discards the saved one.'
+                );
+
+                if (restore) {
+                    // Emails read by the day/month order are keyed by it, so it comes first
+                    this.emailChain.applyDateSettings(await this.sessionStore.loadSetting('dateSettings'));
+                    this.emailChain.addEmails(await this.sessionStore.loadEmails());
+                    const participants = await this.sessionStore.loadSetting('participants');
+                    if (participants) {
+                        this.emailChain.setParticipantOverrides(participants);
+                    }
+                } else {
+                    await this.sessionStore.clear();
+                }
+            }
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            toastManager.showError('Restore Error', `Failed to restore the previous session: ${error.message}`);
+        }
+
+        this.updateStorageUsage();
+    }
+
+    /**
+     * Save emails that were added to the chain to the session store
+     * @param {Array<Object>} emails - Emails added to (or updated in) the chain
+     * @param {Array<Object>} removedEmails - Emails no longer in the chain (default: none)
+     */
+    persistEmails(emails, removedEmails = []) {
+        const entries = emails.map(email => ({ id: this.emailChain.generateEmailId(email), email }));
+        const removedIds = removedEmails.map(email => this.emailChain.generateEmailId(email));
+        this.persist(this.sessionStore.saveEmails(entries, removedIds));
+    }
+
+    /**
+     * Save the day/month order and display time zone with the session
+     */
+    persistDateSettings() {
+        this.persist(this.sessionStore.saveSetting('dateSettings', this.emailChain.getDateSettings()));
+    }
+
+    /**
+     * Apply and save a merge or split from the participant directory
+     * @param {Object} overrides - New participant overrides ({ links, detached })
+     */
+    updateParticipants(overrides) {
+        this.emailChain.setParticipantOverrides(overrides);
+        this.participantDialog.update(this.emailChain.getParticipants());
+        this.persist(this.sessionStore.saveSetting('participants', overrides));
+    }
+
+    /**
+     * Report the outcome of a session store write
+     * Failures (usually a full disk or quota) are shown once, and the app carries on in memory
+     * @param {Promise} write - Pending write
+     */
+    persist(write) {
+        write
+            .then(() => this.scheduleStorageUsageUpdate())
+            .catch(error => {
+                console.error('Error saving session:', error);
+                if (!this.sessionErrorShown) {
+                    this.sessionErrorShown = true;
+                    toastManager.showError(
+                        'Session Not Saved',
+                        `Your work could not be saved in the browser and will be lost when the tab closes: ${error.message}`
+                    );
+                }
+            });
+    }
+
+    /**
+     * Refresh the storage indicator once a burst of writes has settled
+     */
+    scheduleStorageUsageUpdate() {
+        clearTimeout(this.storageUsageTimer);
+        this.storageUsageTimer = setTimeout(() => this.updateStorageUsage(), 1000);
+    }
+
+    /**
+     * Show how much browser storage the saved session uses
+     */
+    async updateStorageUsage() {
+        const estimate = this.sessionStore.isAvailable()
+            ? await this.sessionStore.estimateUsage().catch(() => null)
+            : null;
+
+        if (!estimate) {
+            this.storageUsageEl.classList.add('hidden');
+            return;
+        }
+
+        this.storageUsageEl.textContent = estimate.quota
+            ? `Saved: ${formatFileSize(estimate.usage)} of ${formatFileSize(estimate.quota)}`
+            : `Saved: ${formatFileSize(estimate.usage)}`;
+        this.storageUsageEl.classList.remove('hidden');
+    }
+
     /**
      * Clear all emails and reset the app
      */
@@ -213,10 +655,15 @@ class EmailChronologyApp {
 
         // Clear email chain
         this.emailChain.clear();
+        this.participantDialog.close();
 
         // Clear queue
         this.queue.clear();
 
+        // Forget the saved session; the date settings stay in use, so they are saved again
+        this.persist(this.sessionStore.clear());
+        this.persistDateSettings();
+
         // Clear any toasts
         toastManager.closeAll();
     }
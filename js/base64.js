@@ -0,0 +1,31 @@
+/**
+ * Base64 helpers
+ * Convert binary content for data: URLs and JSON files
+ */
+
+/**
+ * Encode bytes as base64 (in chunks, so large attachments don't overflow the call stack)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 text to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+export function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -3,8 +3,12 @@
  * Handles body extraction (plain text preferred) and attachment processing
  */
 
+import { guessMimeType } from './fileTypes.js';
+import { decodeWithCodepage } from './codepages.js';
+import { decompressRtf, extractHtmlFromRtf, rtfToText } from './rtfDecoder.js';
+
 /**
- * Extract email body (prefer plain text)
+ * Extract email body (prefer plain text, then HTML, then RTF)
  * @param {Object} fileData - Parsed file data
  * @returns {string} Email body
  */
@@ -15,13 +19,58 @@ export function extractBody(fileData) {
     }
 
     // Fall back to HTML body converted to plain text
-    if (fileData.bodyHTML) {
-        return htmlToPlainText(fileData.bodyHTML);
+    const html = extractHtmlBody(fileData);
+    if (html) {
+        return htmlToPlainText(html);
+    }
+
+    // Rich-text-only Outlook items: convert the RTF itself
+    const rtf = decodeCompressedRtf(fileData.compressedRtf);
+    if (rtf) {
+        return rtfToText(rtf);
     }
 
     return '';
 }
 
+/**
+ * Extract the original HTML body, if the message has one
+ * @param {Object} fileData - Parsed file data
+ * @returns {string} HTML source, or empty string
+ */
+export function extractHtmlBody(fileData) {
+    const html = fileData.bodyHTML || fileData.bodyHtml;
+    if (html) {
+        return html;
+    }
+
+    // msgreader exposes binary PR_HTML undecoded
+    if (fileData.html instanceof Uint8Array && fileData.html.length > 0) {
+        return decodeWithCodepage(fileData.html, fileData.internetCodepage);
+    }
+
+    // HTML that Outlook kept encapsulated in the compressed RTF body
+    return extractHtmlFromRtf(decodeCompressedRtf(fileData.compressedRtf));
+}
+
+/**
+ * Decompress an Outlook compressed RTF body
+ * @param {Uint8Array} compressedRtf - PR_RTF_COMPRESSED content
+ * @returns {string} RTF source, or empty string if absent or unreadable
+ */
+function decodeCompressedRtf(compressedRtf) {
+    if (!(compressedRtf instanceof Uint8Array) || compressedRtf.length === 0) {
+        return '';
+    }
+
+    try {
+        return decompressRtf(compressedRtf);
+    } catch (error) {
+        console.error('Error decompressing RTF body:', error);
+        return '';
+    }
+}
+
 /**
  * Convert HTML to plain text (simple conversion)
  * @param {string} html - HTML content
@@ -71,3 +120,41 @@ export function extractAttachments(attachments) {
         .map(att => att.fileName || att.name)
         .filter(Boolean);
 }
+
+/**
+ * Extract attachment files with their content
+ * Entries line up with extractAttachments (same order, same unnamed attachments skipped)
+ * @param {Array} attachments - Attachments array
+ * @param {Function} readContent - Reads an attachment's bytes: (attachment) => Uint8Array
+ * @returns {Array<Object>} Files: { name, mimeType, contentId, size, content }
+ */
+export function extractAttachmentFiles(attachments, readContent) {
+    if (!attachments || !Array.isArray(attachments)) {
+        return [];
+    }
+
+    return attachments
+        .filter(att => att.fileName || att.name)
+        .map(att => {
+            const name = att.fileName || att.name;
+            let content = null;
+
+            try {
+                content = readContent(att) || null;
+            } catch (error) {
+                console.error(`Error reading attachment ${name}:`, error);
+            }
+
+            const declaredType = (att.mimeType || att.attachMimeTag || '').toLowerCase();
+
+            return {
+                name,
+                mimeType: declaredType && declaredType !== 'application/octet-stream'
+                    ? declaredType
+                    : guessMimeType(name),
+                contentId: (att.contentId || att.pidContentId || '').replace(/^<|>$/g, ''),
+                size: content ? content.length : (att.contentLength || 0),
+                content
+            };
+        });
+}
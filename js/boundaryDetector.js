@@ -3,9 +3,14 @@
  * Identifies where individual messages start in a forwarded email chain
  */
 
+import { matchHeaderLine, isHeaderLine, matchAttribution, isSeparatorLine } from './headerLabels.js';
+
 /**
  * Identify all message boundaries in an email body
- * Looks for patterns like "From:", "On [date] ... wrote:", and separator lines
+ * Looks for patterns like "From:", "On [date] ... wrote:" (on one or two lines), and
+ * separator lines ("-----Original Message-----", "Begin forwarded message:"), with header
+ * labels and attributions in any supported language ("De :", "Von:", "Le … a écrit :").
+ * Lines quoted with ">" are left alone; parseForwardedChain unwraps them level by level
  * @param {string} body - Email body text
  * @returns {Array<number>} Array of character positions where messages start
  */
@@ -20,10 +25,11 @@ export function identifyMessageBoundaries(body) {
 
         // Pattern 1: "From:" at start of line (common email header)
         // Make sure there's content after "From:" and check next few lines for other headers
-        if (/^From:\s*\S/i.test(trimmedLine)) {
+        const header = matchHeaderLine(trimmedLine);
+        if (header && header.type === 'from' && header.value.trim()) {
             // Look ahead to see if this is followed by To:/Date:/Cc: within next 5 lines
             const hasOtherHeaders = lines.slice(i + 1, i + 6).some(nextLine =>
-                /^(To|Date|Sent|Cc|Subject):/i.test(nextLine.trim())
+                isHeaderLine(nextLine.trim(), ['to', 'date', 'cc', 'subject'])
             );
 
             if (hasOtherHeaders || boundaries.length === 0) {
@@ -33,12 +39,12 @@ export function identifyMessageBoundaries(body) {
 
         // Pattern 2: "On [date] ... wrote:" (reply/forward indicator)
         // Examples: "On Jul 11, 2025, at 11:22 AM, CENTERLANE TOWING <email> wrote:"
-        if (/^On\s+.+\s+wrote:\s*$/i.test(trimmedLine)) {
+        if (matchAttribution(lines, i)) {
             boundaries.push(charPosition);
         }
 
-        // Pattern 3: Separator lines (20+ underscores or dashes)
-        if (/^[_-]{20,}$/.test(trimmedLine)) {
+        // Pattern 3: Separator lines (20+ underscores or dashes, or a separator phrase)
+        if (isMessageSeparator(trimmedLine)) {
             // The message starts after the separator
             boundaries.push(charPosition + line.length + 1);
         }
@@ -47,5 +53,15 @@ export function identifyMessageBoundaries(body) {
         charPosition += line.length + 1;
     }
 
-    return boundaries;
+    // A separator directly above a "From:" block marks the same position twice
+    return Array.from(new Set(boundaries));
+}
+
+/**
+ * Check whether a line separates a message from the one below it
+ * @param {string} line - Trimmed line
+ * @returns {boolean} True for runs of underscores or dashes and "-----Original Message-----"-style lines
+ */
+export function isMessageSeparator(line) {
+    return /^[_-]{20,}$/.test(line) || isSeparatorLine(line);
 }
@@ -3,14 +3,20 @@
  * Coordinates detection and extraction of individual emails from forwarded chains
  */
 
-import { identifyMessageBoundaries } from './boundaryDetector.js';
+import { identifyMessageBoundaries, isMessageSeparator } from './boundaryDetector.js';
 import { extractEmailFromSection } from './emailExtractor.js';
+import { resolveDateOrders } from './dateOrder.js';
+import { DATE_TOLERANCE_MS } from './emailFingerprint.js';
 
 /**
  * Parse forwarded email chain from email body
- * Detects email threads and extracts individual messages
+ * Detects email threads and extracts individual messages. The containing message comes
+ * first, with its own headers and the text written above the first quoted message, unless
+ * the body merely repeats its headers as the first section. e.g. Carol's reply
+ * "Thanks…\n\nOn Mon … Bob wrote:\n> …\n> On Sun … Alice wrote:\n>> …" gives
+ * [Carol ("Thanks…"), Bob, Alice]
  * @param {Object} email - Email object with body text
- * @param {string} sourceFile - Name of the source .msg file
+ * @param {string} sourceFile - Name of the source file
  * @returns {Array<Object>} Array of individual email objects, or empty array if not a chain
  */
 export function parseForwardedChain(email, sourceFile) {
@@ -29,24 +35,96 @@ export function parseForwardedChain(email, sourceFile) {
     }
 
     const emails = [];
+    extractSections(body, boundaries, sourceFile, emails);
 
-    // Extract each message section
+    // If we successfully extracted multiple emails, return them
+    // Otherwise, return empty array to use the original email
+    if (emails.length <= 1) {
+        return [];
+    }
+
+    // Settle "03/04/2025"-style dates from the rest of the chain
+    resolveDateOrders(emails, email.date);
+
+    const ownText = removeTrailingSeparator(body.substring(0, boundaries[0]).trim());
+    if (ownText || !isSameMessage(email, emails[0])) {
+        return [{ ...email, body: ownText }, ...emails];
+    }
+    return emails;
+}
+
+/**
+ * Check whether a chain's first section is the containing message's own header block
+ * @param {Object} email - Containing message
+ * @param {Object} section - Email extracted from the first section
+ * @returns {boolean} True if both have the same sender and (about) the same date
+ */
+function isSameMessage(email, section) {
+    if (!(email.date instanceof Date) || isNaN(email.date)) return true;
+    if (!(section.date instanceof Date) || Math.abs(section.date - email.date) >= DATE_TOLERANCE_MS) return false;
+
+    const address = (email.from || '').match(/[^\s<>"]+@[^\s<>"]+/);
+    return !address || (section.from || '').toLowerCase().includes(address[0].toLowerCase());
+}
+
+/**
+ * Extract the email in each section of a body, newest first
+ * A message whose body is entirely quoted with ">" (a Gmail or Apple Mail reply below
+ * its attribution) has the quote unwrapped one level: the text up to the next boundary
+ * is the message, and the rest is the older history, split the same way
+ * @param {string} body - Text to split
+ * @param {Array<number>} boundaries - Message boundaries in the text
+ * @param {string} sourceFile - Name of the source file
+ * @param {Array<Object>} emails - Extracted emails are appended here
+ */
+function extractSections(body, boundaries, sourceFile, emails) {
     for (let i = 0; i < boundaries.length; i++) {
         const startPos = boundaries[i];
         const endPos = i < boundaries.length - 1 ? boundaries[i + 1] : body.length;
-        const section = body.substring(startPos, endPos).trim();
+        const section = removeTrailingSeparator(body.substring(startPos, endPos).trim());
 
         if (!section) continue;
 
         // Try to extract email metadata from this section
         const extractedEmail = extractEmailFromSection(section);
-        if (extractedEmail) {
-            extractedEmail.sourceFile = sourceFile;
-            emails.push(extractedEmail);
+        if (!extractedEmail) continue;
+
+        extractedEmail.sourceFile = sourceFile;
+        extractedEmail.splitFromChain = true;
+        extractedEmail.chainIndex = emails.length;
+        emails.push(extractedEmail);
+
+        const quoted = unquote(extractedEmail.body);
+        if (quoted !== null) {
+            const nestedBoundaries = identifyMessageBoundaries(quoted);
+            const ownEnd = nestedBoundaries.length > 0 ? nestedBoundaries[0] : quoted.length;
+            extractedEmail.body = quoted.substring(0, ownEnd).trim();
+            extractSections(quoted, nestedBoundaries, sourceFile, emails);
         }
     }
+}
 
-    // If we successfully extracted multiple emails, return them
-    // Otherwise, return empty array to use the original email
-    return emails.length > 1 ? emails : [];
+/**
+ * Remove the separator line that ends a section (it introduces the next message)
+ * @param {string} section - Trimmed section text
+ * @returns {string} Section without it
+ */
+function removeTrailingSeparator(section) {
+    const lastBreak = section.lastIndexOf('\n');
+    return isMessageSeparator(section.substring(lastBreak + 1).trim())
+        ? section.substring(0, Math.max(lastBreak, 0)).trim()
+        : section;
+}
+
+/**
+ * Remove one level of ">" quoting from text that is quoted throughout
+ * @param {string} text - Text
+ * @returns {string|null} Unquoted text, or null if any non-blank line isn't quoted
+ */
+function unquote(text) {
+    const lines = text.split('\n');
+    if (!lines.some(line => line.trim()) || lines.some(line => line.trim() && !/^\s*>/.test(line))) {
+        return null;
+    }
+    return lines.map(line => line.replace(/^\s*> ?/, '')).join('\n');
 }
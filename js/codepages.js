@@ -0,0 +1,37 @@
+/**
+ * Windows codepage decoding
+ * Maps the codepage numbers used by Outlook and RTF to TextDecoder labels
+ */
+
+// Codepages whose TextDecoder label isn't simply "windows-<n>"
+const CODEPAGE_LABELS = {
+    65001: 'utf-8',
+    20127: 'us-ascii',
+    28591: 'iso-8859-1',
+    28592: 'iso-8859-2',
+    28605: 'iso-8859-15',
+    10000: 'macintosh',
+    932: 'shift_jis',
+    936: 'gbk',
+    949: 'euc-kr',
+    950: 'big5',
+    50220: 'iso-2022-jp',
+    51932: 'euc-jp'
+};
+
+/**
+ * Decode bytes using a Windows codepage
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {number} codepage - Windows codepage (e.g. 65001, 1252)
+ * @returns {string} Decoded text (trailing NULs removed)
+ */
+export function decodeWithCodepage(bytes, codepage) {
+    const label = CODEPAGE_LABELS[codepage] ||
+        (codepage >= 874 && codepage <= 1258 ? `windows-${codepage}` : 'utf-8');
+
+    try {
+        return new TextDecoder(label).decode(bytes).replace(/\0+$/, '');
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(bytes).replace(/\0+$/, '');
+    }
+}
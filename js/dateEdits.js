@@ -0,0 +1,107 @@
+/**
+ * User date corrections
+ * A date the user typed, or a place next to another email, kept in email.dateEdit
+ * beside the date the email was parsed with, so the original stays on record
+ */
+
+import { getFieldValue } from './emailEdits.js';
+
+/**
+ * Get the date an email is shown and ordered by: the user's date, else the parsed one
+ * @param {Object} email - Email object
+ * @returns {Date|null} Date, or null if the email is undated
+ */
+export function getEffectiveDate(email) {
+    const edited = email.dateEdit && email.dateEdit.date;
+    if (isValidDate(edited)) return edited;
+    return isValidDate(email.date) ? email.date : null;
+}
+
+/**
+ * Check whether an email's own date is missing or could not be parsed
+ * @param {Object} email - Email object
+ * @returns {boolean} True if the email has no parsed date
+ */
+export function isUndated(email) {
+    return !isValidDate(email.date);
+}
+
+/**
+ * Order emails chronologically
+ * Emails pinned next to another email follow (or precede) it; undated emails come
+ * last, in the order they were added. A pin whose neighbour is gone, or that
+ * leads round in a circle, is treated as undated
+ * @param {Array<Object>} emails - Emails
+ * @param {Function} findEmail - Looks up a pinned email's neighbour: (id) => email or undefined
+ * @returns {Array<Object>} Emails in order
+ */
+export function orderEmails(emails, findEmail) {
+    const pinned = emails.filter(email => email.dateEdit && email.dateEdit.pin);
+    const placed = emails.filter(email => !pinned.includes(email));
+
+    const ordered = [
+        ...placed.filter(email => getEffectiveDate(email)).sort((a, b) => getEffectiveDate(a) - getEffectiveDate(b)),
+        ...placed.filter(email => !getEffectiveDate(email))
+    ];
+
+    // A pin can only be placed once its neighbour is, so keep going while any move
+    let pending = pinned;
+    while (pending.length > 0) {
+        const remaining = pending.filter(email => {
+            const pin = email.dateEdit.pin;
+            const anchorIndex = ordered.indexOf(findEmail(pin.anchorId));
+            if (anchorIndex === -1) return true;
+
+            ordered.splice(pin.position === 'before' ? anchorIndex : anchorIndex + 1, 0, email);
+            return false;
+        });
+
+        if (remaining.length === pending.length) {
+            ordered.push(...remaining);
+            break;
+        }
+        pending = remaining;
+    }
+
+    return ordered;
+}
+
+/**
+ * Describe an email's date, saying when the user set it and what it was before
+ * e.g. "Tue, Mar 4, 2025, 9:26 AM EST (user-edited; originally undated)"
+ * @param {Object} email - Email object
+ * @param {Function} formatDate - Formats a date for display: (date) => string
+ * @returns {string} Date description
+ */
+export function describeEmailDate(email, formatDate) {
+    const edit = email.dateEdit;
+    const original = isUndated(email) ? describeUndated(email) : formatDate(email.date);
+
+    if (edit && isValidDate(edit.date)) {
+        return `${formatDate(edit.date)} (user-edited; originally ${original.charAt(0).toLowerCase()}${original.slice(1)})`;
+    }
+    if (edit && edit.pin) {
+        return `${original}, placed ${edit.pin.position} "${edit.pin.anchorLabel}" (user-edited)`;
+    }
+    return original;
+}
+
+/**
+ * Name an email for a pin that refers to it
+ * @param {Object} email - Email object
+ * @returns {string} e.g. "Budget — Jane Smith <jane@example.com>"
+ */
+export function describePinAnchor(email) {
+    return `${getFieldValue(email, 'subject') || '(No Subject)'} — ${getFieldValue(email, 'from') || 'Unknown sender'}`;
+}
+
+/**
+ * "Undated", with the date text the email carried if it couldn't be read
+ */
+function describeUndated(email) {
+    return email.dateText ? `Undated (written as "${email.dateText}")` : 'Undated';
+}
+
+function isValidDate(date) {
+    return date instanceof Date && !isNaN(date);
+}
@@ -0,0 +1,118 @@
+/**
+ * Day/month order of numeric dates
+ * Settles quoted dates like "03/04/2025", which are valid read either way, from the
+ * other dates in the same chain
+ */
+
+// Two readings of an ambiguous date are at least a month apart, so a day's slack
+// absorbs any error from an assumed time zone
+const CHRONOLOGY_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const EMAIL_ADDRESS = /[\w.+'-]+@[\w-]+(\.[\w-]+)+/;
+
+/**
+ * Resolve the ambiguous numeric dates of a forwarded chain
+ * An email with two readings (dateReadings) takes, in turn: the order the same sender's
+ * other dates in the chain were written in; the order of every other numeric date in
+ * the chain (one mail client quoted them all); the only reading that keeps the chain in
+ * order. Anything left keeps its month-first reading and is marked as a guess.
+ * Sets dateResolution to 'sender', 'chain', 'chronology' or 'guess'
+ * @param {Array<Object>} emails - Emails split from one chain, newest first
+ * @param {Date|null} latestDate - Date of the message that contains the chain
+ */
+export function resolveDateOrders(emails, latestDate) {
+    const pending = new Set(emails.filter(email => email.dateReadings));
+    if (pending.size === 0) return;
+
+    const chainOrder = agreedOrder(emails);
+    for (const email of pending) {
+        const sender = senderKey(email.from);
+        const senderOrder = sender ? agreedOrder(emails.filter(other => senderKey(other.from) === sender)) : null;
+
+        if (senderOrder) {
+            applyOrder(email, senderOrder, 'sender');
+            pending.delete(email);
+        } else if (chainOrder) {
+            applyOrder(email, chainOrder, 'chain');
+            pending.delete(email);
+        }
+    }
+
+    // Each date settled by chronology can bound its neighbours, so repeat until nothing changes
+    let settled = true;
+    while (settled && pending.size > 0) {
+        settled = false;
+        emails.forEach((email, index) => {
+            if (!pending.has(email)) return;
+
+            const { earliest, latest } = getChainBounds(emails, index, pending, latestDate);
+            const fitting = Object.keys(email.dateReadings).filter(order => {
+                const time = email.dateReadings[order].getTime();
+                return time >= earliest - CHRONOLOGY_TOLERANCE_MS && time <= latest + CHRONOLOGY_TOLERANCE_MS;
+            });
+
+            if (fitting.length === 1) {
+                applyOrder(email, fitting[0], 'chronology');
+                pending.delete(email);
+                settled = true;
+            }
+        });
+    }
+
+    pending.forEach(email => applyOrder(email, 'mdy', 'guess'));
+}
+
+/**
+ * Find the other reading of an ambiguous date
+ * @param {Object} email - Email with dateReadings
+ * @param {string} order - Order currently used ('mdy' or 'dmy')
+ * @returns {Date} The date read the other way
+ */
+export function getAlternativeReading(email, order) {
+    return email.dateReadings[order === 'mdy' ? 'dmy' : 'mdy'];
+}
+
+/**
+ * The day/month order a set of emails' numeric dates agree on
+ * @returns {string|null} 'mdy', 'dmy', or null if there is no evidence or it conflicts
+ */
+function agreedOrder(emails) {
+    const orders = new Set(emails.map(email => email.dateOrder).filter(Boolean));
+    return orders.size === 1 ? orders.values().next().value : null;
+}
+
+/**
+ * The dates an email must fall between: no later than any newer message in the chain
+ * (or the containing message), no earlier than any older one
+ */
+function getChainBounds(emails, index, pending, latestDate) {
+    let earliest = -Infinity;
+    let latest = latestDate instanceof Date && !isNaN(latestDate) ? latestDate.getTime() : Infinity;
+
+    emails.forEach((other, otherIndex) => {
+        if (otherIndex === index || pending.has(other) || !(other.date instanceof Date) || isNaN(other.date)) return;
+
+        const time = other.date.getTime();
+        if (otherIndex < index) {
+            latest = Math.min(latest, time);
+        } else {
+            earliest = Math.max(earliest, time);
+        }
+    });
+
+    return { earliest, latest };
+}
+
+function applyOrder(email, order, resolution) {
+    email.date = email.dateReadings[order];
+    email.dateResolution = resolution;
+}
+
+/**
+ * Identify a sender by address, or by name when the quoted header has none
+ */
+function senderKey(from) {
+    const address = (from || '').match(EMAIL_ADDRESS);
+    if (address) return address[0].toLowerCase();
+    return (from || '').replace(/["']/g, '').trim().toLowerCase();
+}
@@ -0,0 +1,82 @@
+/**
+ * Localized date words
+ * Rewrites French, German, Spanish, Dutch and Portuguese month and weekday names
+ * (and the words around them) as English, so quoted dates from non-English mail
+ * clients parse like English ones
+ */
+
+// English month -> localized names and abbreviations (lowercase; a trailing "." is optional)
+const MONTH_NAMES = {
+    January: ['janvier', 'janv', 'januar', 'jänner', 'januari', 'enero', 'ene', 'janeiro', 'jan'],
+    February: ['février', 'fevrier', 'févr', 'fevr', 'fév', 'februar', 'februari', 'febrero', 'fevereiro', 'fev', 'feb'],
+    March: ['mars', 'märz', 'maerz', 'mär', 'maart', 'mrt', 'marzo', 'março', 'marco', 'mar'],
+    April: ['avril', 'avr', 'abril', 'abr', 'april', 'apr'],
+    May: ['mai', 'mei', 'mayo', 'maio', 'may'],
+    June: ['juin', 'juni', 'junio', 'junho', 'jun'],
+    July: ['juillet', 'juil', 'juli', 'julio', 'julho', 'jul'],
+    August: ['août', 'aout', 'augustus', 'agosto', 'ago', 'august', 'aug'],
+    September: ['septembre', 'septiembre', 'setiembre', 'setembro', 'september', 'sept', 'sep', 'set'],
+    October: ['octobre', 'oktober', 'octubre', 'outubro', 'okt', 'oct', 'out'],
+    November: ['novembre', 'noviembre', 'novembro', 'november', 'nov'],
+    December: ['décembre', 'decembre', 'dezember', 'diciembre', 'dezembro', 'december', 'déc', 'dez', 'dic', 'dec']
+};
+
+// Localized weekday names, only removed at the start of a date
+const WEEKDAY_NAMES = [
+    'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche',
+    'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonnabend', 'sonntag',
+    'lunes', 'martes', 'miércoles', 'miercoles', 'jueves', 'viernes', 'sábado', 'sabado', 'domingo',
+    'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrijdag', 'zaterdag', 'zondag',
+    'segunda-feira', 'terça-feira', 'terca-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira'
+];
+
+// Weekday abbreviations need a "." or "," after them and a day followed by a word, or a
+// month, after that, so "Mar 4, 2025" and "Mar. 4, 2025" keep their month
+const WEEKDAY_ABBREVIATIONS = [
+    'lun', 'mar', 'mer', 'jeu', 'ven', 'sam', 'dim',
+    'mié', 'mie', 'jue', 'vie', 'sáb', 'sab', 'dom',
+    'seg', 'ter', 'qua', 'qui', 'sex',
+    'mo', 'di', 'mi', 'do', 'fr', 'sa', 'so',
+    'ma', 'wo', 'vr', 'za', 'zo'
+];
+
+// Words that join the parts of a date: "6 de enero de 2025 a las 9:26", "um 09:26 Uhr", "à 09:26", "at 9:26 AM"
+const CONNECTOR_WORDS = ['de', 'del', 'à', 'a las', 'a la', 'às', 'um', 'om', 'uhr', 'at'];
+
+const LETTER_BEFORE = '(?<!\\p{L})';
+const LETTER_AFTER = '(?!\\p{L})';
+
+const MONTH_ALTERNATION = Object.values(MONTH_NAMES).flat().sort((a, b) => b.length - a.length).join('|');
+const MONTH_PATTERN = new RegExp(`${LETTER_BEFORE}(${MONTH_ALTERNATION})\\.?${LETTER_AFTER}`, 'giu');
+const WEEKDAY_PATTERN = new RegExp(
+    `^((${WEEKDAY_NAMES.join('|')})\\.?,?|(${WEEKDAY_ABBREVIATIONS.join('|')})(\\.,?|,)` +
+    `(?=\\s+(\\d{1,2}\\.?\\s+\\p{L}|(${MONTH_ALTERNATION})\\.?${LETTER_AFTER})))\\s+`,
+    'iu'
+);
+const CONNECTOR_PATTERN = new RegExp(`${LETTER_BEFORE}(${CONNECTOR_WORDS.join('|')})${LETTER_AFTER}`, 'giu');
+
+const MONTH_LOOKUP = new Map(
+    Object.entries(MONTH_NAMES).flatMap(([english, names]) => names.map(name => [name, english]))
+);
+
+/**
+ * Rewrite a localized date as English
+ * e.g. "lun. 6 janv. 2025 à 09:26" -> "6 January 2025 09:26",
+ * "Montag, 6. Januar 2025 um 09:26 Uhr" -> "6 January 2025 09:26",
+ * "Mar. 4, 2025 10:00 AM" -> "March 4, 2025 10:00 AM" (an English month, not Spanish "mar." for Tuesday)
+ * @param {string} dateStr - Date string
+ * @returns {string} Date string with English month names and no weekday or connector words
+ */
+export function normalizeDateWords(dateStr) {
+    return dateStr
+        .trim()
+        .replace(WEEKDAY_PATTERN, '')
+        .replace(MONTH_PATTERN, (match, name) => MONTH_LOOKUP.get(name.toLowerCase()) || match)
+        .replace(CONNECTOR_PATTERN, ' ')
+        // "6. January" (German day numbers), "09h26" (French times)
+        .replace(/(\d{1,2})\.(?=\s)/g, '$1')
+        .replace(/\b(\d{1,2})h(\d{2})\b/g, '$1:$2')
+        .replace(/\s+,/g, ',')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,234 @@
+/**
+ * Chronology Word export
+ * Writes the sorted emails as an editable .docx document: a heading and a
+ * table of From/To/Cc/Date/Subject rows per email, the body as paragraphs
+ * that keep their line breaks, and a bulleted attachment list
+ */
+
+import { createZip } from './zipWriter.js';
+import { escapeXml } from './xmlText.js';
+import { getEffectiveDate, describeEmailDate } from './dateEdits.js';
+import { describeField } from './emailEdits.js';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const HEADER_LABEL_WIDTH = 1500;   // twentieths of a point
+const HEADER_VALUE_WIDTH = 8580;
+
+/**
+ * Build the chronology .docx
+ * @param {Array<Object>} emails - Emails in chronological order (EmailChain.getSortedEmails)
+ * @param {Object} options - Export options
+ * @param {string} options.title - Document title (default: "Email Chronology")
+ * @param {Function} options.formatDate - Formats a date for display: (date) => string
+ * @returns {Blob} Word document
+ */
+export function createChronologyDocx(emails, options = {}) {
+    const title = options.title || 'Email Chronology';
+    const formatDate = options.formatDate || ((date) => (date ? date.toLocaleString() : 'Unknown Date'));
+
+    const body = [
+        paragraph(title, 'Title'),
+        paragraph(describeChronology(emails, formatDate), 'Subtitle'),
+        ...emails.map((email, index) => emailXml(email, index, emails.length, formatDate))
+    ].join('');
+
+    const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${body}<w:sectPr>` +
+        '<w:pgSz w:w="12240" w:h="15840"/>' +
+        '<w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/>' +
+        '</w:sectPr></w:body></w:document>';
+
+    const zip = createZip([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES },
+        { name: '_rels/.rels', content: PACKAGE_RELATIONSHIPS },
+        { name: 'docProps/core.xml', content: coreProperties(title) },
+        { name: 'word/_rels/document.xml.rels', content: DOCUMENT_RELATIONSHIPS },
+        { name: 'word/document.xml', content: document },
+        { name: 'word/styles.xml', content: STYLES },
+        { name: 'word/numbering.xml', content: NUMBERING }
+    ]);
+
+    return new Blob([zip], { type: DOCX_MIME_TYPE });
+}
+
+/**
+ * One-line summary under the title: count, date range and number of sources
+ * @param {Array<Object>} emails - Emails
+ * @param {Function} formatDate - Date formatter
+ * @returns {string} Summary
+ */
+function describeChronology(emails, formatDate) {
+    const dated = emails.map(getEffectiveDate).filter(Boolean);
+    const sources = new Set(emails.map(email => email.sourceFile || 'Unknown'));
+    const parts = [`${emails.length} email${emails.length !== 1 ? 's' : ''}`];
+
+    if (dated.length > 0) {
+        parts.push(`${formatDate(dated[0])} – ${formatDate(dated[dated.length - 1])}`);
+    }
+    parts.push(`compiled from ${sources.size} source file${sources.size !== 1 ? 's' : ''}`);
+
+    return parts.join(', ');
+}
+
+/**
+ * Markup for one email
+ * @param {Object} email - Email
+ * @param {number} index - Position in the chronology
+ * @param {number} total - Number of emails
+ * @param {Function} formatDate - Date formatter
+ * @returns {string} WordprocessingML
+ */
+function emailXml(email, index, total, formatDate) {
+    const rows = [
+        ['From', describeField(email, 'from')],
+        ['To', describeField(email, 'to')],
+        ['Cc', describeField(email, 'cc')],
+        ['Date', describeEmailDate(email, formatDate)],
+        ['Subject', describeField(email, 'subject') || '(No Subject)']
+    ].filter(([, value]) => value);
+
+    let xml = paragraph(`Email ${index + 1} of ${total}`, 'Heading1');
+    xml += headerTable(rows);
+    xml += bodyParagraphs(email.body || '');
+
+    if (email.attachments && email.attachments.length > 0) {
+        xml += paragraph('Attachments', 'AttachmentsHeading');
+        xml += email.attachments.map(name => paragraph(name, 'AttachmentItem')).join('');
+    }
+
+    xml += paragraph(`Source: ${email.sourceFile || 'Unknown'}`, 'EmailSource');
+    return xml;
+}
+
+/**
+ * Two-column table of header rows: shaded bold label, then value
+ * @param {Array<Array<string>>} rows - [label, value] pairs
+ * @returns {string} WordprocessingML table
+ */
+function headerTable(rows) {
+    const cell = (content, width, shaded) =>
+        `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>` +
+        (shaded ? '<w:shd w:val="clear" w:color="auto" w:fill="EEF1F6"/>' : '') +
+        `</w:tcPr>${content}</w:tc>`;
+
+    const rowsXml = rows.map(([label, value]) =>
+        '<w:tr><w:trPr><w:cantSplit/></w:trPr>' +
+        cell(paragraph(`${label}:`, 'HeaderLabel'), HEADER_LABEL_WIDTH, true) +
+        cell(paragraph(value, 'HeaderValue'), HEADER_VALUE_WIDTH, false) +
+        '</w:tr>'
+    ).join('');
+
+    return '<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/>' +
+        '<w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="D0D5DD"/>' +
+        '<w:bottom w:val="single" w:sz="4" w:space="0" w:color="D0D5DD"/>' +
+        '<w:insideH w:val="single" w:sz="4" w:space="0" w:color="D0D5DD"/></w:tblBorders>' +
+        '<w:tblLayout w:type="fixed"/></w:tblPr>' +
+        `<w:tblGrid><w:gridCol w:w="${HEADER_LABEL_WIDTH}"/><w:gridCol w:w="${HEADER_VALUE_WIDTH}"/></w:tblGrid>` +
+        `${rowsXml}</w:tbl>`;
+}
+
+/**
+ * Split a body into paragraphs at blank lines; single line breaks stay as breaks
+ * @param {string} body - Plain text body
+ * @returns {string} WordprocessingML paragraphs
+ */
+function bodyParagraphs(body) {
+    const blocks = body.replace(/\r\n?/g, '\n').trim().split(/\n[ \t]*\n/);
+    return blocks.map(block => paragraph(block, 'EmailBody')).join('');
+}
+
+/**
+ * A paragraph of plain text; line breaks and tabs become Word breaks and tabs
+ * @param {string} text - Text
+ * @param {string} style - Paragraph style ID
+ * @returns {string} WordprocessingML paragraph
+ */
+function paragraph(text, style) {
+    const runs = String(text).split('\n').map((line, i) => {
+        const pieces = line.split('\t').map(piece =>
+            piece ? `<w:t xml:space="preserve">${escapeXml(piece)}</w:t>` : ''
+        );
+        return (i > 0 ? '<w:br/>' : '') + pieces.join('<w:tab/>');
+    }).join('');
+
+    return `<w:p><w:pPr><w:pStyle w:val="${style}"/></w:pPr><w:r>${runs}</w:r></w:p>`;
+}
+
+/**
+ * Document properties (title and creation time)
+ * @param {string} title - Document title
+ * @returns {string} core.xml
+ */
+function coreProperties(title) {
+    const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(title)}</dc:title>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+        '</cp:coreProperties>';
+}
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>';
+
+const PACKAGE_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    '</Relationships>';
+
+const DOCUMENT_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>' +
+    '</Relationships>';
+
+// Named styles, so users can restyle the whole chronology from Word's style gallery
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACES}>` +
+    '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+    '<w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Subtitle"/><w:qFormat/>' +
+    '<w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:sz w:val="44"/><w:szCs w:val="44"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:spacing w:after="360"/></w:pPr><w:rPr><w:color w:val="666666"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="480" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr>' +
+    '<w:rPr><w:b/><w:caps/><w:color w:val="1A73CC"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:customStyle="1" w:styleId="HeaderLabel"><w:name w:val="Email Header Label"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="40" w:after="40"/></w:pPr><w:rPr><w:b/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:customStyle="1" w:styleId="HeaderValue"><w:name w:val="Email Header Value"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="40" w:after="40"/></w:pPr></w:style>' +
+    '<w:style w:type="paragraph" w:customStyle="1" w:styleId="EmailBody"><w:name w:val="Email Body"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:spacing w:before="120"/></w:pPr></w:style>' +
+    '<w:style w:type="paragraph" w:customStyle="1" w:styleId="AttachmentsHeading"><w:name w:val="Email Attachments Heading"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/></w:pPr><w:rPr><w:b/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:customStyle="1" w:styleId="AttachmentItem"><w:name w:val="Email Attachment"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:numPr><w:numId w:val="1"/></w:numPr><w:spacing w:after="40"/></w:pPr></w:style>' +
+    '<w:style w:type="paragraph" w:customStyle="1" w:styleId="EmailSource"><w:name w:val="Email Source"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:spacing w:before="160"/></w:pPr><w:rPr><w:i/><w:color w:val="666666"/><w:sz w:val="16"/><w:szCs w:val="16"/></w:rPr></w:style>' +
+    '</w:styles>';
+
+// Bullet list definition used by the attachment list
+const NUMBERING = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering ${NAMESPACES}>` +
+    '<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>' +
+    '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>' +
+    '<w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>' +
+    '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+    '</w:numbering>';
@@ -0,0 +1,34 @@
+/**
+ * File download helpers
+ * Saves generated files (exports, projects) from the browser
+ */
+
+/**
+ * Offer a blob to the user as a file download
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * Build a dated file name, e.g. "email-chronology-2024-03-15.pdf"
+ * @param {string} baseName - Name without date or extension
+ * @param {string} extension - Extension without the dot
+ * @returns {string} File name
+ */
+export function datedFileName(baseName, extension) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${baseName}-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.${extension}`;
+}
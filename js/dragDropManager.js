@@ -3,8 +3,11 @@
  *
  * Provides reliable drag-and-drop functionality with visual feedback.
  * Uses a counter-based approach to handle nested elements correctly.
+ * Dropped folders are walked recursively through the DataTransferItem entry API.
  */
 
+import { withRelativePath } from './fileTypes.js';
+
 export class DragDropManager {
     /**
      * Create a new DragDropManager
@@ -14,6 +17,9 @@ export class DragDropManager {
      * @param {string} options.activeClass - CSS class to add when dragging over (default: 'drag-over')
      * @param {string[]} options.allowedExtensions - Allowed file extensions (e.g., ['.msg'])
      * @param {Function} options.onInvalidFile - Callback for invalid files: (file) => void
+     * @param {Function} options.onFolderScan - Callback while walking dropped folders: (filesFound) => void,
+     *                                          called with null once the walk is finished
+     * @param {Function} options.onEmptyFolder - Callback when dropped folders hold no allowed files: () => void
      */
     constructor(dropZone, onFilesDropped, options = {}) {
         this.dropZone = dropZone;
@@ -21,6 +27,8 @@ export class DragDropManager {
         this.activeClass = options.activeClass || 'drag-over';
         this.allowedExtensions = options.allowedExtensions || [];
         this.onInvalidFile = options.onInvalidFile || null;
+        this.onFolderScan = options.onFolderScan || null;
+        this.onEmptyFolder = options.onEmptyFolder || null;
 
         // Counter to track nested drag enter/leave events
         this.dragCounter = 0;
@@ -109,6 +117,15 @@ export class DragDropManager {
         this.dragCounter = 0;
         this.deactivate();
 
+        // Entries must be read synchronously, before the event's data store is cleared
+        const entries = this.getDroppedEntries(e.dataTransfer);
+
+        // Folders have to be walked asynchronously
+        if (entries.some(entry => entry && entry.isDirectory)) {
+            this.handleFolderDrop(entries);
+            return;
+        }
+
         // Get dropped files
         const files = Array.from(e.dataTransfer.files);
 
@@ -116,29 +133,126 @@ export class DragDropManager {
             return;
         }
 
+        this.deliverFiles(files, []);
+    }
+
+    /**
+     * Get the file system entries of the dropped items
+     * @param {DataTransfer} dataTransfer - Drop event data
+     * @returns {Array<FileSystemEntry|null>} Entries (null where the browser has none)
+     */
+    getDroppedEntries(dataTransfer) {
+        return Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+    }
+
+    /**
+     * Collect the files of dropped folders (and any files dropped alongside them)
+     * Files inside folders are labelled with their path relative to the drop
+     * @param {Array<FileSystemEntry|null>} entries - Dropped entries
+     */
+    async handleFolderDrop(entries) {
+        const droppedFiles = [];
+        const folderFiles = [];
+
+        try {
+            for (const entry of entries) {
+                if (!entry) continue;
+
+                if (entry.isDirectory) {
+                    await this.walkDirectory(entry, folderFiles);
+                } else {
+                    droppedFiles.push(await getEntryFile(entry));
+                }
+            }
+        } catch (error) {
+            console.error('Error reading dropped folder:', error);
+        }
+
+        if (this.onFolderScan) {
+            this.onFolderScan(null);
+        }
+
+        if (folderFiles.length === 0 && this.onEmptyFolder) {
+            this.onEmptyFolder();
+        }
+
+        this.deliverFiles(droppedFiles, folderFiles);
+    }
+
+    /**
+     * Recursively add the files of a directory entry
+     * @param {FileSystemDirectoryEntry} directory - Directory to walk
+     * @param {Array<File|Blob>} files - Collected files
+     */
+    async walkDirectory(directory, files) {
+        const reader = directory.createReader();
+        let batch;
+
+        // readEntries returns the children in batches until it returns an empty array
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+            for (const entry of batch) {
+                if (entry.isDirectory) {
+                    await this.walkDirectory(entry, files);
+                } else if (this.isAllowed(entry.name)) {
+                    const file = await getEntryFile(entry);
+                    files.push(withRelativePath(file, entry.fullPath.replace(/^\//, '')));
+
+                    if (this.onFolderScan) {
+                        this.onFolderScan(files.length);
+                    }
+                }
+            }
+        } while (batch.length > 0);
+    }
+
+    /**
+     * Filter and hand over dropped files
+     * Unsupported files dropped directly are reported; those found inside folders are skipped silently
+     * @param {Array<File>} droppedFiles - Files dropped directly
+     * @param {Array<File|Blob>} folderFiles - Supported files found inside dropped folders
+     */
+    deliverFiles(droppedFiles, folderFiles) {
         // Filter files if extensions are specified
         if (this.allowedExtensions.length > 0) {
             const validFiles = [];
 
-            for (const file of files) {
-                const isValid = this.allowedExtensions.some(ext =>
-                    file.name.toLowerCase().endsWith(ext.toLowerCase())
-                );
-
-                if (isValid) {
+            for (const file of droppedFiles) {
+                if (this.isAllowed(file.name)) {
                     validFiles.push(file);
                 } else if (this.onInvalidFile) {
                     this.onInvalidFile(file);
                 }
             }
 
-            if (validFiles.length > 0) {
-                this.onFilesDropped(validFiles);
+            // concat: a large folder has more files than a spread can pass
+            const files = validFiles.concat(folderFiles);
+
+            if (files.length > 0) {
+                this.onFilesDropped(files);
             }
         } else {
             // No filtering, accept all files
-            this.onFilesDropped(files);
+            this.onFilesDropped(droppedFiles.concat(folderFiles));
+        }
+    }
+
+    /**
+     * Check a file name against the allowed extensions
+     * @param {string} fileName - File name
+     * @returns {boolean} True if allowed (or no extensions are configured)
+     */
+    isAllowed(fileName) {
+        if (this.allowedExtensions.length === 0) {
+            return true;
         }
+
+        return this.allowedExtensions.some(ext =>
+            fileName.toLowerCase().endsWith(ext.toLowerCase())
+        );
     }
 
     /**
@@ -163,3 +277,12 @@ export class DragDropManager {
         this.dragCounter = 0;
     }
 }
+
+/**
+ * Get the File behind a file system entry
+ * @param {FileSystemFileEntry} entry - File entry
+ * @returns {Promise<File>} File
+ */
+function getEntryFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
@@ -3,39 +3,286 @@
  * Handles chronological ordering, deduplication, and display of emails
  */
 
+import { formatFileSize } from './formatters.js';
+import { createSandboxDocument } from './htmlSanitizer.js';
+import { bytesToBase64 } from './base64.js';
+import { createFingerprint, isNearDuplicate, richness, DATE_TOLERANCE_MS } from './emailFingerprint.js';
+import { buildThreads, flattenThreads, describeThreadLink } from './threading.js';
+import { DISPLAY_TIME_ZONES, getLocalTimeZone, wallTimeToDate } from './timeZones.js';
+import { getAlternativeReading } from './dateOrder.js';
+import { getEffectiveDate, isUndated, orderEmails, describePinAnchor } from './dateEdits.js';
+import { SearchBar } from './searchBar.js';
+import { isSearchActive, matchesSearch, highlightMatches } from './emailSearch.js';
+import { EDITABLE_FIELDS, FIELD_LABELS, getFieldValue, isFieldEdited, setFieldEdits, mergeEmails, splitEmail, isMergedOrSplit } from './emailEdits.js';
+import { createParticipantOverrides, buildParticipantRegistry, fillMissingAddresses } from './participants.js';
+
+// Attachments are only given their real MIME type (and so opened in the browser)
+// when they are safe to display inline; everything else is served as a download
+const PREVIEW_TYPES = {
+    'image/png': 'image',
+    'image/jpeg': 'image',
+    'image/gif': 'image',
+    'image/bmp': 'image',
+    'image/webp': 'image',
+    'application/pdf': 'pdf',
+    'application/json': 'text'
+};
+
+// Text previews show at most this many bytes
+const TEXT_PREVIEW_LIMIT = 64 * 1024;
+
+// Replies deeper than this are not indented any further
+const MAX_THREAD_INDENT = 6;
+
 export class EmailChain {
-    constructor() {
+    /**
+     * @param {Object} options - Chain options
+     * @param {Function} options.onEmailsEdited - Called after the user edits, merges or splits emails in a card:
+     *   (emails, removedEmails) => void
+     */
+    constructor(options = {}) {
+        this.onEmailsEdited = options.onEmailsEdited || (() => {});
         this.emails = new Map(); // Use Map for deduplication by message ID
+        this.fingerprints = new Map(); // Message ID -> near-duplicate fingerprint
+        this.timeIndex = new Map();    // Minute -> message IDs dated in it
+        this.undatedIds = new Set();
         this.container = document.getElementById('emailChain');
         this.initialDropZone = document.getElementById('initialDropZone');
+        this.attachmentUrls = new Map(); // Attachment file -> object URL
+        this.showOriginalHtml = false;   // Global HTML view toggle
+        this.htmlViewOverrides = new Map(); // Email -> per-card HTML view choice
+        this.threadedView = false;          // Reply tree instead of a flat timeline
+        this.threadEntries = new Map();     // Email -> { depth, parent, link } in the threaded view
+        this.displayTimeZone = '';          // IANA zone dates are shown in; empty for the viewer's own
+        this.displayTimeZoneEl = document.getElementById('displayTimeZone');
+        this.dateOrder = 'mdy';             // How to read numeric dates nothing else settles
+        this.dateOrderEl = document.getElementById('dateOrder');
+        this.guessedPositions = new Set();  // Emails that would move if their date were read the other way
+        this.editingEmails = new Set();     // Emails whose card is in edit mode
+        this.renderedEmails = [];           // Emails in the order their cards are shown
+        this.searchTerms = [];              // Search terms highlighted in the cards
+        this.searchBar = new SearchBar(() => this.render());
+        this.participantOverrides = createParticipantOverrides(); // The user's merges and splits of participants
+        this.participants = buildParticipantRegistry([]);         // Participant directory of the chain
+        this.initializeDisplayTimeZones();
+    }
+
+    /**
+     * Fill the display time zone selector
+     */
+    initializeDisplayTimeZones() {
+        const localZone = getLocalTimeZone();
+        this.displayTimeZoneEl.innerHTML = `<option value="">Local time (${this.escapeHtml(localZone)})</option>` + DISPLAY_TIME_ZONES
+            .filter(zone => zone !== localZone)
+            .map(zone => `<option value="${this.escapeAttribute(zone)}">${this.escapeHtml(zone.replace(/_/g, ' '))}</option>`)
+            .join('');
+        this.displayTimeZoneEl.addEventListener('change', (e) => this.setDisplayTimeZone(e.target.value));
+    }
+
+    /**
+     * Show dates in a time zone
+     * @param {string} timeZone - IANA zone name, or empty string for the viewer's own
+     */
+    setDisplayTimeZone(timeZone) {
+        this.displayTimeZone = timeZone;
+        this.displayTimeZoneEl.value = timeZone;
+        this.render();
+    }
+
+    /**
+     * Get the choices that decide how the chain's dates are read and shown
+     * @returns {Object} { dateOrder, displayTimeZone }
+     */
+    getDateSettings() {
+        return { dateOrder: this.dateOrder, displayTimeZone: this.displayTimeZone };
+    }
+
+    /**
+     * Restore the date choices of a saved session or project
+     * Call it before adding the saved emails: their keys depend on the day/month order
+     * they were saved under
+     * @param {Object} settings - { dateOrder, displayTimeZone }; missing or unknown values fall back to the defaults
+     */
+    applyDateSettings(settings = {}) {
+        this.dateOrder = settings.dateOrder === 'dmy' ? 'dmy' : 'mdy';
+        this.dateOrderEl.value = this.dateOrder;
+
+        // The viewer's own zone is the empty choice, and is not listed a second time
+        const zone = settings.displayTimeZone || '';
+        this.setDisplayTimeZone(DISPLAY_TIME_ZONES.includes(zone) && zone !== getLocalTimeZone() ? zone : '');
     }
 
     /**
      * Add an email to the chain
+     * Exact duplicates are merged into the email already in the chain, and so are
+     * near-duplicates (the same message from its own file and quoted in another
+     * email's chain), keeping the richer copy. Either way the duplicate's source
+     * is recorded in the kept email's sources.
      * @param {Object} email - Parsed email object
-     * @returns {boolean} True if added, false if duplicate
+     * @returns {Object} { added, email, replaced, changed } - added is false for duplicates;
+     *   email is the copy now in the chain; replaced is the less complete copy it displaced,
+     *   if any; changed is true if the chain's copy is new or gained a source
      */
     addEmail(email) {
+        const result = this.insertEmail(email);
+
+        // Re-render the entire chain in chronological order
+        if (result.changed) {
+            this.render();
+        }
+
+        return result;
+    }
+
+    /**
+     * Add several emails at once, rendering the chain a single time
+     * @param {Array<Object>} emails - Parsed email objects
+     * @returns {number} Number of emails added (duplicates are skipped or merged)
+     */
+    addEmails(emails) {
+        let added = 0;
+
+        for (const email of emails) {
+            if (this.insertEmail(email).added) {
+                added++;
+            }
+        }
+
+        this.render();
+        return added;
+    }
+
+    /**
+     * Add an email to the collection without rendering
+     * Emails the user merged or split stand as made: they are not folded into a richer
+     * copy of the same message, and no copy displaces them
+     * @param {Object} email - Parsed email object
+     * @param {Object} options - Insert options
+     * @param {boolean} options.userEdit - The email comes from a merge, split or undo (default: it has mergedFrom or splitFrom)
+     * @returns {Object} { added, email, replaced, changed } (see addEmail)
+     */
+    insertEmail(email, options = {}) {
+        const userEdit = options.userEdit || isMergedOrSplit(email);
+
+        // Numeric dates the chain couldn't settle follow the user's day/month preference
+        if (email.dateResolution === 'guess') {
+            email.date = email.dateReadings[this.dateOrder];
+        }
+
         // Generate a unique identifier for the email
         const emailId = this.generateEmailId(email);
 
-        // Check for duplicates
+        // Emails restored from a project or session already carry their sources
+        if (!email.sources) {
+            email.sources = [getEmailSource(email)];
+        }
+
+        // Check for exact duplicates
         if (this.emails.has(emailId)) {
-            return false; // Duplicate, ignore
+            const existing = this.emails.get(emailId);
+            const changed = mergeSources(existing, email.sources);
+            return { added: false, email: existing, replaced: null, changed };
+        }
+
+        // Check for another copy of the same message
+        const fingerprint = createFingerprint(email);
+        const matchId = userEdit ? null : this.findNearDuplicate(fingerprint);
+
+        if (matchId) {
+            const existing = this.emails.get(matchId);
+            if (isMergedOrSplit(existing) || richness(email) <= richness(existing)) {
+                const changed = mergeSources(existing, email.sources);
+                return { added: false, email: existing, replaced: null, changed };
+            }
+
+            // Keep the richer copy under the original key, listing the places the other was found first
+            const ownSources = email.sources;
+            email.sources = existing.sources.slice();
+            mergeSources(email, ownSources);
+
+            // The user's date correction applies to every copy
+            if (existing.dateEdit && !email.dateEdit) {
+                email.dateEdit = existing.dateEdit;
+            }
+
+            this.unindexFingerprint(matchId);
+            this.emails.set(matchId, email);
+            this.indexFingerprint(matchId, fingerprint);
+            this.htmlViewOverrides.delete(existing);
+            this.releaseAttachmentUrls(existing);
+            return { added: false, email, replaced: existing, changed: true };
         }
 
         // Add to collection
         this.emails.set(emailId, email);
+        this.indexFingerprint(emailId, fingerprint);
+        return { added: true, email, replaced: null, changed: true };
+    }
 
-        // Re-render the entire chain in chronological order
-        this.render();
+    /**
+     * Find an email in the chain that is a near-duplicate of a fingerprint
+     * Only emails dated within the tolerance window (or both undated) are compared
+     * @param {Object} fingerprint - Fingerprint of the new email
+     * @returns {string|null} Key of the matching email
+     */
+    findNearDuplicate(fingerprint) {
+        let candidates;
+
+        if (fingerprint.time === null) {
+            candidates = this.undatedIds;
+        } else {
+            const minute = Math.floor(fingerprint.time / DATE_TOLERANCE_MS);
+            candidates = [minute - 1, minute, minute + 1]
+                .flatMap(bucket => Array.from(this.timeIndex.get(bucket) || []));
+        }
 
-        return true;
+        for (const id of candidates) {
+            if (isNearDuplicate(fingerprint, this.fingerprints.get(id))) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Record an email's fingerprint for near-duplicate lookups
+     * @param {string} id - Email key
+     * @param {Object} fingerprint - Fingerprint
+     */
+    indexFingerprint(id, fingerprint) {
+        this.fingerprints.set(id, fingerprint);
+
+        if (fingerprint.time === null) {
+            this.undatedIds.add(id);
+            return;
+        }
+
+        const bucket = Math.floor(fingerprint.time / DATE_TOLERANCE_MS);
+        if (!this.timeIndex.has(bucket)) {
+            this.timeIndex.set(bucket, new Set());
+        }
+        this.timeIndex.get(bucket).add(id);
+    }
+
+    /**
+     * Forget an email's fingerprint
+     * @param {string} id - Email key
+     */
+    unindexFingerprint(id) {
+        const fingerprint = this.fingerprints.get(id);
+        if (!fingerprint) return;
+
+        this.fingerprints.delete(id);
+        this.undatedIds.delete(id);
+        if (fingerprint.time !== null) {
+            this.timeIndex.get(Math.floor(fingerprint.time / DATE_TOLERANCE_MS))?.delete(id);
+        }
     }
 
     /**
      * Generate a unique identifier for an email
-     * Uses combination of date, subject, from, and first 100 chars of body
+     * Uses combination of date, subject, from, and first 100 chars of body; the part of
+     * a split is added, so a part that reads like another email keeps its own identity
      * @param {Object} email - Email object
      * @returns {string} Unique identifier
      */
@@ -46,6 +293,9 @@ export class EmailChain {
             email.from || '',
             (email.body || '').substring(0, 100)
         ];
+        if (email.splitFrom) {
+            parts.push(`split:${email.splitFrom.group}:${email.splitFrom.part}`);
+        }
         return parts.join('|||');
     }
 
@@ -54,21 +304,185 @@ export class EmailChain {
      */
     clear() {
         this.emails.clear();
+        this.fingerprints.clear();
+        this.timeIndex.clear();
+        this.undatedIds.clear();
+        this.attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+        this.attachmentUrls.clear();
+        this.htmlViewOverrides.clear();
+        this.editingEmails.clear();
+        this.participantOverrides = createParticipantOverrides();
+        this.searchBar.reset();
         this.render();
     }
 
+    /**
+     * Apply the user's merges and splits of participants
+     * @param {Object} overrides - { links, detached } from the participant directory
+     */
+    setParticipantOverrides(overrides) {
+        this.participantOverrides = overrides;
+        this.render();
+    }
+
+    /**
+     * Get the user's merges and splits of participants
+     * @returns {Object} { links, detached }
+     */
+    getParticipantOverrides() {
+        return this.participantOverrides;
+    }
+
+    /**
+     * Get the participant directory of the chain, as of the last render
+     * @returns {Object} { people, lookup } from buildParticipantRegistry
+     */
+    getParticipants() {
+        return this.participants;
+    }
+
+    /**
+     * Switch between the chronological timeline and the reply tree
+     * @param {boolean} threaded - True to show replies nested under the message they answer
+     */
+    setThreadedView(threaded) {
+        this.threadedView = threaded;
+        this.render();
+    }
+
+    /**
+     * Read numeric dates that nothing else settles month first or day first
+     * The affected emails are re-dated (and re-checked for duplicates)
+     * @param {string} order - 'mdy' or 'dmy'
+     * @returns {Object} { updated, removed } - emails whose date changed, and the
+     *   previous copies they replace (for persistence)
+     */
+    setDateOrder(order) {
+        this.dateOrder = order;
+        const updated = [];
+        const removed = [];
+
+        for (const [id, email] of Array.from(this.emails)) {
+            if (email.dateResolution !== 'guess' || email.dateReadings[order].getTime() === email.date.getTime()) {
+                continue;
+            }
+
+            // The key includes the date, so take the email out and add it back
+            const previous = { ...email };
+            removed.push(previous);
+            this.emails.delete(id);
+            this.unindexFingerprint(id);
+
+            const result = this.insertEmail(email);
+            if (result.replaced) {
+                removed.push(result.replaced);
+            }
+            if (result.email !== email) {
+                this.releaseAttachmentUrls(email);
+            }
+            updated.push(result.email);
+            updated.push(...this.repointPins(previous, result.email));
+        }
+
+        this.render();
+        return { updated, removed };
+    }
+
+    /**
+     * Point emails pinned next to an email at its new key
+     * @param {Object} previous - The email as it was keyed before
+     * @param {Object} email - The email as it is keyed now
+     * @returns {Array<Object>} Emails whose pin changed
+     */
+    repointPins(previous, email) {
+        const oldId = this.generateEmailId(previous);
+        const newId = this.generateEmailId(email);
+        if (oldId === newId) return [];
+
+        const repointed = [];
+        this.emails.forEach(other => {
+            const pin = other.dateEdit && other.dateEdit.pin;
+            if (pin && pin.anchorId === oldId) {
+                other.dateEdit = { ...other.dateEdit, pin: { ...pin, anchorId: newId } };
+                repointed.push(other);
+            }
+        });
+        return repointed;
+    }
+
+    /**
+     * Find an email by its key, or by the key it was saved under
+     * @param {string} id - Email key
+     * @returns {Object|undefined} Email
+     */
+    findEmailById(id) {
+        return this.emails.get(id) ||
+            Array.from(this.emails.values()).find(email => this.generateEmailId(email) === id);
+    }
+
+    /**
+     * Find the emails whose place in the timeline depends on a day/month guess
+     * @param {Array<Object>} sortedEmails - Emails in chronological order
+     * @returns {Set<Object>} Emails that would move if their date were read the other way
+     */
+    findGuessedPositions(sortedEmails) {
+        const guessed = new Set();
+        const times = sortedEmails.map(email => (getEffectiveDate(email) ? getEffectiveDate(email).getTime() : 0));
+
+        sortedEmails.forEach((email, index) => {
+            if (email.dateResolution !== 'guess' || email.dateEdit) return;
+
+            const alternative = getAlternativeReading(email, this.dateOrder).getTime();
+            const [low, high] = [Math.min(times[index], alternative), Math.max(times[index], alternative)];
+            if (times.some((time, other) => other !== index && time > low && time < high)) {
+                guessed.add(email);
+            }
+        });
+        return guessed;
+    }
+
+    /**
+     * Get every file emails were found in
+     * @returns {Array<string>} Source file names, sorted
+     */
+    getSourceFiles() {
+        const files = new Set();
+        this.emails.forEach(email => (email.sources || []).forEach(source => files.add(source.file)));
+        return Array.from(files).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Show every card's original HTML body (or go back to plain text)
+     * Resets any per-card choices
+     * @param {boolean} show - True to show original HTML where available
+     */
+    setShowOriginalHtml(show) {
+        this.showOriginalHtml = show;
+        this.htmlViewOverrides.clear();
+        this.render();
+    }
+
+    /**
+     * Check whether a card shows its original HTML body
+     * @param {Object} email - Email object
+     * @returns {boolean} True if the HTML view is active
+     */
+    isShowingHtml(email) {
+        if (!email.bodyHtml) {
+            return false;
+        }
+        return this.htmlViewOverrides.has(email)
+            ? this.htmlViewOverrides.get(email)
+            : this.showOriginalHtml;
+    }
+
     /**
      * Get sorted emails (chronologically, earliest first)
+     * User-set dates and pins count; undated emails come last
      * @returns {Array} Sorted array of emails
      */
     getSortedEmails() {
-        const emailArray = Array.from(this.emails.values());
-
-        return emailArray.sort((a, b) => {
-            const dateA = a.date || new Date(0);
-            const dateB = b.date || new Date(0);
-            return dateA - dateB; // Ascending order (earliest first)
-        });
+        return orderEmails(Array.from(this.emails.values()), (id) => this.findEmailById(id));
     }
 
     /**
@@ -76,11 +490,14 @@ export class EmailChain {
      */
     render() {
         const sortedEmails = this.getSortedEmails();
+        this.participants = buildParticipantRegistry(sortedEmails, this.participantOverrides);
 
         // Toggle visibility of initial drop zone and email chain
         if (sortedEmails.length === 0) {
             this.initialDropZone.classList.remove('hidden');
             this.container.classList.add('hidden');
+            this.searchBar.hide();
+            this.renderedEmails = [];
             return;
         }
 
@@ -89,9 +506,41 @@ export class EmailChain {
 
         // Clear container
         this.container.innerHTML = '';
+        this.container.classList.toggle('email-chain-threaded', this.threadedView);
+        this.threadEntries.clear();
+
+        this.guessedPositions = this.findGuessedPositions(sortedEmails);
+        this.dateOrderEl.classList.toggle('hidden', !sortedEmails.some(email => email.dateResolution === 'guess'));
+        let visibleEmails = sortedEmails;
+
+        // Non-matching cards are left out; the rest keep their chronological order
+        const query = this.searchBar.getQuery(this.displayTimeZone);
+        const searching = isSearchActive(query);
+        if (searching) {
+            visibleEmails = visibleEmails.filter(email => matchesSearch(email, query));
+        }
+        this.searchTerms = query.terms;
+        this.searchBar.update(this.getSourceFiles(), visibleEmails.length, sortedEmails.length, searching);
+
+        if (visibleEmails.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'email-chain-empty';
+            empty.textContent = 'No emails match the search.';
+            this.container.appendChild(empty);
+            this.renderedEmails = [];
+            return;
+        }
+
+        // Depth-first through the reply tree; siblings stay in chronological order
+        if (this.threadedView) {
+            const entries = flattenThreads(buildThreads(visibleEmails));
+            entries.forEach(entry => this.threadEntries.set(entry.email, entry));
+            visibleEmails = entries.map(entry => entry.email);
+        }
 
         // Render each email as an individual card with alternating alignment
-        sortedEmails.forEach((email, index) => {
+        this.renderedEmails = visibleEmails;
+        visibleEmails.forEach((email, index) => {
             const emailCard = this.createEmailCard(email, index);
             this.container.appendChild(emailCard);
         });
@@ -99,15 +548,32 @@ export class EmailChain {
 
     /**
      * Create an individual email card with alternating alignment
+     * In the threaded view cards are indented by reply depth instead
      * @param {Object} email - Email object
      * @param {number} index - Index of the email for alternating alignment
      * @returns {HTMLElement} Email card element
      */
     createEmailCard(email, index) {
         const cardDiv = document.createElement('div');
-        // Alternate between left and right alignment
-        const alignmentClass = index % 2 === 0 ? 'email-card-left' : 'email-card-right';
-        cardDiv.className = `email-card ${alignmentClass}`;
+        const threadEntry = this.threadEntries.get(email);
+        if (threadEntry) {
+            cardDiv.className = 'email-card email-card-threaded';
+            cardDiv.style.setProperty('--thread-depth', Math.min(threadEntry.depth, MAX_THREAD_INDENT));
+        } else {
+            // Alternate between left and right alignment
+            const alignmentClass = index % 2 === 0 ? 'email-card-left' : 'email-card-right';
+            cardDiv.className = `email-card ${alignmentClass}`;
+        }
+        cardDiv.dataset.index = index;
+
+        // Which message this one answers
+        if (threadEntry && threadEntry.parent) {
+            const replyLabel = document.createElement('div');
+            replyLabel.className = 'email-thread-reply';
+            replyLabel.textContent = `↳ Reply to ${getFieldValue(threadEntry.parent, 'from') || 'Unknown sender'}`;
+            replyLabel.title = `Linked by ${describeThreadLink(threadEntry.link)}`;
+            cardDiv.appendChild(replyLabel);
+        }
 
         // Add source file badge
         const sourceFile = email.sourceFile || 'Unknown';
@@ -116,13 +582,73 @@ export class EmailChain {
         sourceBadge.textContent = sourceFile;
         cardDiv.appendChild(sourceBadge);
 
-        // Add email content
+        // Every other place the email was found
+        const provenance = this.createProvenanceElement(email);
+        if (provenance) {
+            cardDiv.appendChild(provenance);
+        }
+
+        // Manual corrections: what was merged or split
+        const history = this.createEditHistoryElement(email);
+        if (history) {
+            cardDiv.appendChild(history);
+        }
+
+        // Edit mode: correct the header fields, merge with a neighbour or split the body
+        const editToggle = document.createElement('button');
+        editToggle.className = 'email-edit-toggle';
+        editToggle.textContent = this.editingEmails.has(email) ? 'Close editor' : 'Edit email';
+        cardDiv.appendChild(editToggle);
+        cardDiv.classList.toggle('email-card-editing', this.editingEmails.has(email));
+
+        // Per-card switch between plain text and the original HTML
+        if (email.bodyHtml && !this.editingEmails.has(email)) {
+            const htmlToggle = document.createElement('button');
+            htmlToggle.className = 'email-html-toggle';
+            htmlToggle.textContent = this.isShowingHtml(email) ? 'Plain text' : 'Original HTML';
+            cardDiv.appendChild(htmlToggle);
+        }
+
+        // Add email content, with search hits highlighted
         const emailContent = this.createEmailElement(email);
+        highlightMatches(emailContent, this.searchTerms);
         cardDiv.appendChild(emailContent);
 
+        // Attachment previews and inline image links
+        cardDiv.addEventListener('click', (e) => this.handleCardClick(e, email, cardDiv));
+
         return cardDiv;
     }
 
+    /**
+     * Create the expandable "found in N files" list
+     * @param {Object} email - Email object
+     * @returns {HTMLElement|null} Details element, or null if the email was found only once
+     */
+    createProvenanceElement(email) {
+        const sources = email.sources || [];
+        if (sources.length < 2) {
+            return null;
+        }
+
+        const fileCount = new Set(sources.map(source => source.file)).size;
+        const details = document.createElement('details');
+        details.className = 'email-provenance';
+
+        const items = sources.map(source => {
+            const position = source.chainIndex === null
+                ? 'original message'
+                : `quoted in chain, position ${source.chainIndex + 1}`;
+            return `<li><span class="email-provenance-file">${this.escapeHtml(source.file)}</span> — ${position}</li>`;
+        }).join('');
+
+        details.innerHTML = `
+            <summary>Found in ${fileCount} file${fileCount !== 1 ? 's' : ''}${fileCount !== sources.length ? ` (${sources.length} copies)` : ''}</summary>
+            <ul>${items}</ul>
+        `;
+        return details;
+    }
+
     /**
      * Create an email element
      * @param {Object} email - Email object
@@ -132,8 +658,13 @@ export class EmailChain {
         const div = document.createElement('div');
         div.className = 'email-item';
 
+        if (this.editingEmails.has(email)) {
+            return this.createEditElement(email, div);
+        }
+
+        const showHtml = this.isShowingHtml(email);
         const headerHtml = this.createHeaderHtml(email);
-        const bodyHtml = this.createBodyHtml(email);
+        const bodyHtml = showHtml ? '<div class="email-body-html"></div>' : this.createBodyHtml(email);
         const attachmentsHtml = this.createAttachmentsHtml(email);
 
         div.innerHTML = `
@@ -144,41 +675,110 @@ export class EmailChain {
             ${attachmentsHtml}
         `;
 
+        if (showHtml) {
+            div.querySelector('.email-body-html').appendChild(this.createHtmlFrame(email));
+        }
+
         return div;
     }
 
     /**
-     * Create header HTML
+     * Create a sandboxed frame showing the email's original HTML body
+     * The frame may not run scripts; same-origin is only allowed so the card can size it
      * @param {Object} email - Email object
-     * @returns {string} Header HTML
+     * @returns {HTMLIFrameElement} Frame element
      */
-    createHeaderHtml(email) {
-        const meta = [];
+    createHtmlFrame(email) {
+        const frame = document.createElement('iframe');
+        frame.className = 'email-body-frame';
+        frame.setAttribute('sandbox', 'allow-same-origin');
+        frame.setAttribute('referrerpolicy', 'no-referrer');
+        frame.title = `Original HTML: ${email.subject || '(No Subject)'}`;
+        frame.srcdoc = createSandboxDocument(
+            email.bodyHtml,
+            (contentId) => this.getInlineImageDataUrl(email, contentId)
+        );
 
-        if (email.from) {
-            meta.push({ label: 'From:', value: email.from });
-        }
+        // Grow the frame to its content so the card scrolls with the chain
+        frame.addEventListener('load', () => {
+            const doc = frame.contentDocument;
+            if (doc && doc.documentElement) {
+                frame.style.height = `${doc.documentElement.scrollHeight}px`;
+                doc.addEventListener('click', (e) => this.handleFrameLinkClick(e));
+            }
+        });
+
+        return frame;
+    }
+
+    /**
+     * Open a link clicked in an original HTML body in a new tab, once the user agrees
+     * The frame itself never navigates, so the email stays offline and in place
+     * @param {MouseEvent} e - Click event inside the frame
+     */
+    handleFrameLinkClick(e) {
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (!link) return;
 
-        if (email.to) {
-            meta.push({ label: 'To:', value: email.to });
+        e.preventDefault();
+        const href = link.getAttribute('href');
+        if (confirm(`This link in the email leads to:\n\n${href}\n\nOpen it in a new tab?`)) {
+            window.open(href, '_blank', 'noopener,noreferrer');
         }
+    }
 
-        if (email.cc) {
-            meta.push({ label: 'Cc:', value: email.cc });
+    /**
+     * Resolve a cid: image reference to a data: URL from the email's own attachments
+     * @param {Object} email - Email object
+     * @param {string} contentId - Content-ID without "cid:"
+     * @returns {string|null} data: URL, or null if no matching image attachment
+     */
+    getInlineImageDataUrl(email, contentId) {
+        const files = email.attachmentFiles || [];
+        const file = files[this.findInlineAttachment(files, contentId)];
+
+        if (!file || !file.content || !file.mimeType.startsWith('image/')) {
+            return null;
         }
 
-        if (email.date) {
-            meta.push({
-                label: 'Date:',
-                value: this.formatDate(email.date)
-            });
+        return `data:${file.mimeType};base64,${bytesToBase64(file.content)}`;
+    }
+
+    /**
+     * Create header HTML
+     * @param {Object} email - Email object
+     * @returns {string} Header HTML
+     */
+    createHeaderHtml(email) {
+        const meta = [];
+
+        // Names quoted without an address get the one the participant directory knows
+        for (const field of ['from', 'to', 'cc']) {
+            const value = getFieldValue(email, field);
+            if (value) {
+                const { text, filled } = fillMissingAddresses(this.participants, value);
+                const badge = this.createFieldBadgeHtml(email, field) + (filled
+                    ? `<span class="email-date-badge" title="${this.escapeAttribute(`Written as "${value}"; address from the participant directory`)}">address added</span>`
+                    : '');
+                meta.push({ label: `${FIELD_LABELS[field]}:`, value: text, badge });
+            }
         }
 
+        // Always shown, so undated emails are marked and every date can be corrected
+        const date = getEffectiveDate(email);
+        meta.push({
+            label: 'Date:',
+            value: (date ? this.formatDate(date) : 'Undated') +
+                (email.dateEdit && email.dateEdit.pin ? ` · placed ${email.dateEdit.pin.position} "${email.dateEdit.pin.anchorLabel}"` : ''),
+            badge: this.createDateBadgesHtml(email) +
+                '<button type="button" class="email-date-edit-btn" title="Set or correct this date">Edit</button>'
+        });
+
         const metaHtml = meta
-            .map(({ label, value }) => `
+            .map(({ label, value, badge }) => `
                 <div class="email-meta-row">
                     <span class="email-meta-label">${this.escapeHtml(label)}</span>
-                    <span class="email-meta-value">${this.escapeHtml(value)}</span>
+                    <span class="email-meta-value">${this.escapeHtml(value)}${badge || ''}</span>
                 </div>
             `)
             .join('');
@@ -187,8 +787,221 @@ export class EmailChain {
             <div class="email-meta">
                 ${metaHtml}
             </div>
-            <div class="email-subject">${this.escapeHtml(email.subject || '(No Subject)')}</div>
+            <div class="email-subject">${this.escapeHtml(getFieldValue(email, 'subject') || '(No Subject)')}${this.createFieldBadgeHtml(email, 'subject')}</div>
+        `;
+    }
+
+    /**
+     * Create the badge that marks a header field the user corrected
+     * @param {Object} email - Email object
+     * @param {string} field - One of EDITABLE_FIELDS
+     * @returns {string} Badge HTML (empty if the field is as parsed)
+     */
+    createFieldBadgeHtml(email, field) {
+        if (!isFieldEdited(email, field)) {
+            return '';
+        }
+        const parsed = email[field] ? `Parsed as "${email[field]}"` : 'Empty when parsed';
+        return `<span class="email-date-badge email-date-badge-edited" title="${this.escapeAttribute(parsed)}">user-edited</span>`;
+    }
+
+    /**
+     * Create the note saying an email was merged from two, or split from one
+     * @param {Object} email - Email object
+     * @returns {HTMLElement|null} Note element, or null if neither
+     */
+    createEditHistoryElement(email) {
+        let text;
+        if (email.mergedFrom) {
+            text = `Merged by the user from ${email.mergedFrom.length} extracted emails`;
+        } else if (email.splitFrom) {
+            text = `Split by the user from one extracted email (part ${email.splitFrom.part} of 2)`;
+        } else {
+            return null;
+        }
+
+        const note = document.createElement('div');
+        note.className = 'email-edit-history';
+        note.textContent = text;
+        return note;
+    }
+
+    /**
+     * Fill an email element with the card's edit mode: a form for the header fields,
+     * merge and undo buttons, and the body as lines to split at
+     * @param {Object} email - Email being edited
+     * @param {HTMLElement} div - Email element to fill
+     * @returns {HTMLElement} The email element
+     */
+    createEditElement(email, div) {
+        const date = getEffectiveDate(email);
+        const fieldsHtml = EDITABLE_FIELDS.map(field => `
+            <label class="email-edit-field">
+                <span>${FIELD_LABELS[field]}</span>
+                <input type="text" name="${field}" value="${this.escapeAttribute(getFieldValue(email, field))}"
+                    placeholder="${this.escapeAttribute(email[field] ? `Parsed: ${email[field]}` : '')}">
+            </label>
+        `).join('');
+        const lines = (email.body || '').split('\n');
+        const linesHtml = lines.map((line, i) => i === 0
+            ? `<li>${this.escapeHtml(line) || '&nbsp;'}</li>`
+            : `<li class="email-split-line" data-line="${i}" title="Split here: this line starts a new email">${this.escapeHtml(line) || '&nbsp;'}</li>`
+        ).join('');
+
+        const button = (action, label, enabled = true) =>
+            `<button type="button" data-edit-action="${action}"${enabled ? '' : ' disabled'}>${label}</button>`;
+
+        div.innerHTML = `
+            <form class="email-edit-form">
+                ${fieldsHtml}
+                <label class="email-edit-field">
+                    <span>Date</span>
+                    <input type="datetime-local" name="date" value="${date ? this.toDateTimeInputValue(date) : ''}">
+                </label>
+                <div class="email-edit-actions">
+                    <button type="submit">Save fields</button>
+                    ${button('merge-previous', 'Merge with previous', Boolean(this.findMergePartner(email, -1)))}
+                    ${button('merge-next', 'Merge with next', Boolean(this.findMergePartner(email, 1)))}
+                    ${email.fieldEdits ? button('restore-fields', 'Restore parsed fields') : ''}
+                    ${email.mergedFrom ? button('undo-merge', 'Undo merge') : ''}
+                    ${this.findSplitPartner(email) ? button('undo-split', 'Undo split') : ''}
+                </div>
+                <div class="email-edit-note">Times are in ${this.escapeHtml(this.displayTimeZone || getLocalTimeZone())}. Click a line of the body to split the email there.</div>
+            </form>
+            <ol class="email-split-lines">${linesHtml}</ol>
         `;
+
+        const form = div.querySelector('.email-edit-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveFieldEdits(email, form);
+        });
+
+        return div;
+    }
+
+    /**
+     * Apply the edit form's header fields and date to an email
+     * @param {Object} email - Email being edited
+     * @param {HTMLFormElement} form - Edit form
+     */
+    saveFieldEdits(email, form) {
+        const values = {};
+        EDITABLE_FIELDS.forEach(field => { values[field] = form.elements[field].value.trim(); });
+        let changed = setFieldEdits(email, values);
+
+        // Only a date the user actually changed becomes a correction
+        const dateValue = form.elements.date.value;
+        const date = getEffectiveDate(email);
+        if (dateValue && dateValue !== (date ? this.toDateTimeInputValue(date) : '')) {
+            const typed = this.parseDateTimeInputValue(dateValue);
+            if (typed) {
+                email.dateEdit = { date: typed, pin: null, editedAt: new Date() };
+                changed = true;
+            }
+        }
+
+        this.editingEmails.delete(email);
+        this.render();
+        if (changed) {
+            this.onEmailsEdited([email], []);
+        }
+    }
+
+    /**
+     * Handle a click on an edit mode button or body line
+     * @param {Object} email - Email being edited
+     * @param {string} action - Button action, or 'split'
+     * @param {number} line - Body line to split at (for 'split')
+     */
+    handleEditAction(email, action, line) {
+        switch (action) {
+            case 'merge-previous': {
+                const previous = this.findMergePartner(email, -1);
+                this.replaceEmails([previous, email], [mergeEmails(previous, email)]);
+                break;
+            }
+            case 'merge-next': {
+                const next = this.findMergePartner(email, 1);
+                this.replaceEmails([email, next], [mergeEmails(email, next)]);
+                break;
+            }
+            case 'split':
+                this.replaceEmails([email], splitEmail(email, line));
+                break;
+            case 'undo-merge':
+                this.replaceEmails([email], email.mergedFrom);
+                break;
+            case 'undo-split':
+                this.replaceEmails([email, this.findSplitPartner(email)], [email.splitFrom.original]);
+                break;
+            case 'restore-fields':
+                delete email.fieldEdits;
+                this.render();
+                this.onEmailsEdited([email], []);
+                break;
+        }
+    }
+
+    /**
+     * Find the email next to another in time, whatever the search or threaded view shows beside it
+     * @param {Object} email - Email in the chain
+     * @param {number} offset - -1 for the previous email, 1 for the next
+     * @returns {Object|undefined} The neighbouring email, if there is one
+     */
+    findMergePartner(email, offset) {
+        const sortedEmails = this.getSortedEmails();
+        const index = sortedEmails.indexOf(email);
+        return index === -1 ? undefined : sortedEmails[index + offset];
+    }
+
+    /**
+     * Find the other half of a split email
+     * @param {Object} email - Email object
+     * @returns {Object|undefined} The email cut from the same original, if still in the chain
+     */
+    findSplitPartner(email) {
+        if (!email.splitFrom) return undefined;
+        return Array.from(this.emails.values()).find(other =>
+            other !== email && other.splitFrom && other.splitFrom.group === email.splitFrom.group
+        );
+    }
+
+    /**
+     * Replace emails in the chain with the result of a merge, split or undo
+     * Pins to a replaced email move to the first replacement, and the new emails stay in edit mode
+     * @param {Array<Object>} oldEmails - Emails to take out
+     * @param {Array<Object>} newEmails - Emails to put in
+     */
+    replaceEmails(oldEmails, newEmails) {
+        oldEmails.forEach(email => this.removeEmail(email));
+
+        const results = newEmails.map(email => this.insertEmail(email, { userEdit: true }));
+        const added = results.map(result => result.email);
+        const removed = [...oldEmails, ...results.map(result => result.replaced).filter(Boolean)];
+        const repointed = oldEmails.flatMap(email => this.repointPins(email, added[0]));
+
+        oldEmails.forEach(email => this.editingEmails.delete(email));
+        added.forEach(email => this.editingEmails.add(email));
+
+        this.render();
+        this.onEmailsEdited([...added, ...repointed], removed);
+    }
+
+    /**
+     * Take an email out of the chain
+     * @param {Object} email - Email in the chain
+     */
+    removeEmail(email) {
+        for (const [id, other] of this.emails) {
+            if (other === email) {
+                this.emails.delete(id);
+                this.unindexFingerprint(id);
+                this.htmlViewOverrides.delete(email);
+                this.releaseAttachmentUrls(email);
+                return;
+            }
+        }
     }
 
     /**
@@ -201,7 +1014,48 @@ export class EmailChain {
             return '';
         }
 
-        return `<div class="email-body">${this.escapeHtml(email.body)}</div>`;
+        const bodyHtml = this.linkInlineImages(this.escapeHtml(email.body), email.attachmentFiles || []);
+
+        return `<div class="email-body">${bodyHtml}</div>`;
+    }
+
+    /**
+     * Turn Outlook's "[cid:image001.png@01D9...]" placeholders into links to the inline image
+     * @param {string} bodyHtml - Escaped body text
+     * @param {Array<Object>} files - The email's attachment files
+     * @returns {string} Body HTML with placeholders linked
+     */
+    linkInlineImages(bodyHtml, files) {
+        if (files.length === 0) {
+            return bodyHtml;
+        }
+
+        return bodyHtml.replace(/\[cid:([^\]\s]+)\]/gi, (placeholder, contentId) => {
+            const index = this.findInlineAttachment(files, contentId);
+            if (index === -1) {
+                return placeholder;
+            }
+
+            return `<a href="#" class="email-cid-link" data-attachment-index="${index}">[image: ${this.escapeHtml(files[index].name)}]</a>`;
+        });
+    }
+
+    /**
+     * Find the attachment a cid: reference points to
+     * @param {Array<Object>} files - Attachment files
+     * @param {string} contentId - Content-ID without "cid:"
+     * @returns {number} Attachment index, or -1
+     */
+    findInlineAttachment(files, contentId) {
+        const id = contentId.toLowerCase();
+        const byId = files.findIndex(file => file.contentId && file.contentId.toLowerCase() === id);
+        if (byId !== -1) {
+            return byId;
+        }
+
+        // Some clients use the file name as the Content-ID prefix ("image001.png@01D9...")
+        const name = id.split('@')[0];
+        return files.findIndex(file => file.name.toLowerCase() === name);
     }
 
     /**
@@ -210,13 +1064,16 @@ export class EmailChain {
      * @returns {string} Attachments HTML
      */
     createAttachmentsHtml(email) {
-        if (!email.attachments || email.attachments.length === 0) {
+        const files = email.attachmentFiles || [];
+
+        if (files.length === 0 && (!email.attachments || email.attachments.length === 0)) {
             return '';
         }
 
-        const attachmentsList = email.attachments
-            .map(name => `<li>${this.escapeHtml(name)}</li>`)
-            .join('');
+        // Emails split out of a chain only know their attachments by name
+        const attachmentsList = files.length > 0
+            ? files.map((file, index) => this.createAttachmentItemHtml(file, index, email)).join('')
+            : email.attachments.map(name => `<li>${this.escapeHtml(name)}</li>`).join('');
 
         return `
             <div class="email-attachments">
@@ -229,7 +1086,375 @@ export class EmailChain {
     }
 
     /**
-     * Format date for display
+     * Create the HTML for one attachment: download link, size, type and preview
+     * @param {Object} file - Attachment file
+     * @param {number} index - Attachment index
+     * @param {Object} email - Email the attachment belongs to
+     * @returns {string} List item HTML
+     */
+    createAttachmentItemHtml(file, index, email) {
+        const name = this.escapeHtml(file.name);
+        const meta = [formatFileSize(file.size), file.mimeType];
+
+        if (file.contentId && this.isInlineImage(file, email)) {
+            meta.push('inline image in this email');
+        }
+
+        if (!file.content) {
+            meta.push('content not available');
+            return `
+                <li class="email-attachment" data-attachment-index="${index}">
+                    <span class="email-attachment-name">${name}</span>
+                    <span class="email-attachment-meta">${this.escapeHtml(meta.join(' · '))}</span>
+                </li>
+            `;
+        }
+
+        const url = this.getAttachmentUrl(file);
+        const previewKind = this.getPreviewKind(file);
+        let previewHtml = '';
+
+        if (previewKind === 'image') {
+            previewHtml = `<img class="email-attachment-image" src="${url}" alt="${this.escapeAttribute(file.name)}" loading="lazy">`;
+        } else if (previewKind) {
+            previewHtml = `
+                <button class="email-attachment-preview-btn" data-attachment-index="${index}">Preview</button>
+                <div class="email-attachment-preview hidden"></div>
+            `;
+        }
+
+        return `
+            <li class="email-attachment" data-attachment-index="${index}">
+                <a class="email-attachment-link" href="${url}" download="${this.escapeAttribute(file.name)}">${name}</a>
+                <span class="email-attachment-meta">${this.escapeHtml(meta.join(' · '))}</span>
+                ${previewHtml}
+            </li>
+        `;
+    }
+
+    /**
+     * Check whether an attachment is an image referenced from the email's body
+     * @param {Object} file - Attachment file
+     * @param {Object} email - Email object
+     * @returns {boolean} True for inline images
+     */
+    isInlineImage(file, email) {
+        const reference = `cid:${file.contentId.toLowerCase()}`;
+        return file.mimeType.startsWith('image/') &&
+            ((email.body || '').toLowerCase().includes(reference) ||
+                (email.bodyHtml || '').toLowerCase().includes(reference));
+    }
+
+    /**
+     * Decide how an attachment can be previewed
+     * @param {Object} file - Attachment file
+     * @returns {string|null} 'image', 'pdf', 'text', or null for download only
+     */
+    getPreviewKind(file) {
+        if (PREVIEW_TYPES[file.mimeType]) {
+            return PREVIEW_TYPES[file.mimeType];
+        }
+        return file.mimeType.startsWith('text/') ? 'text' : null;
+    }
+
+    /**
+     * Get (or create) the object URL serving an attachment's bytes
+     * @param {Object} file - Attachment file
+     * @returns {string} Object URL
+     */
+    getAttachmentUrl(file) {
+        if (!this.attachmentUrls.has(file)) {
+            // Text is served as plain text so HTML/SVG attachments can never run as pages
+            const kind = this.getPreviewKind(file);
+            const type = kind === 'text' ? 'text/plain' : (kind ? file.mimeType : 'application/octet-stream');
+            this.attachmentUrls.set(file, URL.createObjectURL(new Blob([file.content], { type })));
+        }
+        return this.attachmentUrls.get(file);
+    }
+
+    /**
+     * Revoke the object URLs of an email that left the chain
+     * Files another email in the chain still shows keep theirs
+     * @param {Object} email - Email no longer in the chain
+     */
+    releaseAttachmentUrls(email) {
+        const inUse = new Set(Array.from(this.emails.values()).flatMap(other => other.attachmentFiles || []));
+        for (const file of email.attachmentFiles || []) {
+            if (this.attachmentUrls.has(file) && !inUse.has(file)) {
+                URL.revokeObjectURL(this.attachmentUrls.get(file));
+                this.attachmentUrls.delete(file);
+            }
+        }
+    }
+
+    /**
+     * Handle clicks on the HTML view toggle, attachment preview buttons and inline image links
+     * @param {Event} e - Click event
+     * @param {Object} email - Email shown in the card
+     * @param {HTMLElement} cardDiv - Email card
+     */
+    handleCardClick(e, email, cardDiv) {
+        if (e.target.closest('.email-edit-toggle')) {
+            if (!this.editingEmails.delete(email)) {
+                this.editingEmails.add(email);
+            }
+            cardDiv.replaceWith(this.createEmailCard(email, Number(cardDiv.dataset.index)));
+            return;
+        }
+
+        const editButton = e.target.closest('[data-edit-action]');
+        if (editButton) {
+            this.handleEditAction(email, editButton.dataset.editAction);
+            return;
+        }
+
+        const splitLine = e.target.closest('.email-split-line');
+        if (splitLine) {
+            this.handleEditAction(email, 'split', Number(splitLine.dataset.line));
+            return;
+        }
+
+        if (e.target.closest('.email-html-toggle')) {
+            this.htmlViewOverrides.set(email, !this.isShowingHtml(email));
+            cardDiv.replaceWith(this.createEmailCard(email, Number(cardDiv.dataset.index)));
+            return;
+        }
+
+        const previewBtn = e.target.closest('.email-attachment-preview-btn');
+        if (previewBtn) {
+            const file = email.attachmentFiles[Number(previewBtn.dataset.attachmentIndex)];
+            this.togglePreview(file, previewBtn);
+            return;
+        }
+
+        if (e.target.closest('.email-date-edit-btn')) {
+            this.toggleDateEditor(email, cardDiv);
+            return;
+        }
+
+        const cidLink = e.target.closest('.email-cid-link');
+        if (cidLink) {
+            e.preventDefault();
+            const item = cardDiv.querySelector(
+                `.email-attachment[data-attachment-index="${cidLink.dataset.attachmentIndex}"]`
+            );
+            if (item) {
+                item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                item.classList.add('highlighted');
+                setTimeout(() => item.classList.remove('highlighted'), 1500);
+            }
+        }
+    }
+
+    /**
+     * Show or hide a PDF or text preview (created on first use)
+     * @param {Object} file - Attachment file
+     * @param {HTMLElement} button - Preview button
+     */
+    togglePreview(file, button) {
+        const preview = button.nextElementSibling;
+
+        if (!preview.hasChildNodes()) {
+            if (this.getPreviewKind(file) === 'pdf') {
+                const frame = document.createElement('iframe');
+                frame.className = 'email-attachment-pdf';
+                frame.title = file.name;
+                frame.src = this.getAttachmentUrl(file);
+                preview.appendChild(frame);
+            } else {
+                const text = document.createElement('pre');
+                text.className = 'email-attachment-text';
+                text.textContent = decodeText(file.content.subarray(0, TEXT_PREVIEW_LIMIT)) +
+                    (file.content.length > TEXT_PREVIEW_LIMIT ? '\n…' : '');
+                preview.appendChild(text);
+            }
+        }
+
+        const isHidden = preview.classList.toggle('hidden');
+        button.textContent = isHidden ? 'Preview' : 'Hide preview';
+    }
+
+    /**
+     * Show or hide a card's date editor
+     * @param {Object} email - Email shown in the card
+     * @param {HTMLElement} cardDiv - Email card
+     */
+    toggleDateEditor(email, cardDiv) {
+        const open = cardDiv.querySelector('.email-date-editor');
+        if (open) {
+            open.remove();
+            return;
+        }
+        cardDiv.querySelector('.email-header').appendChild(this.createDateEditor(email, cardDiv));
+    }
+
+    /**
+     * Create the form for typing a date, or pinning the email before or after another one
+     * Typed dates are in the display time zone
+     * @param {Object} email - Email being edited
+     * @param {HTMLElement} cardDiv - Email card
+     * @returns {HTMLFormElement} Editor form
+     */
+    createDateEditor(email, cardDiv) {
+        const form = document.createElement('form');
+        form.className = 'email-date-editor';
+
+        const edit = email.dateEdit || {};
+        const date = getEffectiveDate(email);
+        const anchors = this.getSortedEmails().filter(other => other !== email);
+        const anchorOptions = anchors.map((other, index) => {
+            const id = this.generateEmailId(other);
+            const selected = edit.pin && edit.pin.anchorId === id ? ' selected' : '';
+            return `<option value="${index}"${selected}>${this.escapeHtml(describePinAnchor(other))}</option>`;
+        }).join('');
+        const zone = this.displayTimeZone || getLocalTimeZone();
+        const written = email.dateText ? `Written as "${email.dateText}". ` : '';
+
+        form.innerHTML = `
+            <label>Date <input type="datetime-local" name="date" value="${date && !edit.pin ? this.toDateTimeInputValue(date) : ''}"></label>
+            <label>or place
+                <select name="position">
+                    <option value="">—</option>
+                    <option value="after"${edit.pin && edit.pin.position === 'after' ? ' selected' : ''}>after</option>
+                    <option value="before"${edit.pin && edit.pin.position === 'before' ? ' selected' : ''}>before</option>
+                </select>
+            </label>
+            <select name="anchor"${anchors.length === 0 ? ' disabled' : ''}>${anchorOptions}</select>
+            <div class="email-date-editor-note">${this.escapeHtml(`${written}Times are in ${zone}.`)}</div>
+            <div class="email-date-editor-actions">
+                <button type="submit">Save</button>
+                <button type="button" data-action="cancel">Cancel</button>
+                ${email.dateEdit ? '<button type="button" data-action="reset">Restore original</button>' : ''}
+            </div>
+        `;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const dateInput = form.elements.date;
+            const position = form.elements.position.value;
+            const anchor = anchors[Number(form.elements.anchor.value)];
+            const typed = this.parseDateTimeInputValue(dateInput.value);
+
+            if (typed) {
+                this.setDateEdit(email, { date: typed, pin: null });
+            } else if (position && anchor) {
+                this.setDateEdit(email, {
+                    date: null,
+                    pin: { position, anchorId: this.generateEmailId(anchor), anchorLabel: describePinAnchor(anchor) }
+                });
+            } else {
+                dateInput.setCustomValidity('Enter a date, or choose an email to place this one after or before');
+                dateInput.reportValidity();
+                dateInput.addEventListener('input', () => dateInput.setCustomValidity(''), { once: true });
+            }
+        });
+
+        form.addEventListener('click', (e) => {
+            const action = e.target.closest('button[data-action]')?.dataset.action;
+            if (action === 'cancel') {
+                form.remove();
+            } else if (action === 'reset') {
+                this.setDateEdit(email, null);
+            }
+        });
+
+        // The card's own click handling (the Edit button) is not for clicks inside the form
+        form.addEventListener('click', (e) => e.stopPropagation());
+        return form;
+    }
+
+    /**
+     * Store (or remove) the user's correction of an email's date
+     * @param {Object} email - Email in the chain
+     * @param {Object|null} edit - { date, pin }, or null to go back to the parsed date
+     */
+    setDateEdit(email, edit) {
+        if (edit) {
+            email.dateEdit = { ...edit, editedAt: new Date() };
+        } else {
+            delete email.dateEdit;
+        }
+        this.render();
+        this.onEmailsEdited([email], []);
+    }
+
+    /**
+     * Write a date as a datetime-local value in the display time zone
+     * @param {Date} date - Date
+     * @returns {string} e.g. "2025-03-04T09:26"
+     */
+    toDateTimeInputValue(date) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+            timeZone: this.displayTimeZone || undefined
+        }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+    }
+
+    /**
+     * Read a datetime-local value as a time in the display time zone
+     * @param {string} value - e.g. "2025-03-04T09:26"
+     * @returns {Date|null} Date, or null if the value is empty or invalid
+     */
+    parseDateTimeInputValue(value) {
+        // Without an offset the value is read in local time, so its fields are the wall time typed
+        const wallTime = value ? new Date(value) : null;
+        if (!wallTime || isNaN(wallTime)) {
+            return null;
+        }
+        return this.displayTimeZone ? wallTimeToDate(wallTime, { timeZone: this.displayTimeZone }) : wallTime;
+    }
+
+    /**
+     * Create the badges that qualify a date: missing or user-edited, an assumed time zone,
+     * a guessed day/month order
+     * @param {Object} email - Email object
+     * @returns {string} Badge HTML (empty if the date is certain)
+     */
+    createDateBadgesHtml(email) {
+        let html = '';
+        const edit = email.dateEdit;
+
+        if (isUndated(email) && !(edit && edit.date)) {
+            const written = email.dateText ? `The date was written as "${email.dateText}", which could not be read` : 'The email carries no date';
+            html += `<span class="email-date-badge email-date-badge-undated" title="${this.escapeAttribute(written)}">undated</span>`;
+        }
+
+        if (edit) {
+            const change = edit.pin
+                ? `Placed ${edit.pin.position} "${edit.pin.anchorLabel}"`
+                : `Set by the user; originally ${isUndated(email) ? 'undated' : this.formatDate(email.date)}`;
+            html += `<span class="email-date-badge email-date-badge-edited" title="${this.escapeAttribute(change)}">user-edited</span>`;
+        }
+
+        // The parsed date's qualifiers don't apply to a date the user typed
+        if (edit && edit.date) {
+            return html;
+        }
+
+        if (email.dateZoneAssumed) {
+            html += `<span class="email-date-badge" title="The quoted date names no time zone, so it was read as ${this.escapeAttribute(email.dateTimeZone)}">zone assumed</span>`;
+        }
+
+        if (this.guessedPositions.has(email)) {
+            const reading = this.dateOrder === 'mdy' ? 'month first' : 'day first';
+            const alternative = this.formatDate(getAlternativeReading(email, this.dateOrder));
+            html += `<span class="email-date-badge email-date-badge-guess" title="${this.escapeAttribute(
+                `Written as "${email.dateText}" and read ${reading}; nothing else in the chain settles the order. Read the other way (${alternative}) it would move in the timeline.`
+            )}">day/month guessed</span>`;
+        }
+
+        return html;
+    }
+
+    /**
+     * Format date for display, in the display time zone
      * @param {Date} date - Date object
      * @returns {string} Formatted date string
      */
@@ -238,7 +1463,7 @@ export class EmailChain {
             return 'Unknown Date';
         }
 
-        // Format: "Mon, Jan 15, 2024 at 3:45 PM"
+        // Format: "Mon, Jan 15, 2024, 3:45 PM EST"
         const options = {
             weekday: 'short',
             year: 'numeric',
@@ -246,7 +1471,9 @@ export class EmailChain {
             day: 'numeric',
             hour: 'numeric',
             minute: '2-digit',
-            hour12: true
+            hour12: true,
+            timeZoneName: 'short',
+            timeZone: this.displayTimeZone || undefined
         };
 
         return date.toLocaleString('en-US', options);
@@ -267,6 +1494,15 @@ export class EmailChain {
         return div.innerHTML;
     }
 
+    /**
+     * Escape text for use inside a double-quoted HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     /**
      * Get the number of emails in the chain
      * @returns {number} Number of emails
@@ -275,3 +1511,50 @@ export class EmailChain {
         return this.emails.size;
     }
 }
+
+/**
+ * Decode attachment text for preview (UTF-8, falling back to Windows-1252)
+ * @param {Uint8Array} bytes - Text bytes
+ * @returns {string} Text
+ */
+function decodeText(bytes) {
+    try {
+        // stream: a multi-byte character cut off by the preview limit is not an error
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+/**
+ * Describe where a parsed email came from
+ * @param {Object} email - Parsed email object
+ * @returns {Object} { file, chainIndex } - chainIndex is the position in a split chain, or null for a message's own file
+ */
+function getEmailSource(email) {
+    return {
+        file: email.sourceFile || 'Unknown',
+        chainIndex: email.splitFromChain ? email.chainIndex : null
+    };
+}
+
+/**
+ * Add sources to an email's list, skipping ones already recorded
+ * @param {Object} email - Email kept in the chain
+ * @param {Array<Object>} sources - Sources of a duplicate copy
+ * @returns {boolean} True if any source was added
+ */
+function mergeSources(email, sources) {
+    let added = false;
+
+    for (const source of sources) {
+        const known = email.sources.some(existing =>
+            existing.file === source.file && existing.chainIndex === source.chainIndex
+        );
+        if (!known) {
+            email.sources.push(source);
+            added = true;
+        }
+    }
+    return added;
+}
@@ -0,0 +1,190 @@
+/**
+ * Manual corrections of extracted emails
+ * Header fields the user corrected are kept in email.fieldEdits over the parsed values;
+ * an email merged from two keeps both as they were in email.mergedFrom, and each half of
+ * a split email keeps the email it was cut from in email.splitFrom, so every correction
+ * can be audited and undone
+ */
+
+import { extractEmailFromSection } from './emailExtractor.js';
+
+/**
+ * Header fields the user can correct
+ */
+export const EDITABLE_FIELDS = ['from', 'to', 'cc', 'subject'];
+
+/**
+ * Display label of each editable field
+ */
+export const FIELD_LABELS = { from: 'From', to: 'To', cc: 'Cc', subject: 'Subject' };
+
+/**
+ * Get a header field as corrected by the user, or as parsed
+ * @param {Object} email - Email object
+ * @param {string} field - One of EDITABLE_FIELDS
+ * @returns {string} Field value
+ */
+export function getFieldValue(email, field) {
+    const edits = email.fieldEdits;
+    return edits && field in edits ? edits[field] : (email[field] || '');
+}
+
+/**
+ * Check whether the user corrected a header field
+ * @param {Object} email - Email object
+ * @param {string} field - One of EDITABLE_FIELDS
+ * @returns {boolean} True if the field has a correction
+ */
+export function isFieldEdited(email, field) {
+    return Boolean(email.fieldEdits && field in email.fieldEdits);
+}
+
+/**
+ * Record corrected header fields; a value equal to the parsed one drops its correction
+ * @param {Object} email - Email object
+ * @param {Object} values - Field -> value
+ * @returns {boolean} True if any correction changed
+ */
+export function setFieldEdits(email, values) {
+    const edits = { ...(email.fieldEdits || {}) };
+    let changed = false;
+
+    for (const field of EDITABLE_FIELDS) {
+        if (!(field in values) || values[field] === getFieldValue(email, field)) continue;
+
+        if (values[field] === (email[field] || '')) {
+            delete edits[field];
+        } else {
+            edits[field] = values[field];
+        }
+        changed = true;
+    }
+
+    if (!changed) return false;
+
+    if (Object.keys(edits).length > 0) {
+        email.fieldEdits = edits;
+    } else {
+        delete email.fieldEdits;
+    }
+    return true;
+}
+
+/**
+ * Get a header field for export, saying if the user corrected it
+ * @param {Object} email - Email object
+ * @param {string} field - One of EDITABLE_FIELDS
+ * @returns {string} e.g. "Jane Smith <jane@example.com> (user-edited)", or '' if empty
+ */
+export function describeField(email, field) {
+    const value = getFieldValue(email, field);
+    return value && isFieldEdited(email, field) ? `${value} (user-edited)` : value;
+}
+
+/**
+ * List the corrections made to an email
+ * @param {Object} email - Email object
+ * @returns {Array<string>} e.g. ['Date', 'Subject', 'Merged']
+ */
+export function listUserEdits(email) {
+    const edits = [];
+    if (email.dateEdit) edits.push('Date');
+    EDITABLE_FIELDS
+        .filter(field => isFieldEdited(email, field))
+        .forEach(field => edits.push(FIELD_LABELS[field]));
+    if (email.mergedFrom) edits.push('Merged');
+    if (email.splitFrom) edits.push('Split');
+    return edits;
+}
+
+/**
+ * Check whether an email is the result of the user's merge or split
+ * @param {Object} email - Email object
+ * @returns {boolean} True if it has mergedFrom or splitFrom
+ */
+export function isMergedOrSplit(email) {
+    return Boolean(email.mergedFrom || email.splitFrom);
+}
+
+/**
+ * Merge two emails that were wrongly split apart
+ * Emails cut from the same chain are joined in the order they were written; otherwise
+ * the first is the one whose headers are kept. Empty fields are filled from the other
+ * @param {Object} first - Earlier email in the timeline
+ * @param {Object} second - Later email in the timeline
+ * @returns {Object} Merged email, with both originals in mergedFrom
+ */
+export function mergeEmails(first, second) {
+    const [head, tail] = isEarlierInChain(second, first) ? [second, first] : [first, second];
+    const merged = { ...head };
+
+    for (const field of ['from', 'to', 'cc', 'subject']) {
+        if (!merged[field] && tail[field]) merged[field] = tail[field];
+    }
+    if (!merged.date && tail.date) {
+        merged.date = tail.date;
+        merged.dateText = tail.dateText;
+    }
+
+    merged.body = [head.body, tail.body].filter(Boolean).join('\n\n');
+    merged.attachments = Array.from(new Set([...(head.attachments || []), ...(tail.attachments || [])]));
+    merged.attachmentFiles = [...(head.attachmentFiles || []), ...(tail.attachmentFiles || [])];
+    merged.sources = [...(head.sources || [])];
+    (tail.sources || [])
+        .filter(source => !merged.sources.some(known => known.file === source.file && known.chainIndex === source.chainIndex))
+        .forEach(source => merged.sources.push(source));
+
+    // The original HTML only covers one half of the merged text
+    if (tail.body) merged.bodyHtml = '';
+
+    const fieldEdits = { ...(tail.fieldEdits || {}), ...(head.fieldEdits || {}) };
+    if (Object.keys(fieldEdits).length > 0) merged.fieldEdits = fieldEdits;
+    if (!merged.dateEdit && tail.dateEdit) merged.dateEdit = tail.dateEdit;
+
+    delete merged.splitFrom;
+    merged.mergedFrom = [head, tail];
+    return merged;
+}
+
+/**
+ * Split an email that holds two messages
+ * The text from the chosen line on becomes a new email, read for its own headers
+ * like a chain section; if it has none, its fields are left for the user to fill in
+ * @param {Object} email - Email to split
+ * @param {number} lineIndex - Body line the second email starts at (1 or more)
+ * @returns {Array<Object>} [first part, second part], each with the original in splitFrom
+ */
+export function splitEmail(email, lineIndex) {
+    const lines = (email.body || '').split('\n');
+    const tailText = lines.slice(lineIndex).join('\n').trim();
+    const group = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    const head = { ...email, body: lines.slice(0, lineIndex).join('\n').trim(), bodyHtml: '' };
+    delete head.mergedFrom;
+    head.splitFrom = { original: email, part: 1, group };
+
+    const extracted = extractEmailFromSection(tailText);
+    const tail = {
+        ...(extracted || { from: '', to: '', cc: '', date: null, subject: '', body: tailText, attachments: [] }),
+        sourceFile: email.sourceFile,
+        splitFromChain: email.splitFromChain,
+        chainIndex: email.chainIndex,
+        sources: (email.sources || []).map(source => ({ ...source })),
+        splitFrom: { original: email, part: 2, group }
+    };
+
+    // A numeric date has nothing else in the chain to settle it, so it follows the preference
+    if (tail.dateReadings) {
+        tail.dateResolution = 'guess';
+    }
+
+    return [head, tail];
+}
+
+/**
+ * Check whether an email was written above another one in the same forwarded chain
+ */
+function isEarlierInChain(a, b) {
+    return Boolean(a.splitFromChain && b.splitFromChain && a.sourceFile === b.sourceFile &&
+        a.chainIndex < b.chainIndex);
+}
@@ -3,7 +3,8 @@
  * Extracts from, to, cc, date, subject, and body from text sections
  */
 
-import { cleanEmailText, parseFlexibleDate } from './textUtils.js';
+import { cleanEmailText, parseZonedDate } from './textUtils.js';
+import { matchHeaderLine, isHeaderLine, matchAttribution } from './headerLabels.js';
 
 /**
  * Extract email metadata from a forwarded email section
@@ -27,9 +28,24 @@ export function extractEmailFromSection(section) {
     let foundHeaders = false;
     let lastHeaderType = null;
 
-    // Skip "On ... wrote:" line if present
-    if (lines[0] && /^On\s+.+\s+wrote:\s*$/i.test(lines[0].trim())) {
-        i = 1;
+    // "On ... wrote:" line (in any supported language, possibly wrapped): it names the sender and date
+    const attribution = matchAttribution(lines, 0);
+    if (attribution) {
+        email.from = cleanEmailText(attribution.sender.replace(/\(\s*(<[^>]+>)\s*\)/, '$1'));
+        setDate(email, attribution.date);
+        i = attribution.lineCount;
+
+        // A lone attribution introduces a header block that has its own section
+        const nextLine = lines.slice(i).find(line => line.trim());
+        if (!nextLine) {
+            return null;
+        }
+
+        // Gmail and Apple Mail quote the message right below it, without a header block
+        if (!isHeaderLine(nextLine.trim())) {
+            email.body = lines.slice(i).join('\n').trim();
+            return isComplete(email) ? email : null;
+        }
     }
 
     // Parse headers - can be multi-line
@@ -37,12 +53,12 @@ export function extractEmailFromSection(section) {
         const line = lines[i];
         const trimmedLine = line.trim();
 
-        // Check if this line starts a new header
-        const headerMatch = trimmedLine.match(/^(From|To|Cc|Date|Sent|Subject):\s*(.*)/i);
+        // Check if this line starts a new header ("Sent:", "Envoyé :" and "Gesendet:" are all dates)
+        const headerMatch = matchHeaderLine(trimmedLine);
 
         if (headerMatch) {
-            const headerType = headerMatch[1].toLowerCase();
-            let headerValue = headerMatch[2].trim();
+            const headerType = headerMatch.type;
+            let headerValue = headerMatch.value.trim();
 
             // If the header value is empty or very short, check next lines
             if (!headerValue || headerValue.length < 3) {
@@ -50,7 +66,7 @@ export function extractEmailFromSection(section) {
                 // Collect continuation lines until we hit another header or empty line
                 while (i < lines.length) {
                     const nextLine = lines[i].trim();
-                    if (!nextLine || /^(From|To|Cc|Date|Sent|Subject):/i.test(nextLine)) {
+                    if (!nextLine || isHeaderLine(nextLine)) {
                         break;
                     }
                     headerValue += (headerValue ? ' ' : '') + nextLine;
@@ -75,8 +91,7 @@ export function extractEmailFromSection(section) {
                     email.cc = headerValue;
                     break;
                 case 'date':
-                case 'sent':
-                    email.date = parseFlexibleDate(headerValue);
+                    setDate(email, headerValue);
                     break;
                 case 'subject':
                     email.subject = headerValue;
@@ -88,7 +103,7 @@ export function extractEmailFromSection(section) {
             // Empty line after headers means body starts next
             i++;
             break;
-        } else if (foundHeaders && !/^(From|To|Cc|Date|Sent|Subject):/i.test(trimmedLine)) {
+        } else if (foundHeaders && !isHeaderLine(trimmedLine)) {
             // Non-header line after we've found headers
             // Could be the subject (if no Subject: label found) or start of body
             if (!email.subject && trimmedLine && trimmedLine.length < 200) {
@@ -109,9 +124,31 @@ export function extractEmailFromSection(section) {
     }
 
     // Only return if we found at least a sender or a date
-    if ((email.from || email.to) && (email.date || email.subject)) {
-        return email;
+    return isComplete(email) ? email : null;
+}
+
+/**
+ * Set an email's date from quoted text, keeping the text and how it was read
+ * @param {Object} email - Email being extracted
+ * @param {string} dateText - Date as written
+ */
+function setDate(email, dateText) {
+    const parsed = parseZonedDate(dateText);
+    email.date = parsed ? parsed.date : null;
+    email.dateText = dateText;
+    if (parsed) {
+        // Quoted dates often carry no zone; remember which one was assumed
+        email.dateTimeZone = parsed.timeZone;
+        email.dateZoneAssumed = parsed.zoneAssumed;
+        // Numeric dates: the day/month order, or both readings until it's resolved
+        email.dateOrder = parsed.dateOrder;
+        email.dateReadings = parsed.readings;
     }
+}
 
-    return null;
+/**
+ * Check that enough was found to call a section an email: a sender or recipient, and a date or subject
+ */
+function isComplete(email) {
+    return Boolean((email.from || email.to) && (email.date || email.subject));
 }
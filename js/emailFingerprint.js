@@ -0,0 +1,177 @@
+/**
+ * Near-duplicate detection
+ * Normalized fingerprints that recognise the same message in different forms:
+ * its own .msg/.eml file, and a copy quoted in a later email's chain (sender
+ * reformatted, seconds dropped from the date, body reflowed, signature and
+ * quoted history attached or not)
+ */
+
+import { identifyMessageBoundaries } from './boundaryDetector.js';
+
+// Share of body word shingles two copies must have in common
+const BODY_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * How far apart two copies' dates may be (quoted dates usually drop the seconds)
+ */
+export const DATE_TOLERANCE_MS = 60 * 1000;
+
+const SHINGLE_SIZE = 3;
+
+const SUBJECT_PREFIX = /^\s*((re|fw|fwd|aw|wg|tr|sv|vs|antw|rif|r)\s*(\[\d+\])?\s*:\s*)+/i;
+const EMAIL_ADDRESS = /[\w.+'-]+@[\w-]+(\.[\w-]+)+/;
+const SIGNATURE_DELIMITER = /^--\s*$/;
+const MOBILE_SIGNATURE = /^(sent from my|get outlook for|sent from (mail|outlook) for)\b/i;
+
+/**
+ * Build the fingerprint of an email
+ * @param {Object} email - Email object
+ * @returns {Object} { time, subject, senderAddress, senderName, shingles }
+ */
+export function createFingerprint(email) {
+    const from = email.from || '';
+    const address = from.match(EMAIL_ADDRESS);
+
+    return {
+        time: email.date instanceof Date && !isNaN(email.date) ? email.date.getTime() : null,
+        subject: normalizeSubject(email.subject),
+        senderAddress: address ? address[0].toLowerCase() : '',
+        senderName: normalizeName(from),
+        shingles: createShingles(ownBodyText(email.body || ''))
+    };
+}
+
+/**
+ * Decide whether two fingerprints describe the same message
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {boolean} True if the emails are copies of each other
+ */
+export function isNearDuplicate(a, b) {
+    // Both dated and close together, or both undated
+    if ((a.time === null) !== (b.time === null)) return false;
+    if (a.time !== null && Math.abs(a.time - b.time) >= DATE_TOLERANCE_MS) return false;
+
+    // Quoted copies sometimes have no subject line
+    if (a.subject && b.subject && a.subject !== b.subject) return false;
+
+    if (!isSameSender(a, b)) return false;
+
+    return bodySimilarity(a.shingles, b.shingles) >= BODY_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Score how complete a copy of an email is; the richest copy is the one kept
+ * The message's own file beats a copy split out of another email's chain,
+ * then HTML bodies, attachments and recipients count
+ * @param {Object} email - Email object
+ * @returns {number} Score (higher is richer)
+ */
+export function richness(email) {
+    let score = 0;
+
+    if (!email.splitFromChain) score += 1000;
+    if (email.bodyHtml) score += 100;
+    score += (email.attachmentFiles || []).length * 10;
+    if (email.to) score += 5;
+    if (email.cc) score += 2;
+    if (email.date instanceof Date && email.date.getSeconds() !== 0) score += 1;
+
+    return score;
+}
+
+/**
+ * Lowercase a subject and strip reply/forward prefixes and extra whitespace
+ * @param {string} subject - Subject
+ * @returns {string} Normalized subject
+ */
+function normalizeSubject(subject) {
+    return (subject || '').replace(SUBJECT_PREFIX, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Reduce a sender to its sorted name words, so "Smith, John" matches "John Smith <js@x.com>"
+ * @param {string} from - Sender as displayed
+ * @returns {string} Normalized name
+ */
+function normalizeName(from) {
+    return from
+        .replace(/<[^>]*>/g, ' ')
+        .replace(EMAIL_ADDRESS, ' ')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+/**
+ * Compare senders by address when both copies have one, otherwise by name
+ */
+function isSameSender(a, b) {
+    if (a.senderAddress && b.senderAddress) {
+        return a.senderAddress === b.senderAddress;
+    }
+    if (a.senderName && b.senderName) {
+        return a.senderName === b.senderName;
+    }
+    // One copy only shows an address and the other only a name: let the body decide
+    return true;
+}
+
+/**
+ * The text an email's author wrote: quoted history, ">" lines and signature removed
+ * @param {string} body - Plain text body
+ * @returns {string} Own text
+ */
+function ownBodyText(body) {
+    const text = body.replace(/\r\n?/g, '\n');
+
+    // Cut at the first quoted message (a boundary at 0 is the message's own header block)
+    const boundary = identifyMessageBoundaries(text).find(position => position > 0);
+    const lines = (boundary === undefined ? text : text.substring(0, boundary)).split('\n');
+
+    const own = [];
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (SIGNATURE_DELIMITER.test(line) || MOBILE_SIGNATURE.test(trimmed)) break;
+        if (trimmed.startsWith('>')) continue;
+        own.push(trimmed);
+    }
+    return own.join(' ');
+}
+
+/**
+ * Word shingles of a text, ignoring case, punctuation and line wrapping
+ * @param {string} text - Text
+ * @returns {Set<string>} Shingles (single words for very short texts)
+ */
+function createShingles(text) {
+    const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const shingles = new Set();
+
+    if (words.length < SHINGLE_SIZE) {
+        words.forEach(word => shingles.add(word));
+        return shingles;
+    }
+
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+}
+
+/**
+ * Dice coefficient of two shingle sets (1 when both bodies are empty)
+ */
+function bodySimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    if (a.size === 0 || b.size === 0) return 0;
+
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    for (const shingle of smaller) {
+        if (larger.has(shingle)) shared++;
+    }
+    return (2 * shared) / (a.size + b.size);
+}
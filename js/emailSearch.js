@@ -0,0 +1,139 @@
+/**
+ * Email search
+ * Matches emails against free text (subject, body, participants and attachment
+ * names) and structured filters, and highlights the hits in a rendered card
+ */
+
+import { getFieldValue } from './emailEdits.js';
+import { getEffectiveDate } from './dateEdits.js';
+
+/**
+ * Split search text into lowercase terms; "quoted phrases" stay together
+ * @param {string} text - Search text
+ * @returns {Array<string>} Terms
+ */
+export function parseSearchTerms(text) {
+    const terms = [];
+    for (const match of (text || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+        const term = (match[1] !== undefined ? match[1] : match[2]).trim().toLowerCase();
+        if (term) terms.push(term);
+    }
+    return terms;
+}
+
+/**
+ * Check whether a query filters anything out
+ * @param {Object} query - Search query (see matchesSearch)
+ * @returns {boolean} True if any term or filter is set
+ */
+export function isSearchActive(query) {
+    return query.terms.length > 0 || Boolean(query.sender || query.recipient || query.dateFrom ||
+        query.dateTo || query.attachments || query.sourceFile || query.origin);
+}
+
+/**
+ * Check whether an email matches a search
+ * Every term must appear somewhere in the email; every filter that is set must match
+ * @param {Object} email - Email object
+ * @param {Object} query - Search query
+ * @param {Array<string>} query.terms - Terms from parseSearchTerms
+ * @param {string} query.sender - Text the From field must contain
+ * @param {string} query.recipient - Text the To or Cc field must contain
+ * @param {Date|null} query.dateFrom - Earliest date (undated emails never match a date range)
+ * @param {Date|null} query.dateTo - Latest date
+ * @param {string} query.attachments - 'with', 'without', or '' for either
+ * @param {string} query.sourceFile - A file the email must have been found in, or ''
+ * @param {boolean} query.sourceOnly - True if the email must have been found in nothing but that file
+ * @param {string} query.origin - 'chain' (split from a chain), 'original', or '' for either
+ * @returns {boolean} True if the email matches
+ */
+export function matchesSearch(email, query) {
+    if (query.sender && !contains(getFieldValue(email, 'from'), query.sender)) return false;
+    if (query.recipient && !contains(`${getFieldValue(email, 'to')}\n${getFieldValue(email, 'cc')}`, query.recipient)) return false;
+
+    if (query.dateFrom || query.dateTo) {
+        const date = getEffectiveDate(email);
+        if (!date || (query.dateFrom && date < query.dateFrom) || (query.dateTo && date > query.dateTo)) return false;
+    }
+
+    const attachmentNames = getAttachmentNames(email);
+    if (query.attachments === 'with' && attachmentNames.length === 0) return false;
+    if (query.attachments === 'without' && attachmentNames.length > 0) return false;
+
+    if (query.sourceFile) {
+        const sources = email.sources || [];
+        const inFile = (source) => source.file === query.sourceFile;
+        if (query.sourceOnly ? !(sources.length > 0 && sources.every(inFile)) : !sources.some(inFile)) return false;
+    }
+    if (query.origin === 'chain' && !email.splitFromChain) return false;
+    if (query.origin === 'original' && email.splitFromChain) return false;
+
+    if (query.terms.length === 0) return true;
+
+    const text = [
+        getFieldValue(email, 'subject'),
+        getFieldValue(email, 'from'),
+        getFieldValue(email, 'to'),
+        getFieldValue(email, 'cc'),
+        email.body || '',
+        ...attachmentNames
+    ].join('\n').toLowerCase();
+    return query.terms.every(term => text.includes(term));
+}
+
+/**
+ * Wrap every occurrence of the terms in an element's text in <mark class="search-hit">
+ * Form controls and buttons are left alone
+ * @param {HTMLElement} element - Rendered card content
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ */
+export function highlightMatches(element, terms) {
+    if (terms.length === 0) return;
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement.closest('input, textarea, select, button, mark')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT)
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+    }
+
+    for (const node of nodes) {
+        const text = node.nodeValue;
+        const matches = Array.from(text.matchAll(pattern));
+        if (matches.length === 0) continue;
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        for (const match of matches) {
+            fragment.append(text.substring(last, match.index));
+            const mark = document.createElement('mark');
+            mark.className = 'search-hit';
+            mark.textContent = match[0];
+            fragment.append(mark);
+            last = match.index + match[0].length;
+        }
+        fragment.append(text.substring(last));
+        node.replaceWith(fragment);
+    }
+}
+
+/**
+ * Names of an email's attachments (files, or names alone for emails split from a chain)
+ */
+function getAttachmentNames(email) {
+    const files = email.attachmentFiles || [];
+    return files.length > 0 ? files.map(file => file.name) : (email.attachments || []);
+}
+
+function contains(text, search) {
+    return text.toLowerCase().includes(search.trim().toLowerCase());
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
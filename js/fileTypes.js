@@ -0,0 +1,109 @@
+/**
+ * Supported file types
+ * Single source of truth for the file extensions the app can import
+ */
+
+/**
+ * File extensions accepted by the drop zones and file input
+ */
+export const SUPPORTED_EXTENSIONS = ['.msg', '.eml', '.mbox', '.pst', '.ost', '.zip'];
+
+// MIME types for common attachment extensions, used when the message doesn't declare one
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.htm': 'text/html',
+    '.html': 'text/html',
+    '.xml': 'text/xml',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.zip': 'application/zip',
+    '.msg': 'application/vnd.ms-outlook',
+    '.eml': 'message/rfc822',
+    '.ics': 'text/calendar',
+    '.vcf': 'text/vcard'
+};
+
+/**
+ * Get the lowercase extension of a file name (including the dot)
+ * @param {string} fileName - File name
+ * @returns {string} Extension, or empty string if none
+ */
+export function getFileExtension(fileName) {
+    const name = (fileName || '').toLowerCase();
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.substring(dot);
+}
+
+/**
+ * Check whether a file can be imported
+ * @param {string} fileName - File name
+ * @returns {boolean} True if the extension is supported
+ */
+export function isSupportedFile(fileName) {
+    return SUPPORTED_EXTENSIONS.includes(getFileExtension(fileName));
+}
+
+/**
+ * Guess a MIME type from a file name
+ * @param {string} fileName - File name
+ * @returns {string} MIME type (application/octet-stream if unknown)
+ */
+export function guessMimeType(fileName) {
+    return MIME_TYPES[getFileExtension(fileName)] || 'application/octet-stream';
+}
+
+/**
+ * Human-readable list of supported extensions for messages
+ * @returns {string} e.g. ".msg, .eml, .mbox, .pst, .ost or .zip"
+ */
+export function describeSupportedTypes() {
+    if (SUPPORTED_EXTENSIONS.length === 1) {
+        return SUPPORTED_EXTENSIONS[0];
+    }
+
+    const leading = SUPPORTED_EXTENSIONS.slice(0, -1).join(', ');
+    return `${leading} or ${SUPPORTED_EXTENSIONS[SUPPORTED_EXTENSIONS.length - 1]}`;
+}
+
+/**
+ * Create a Blob that carries a display name, for content extracted from another file
+ * A plain Blob is used instead of File so names can contain path separators
+ * @param {Array<BlobPart>} parts - Blob content
+ * @param {string} name - Display name (used as the email's source label)
+ * @param {string} type - MIME type (default: none)
+ * @returns {Blob} Blob with a read-only name property
+ */
+export function createNamedBlob(parts, name, type = '') {
+    const blob = new Blob(parts, { type });
+    Object.defineProperty(blob, 'name', { value: name, enumerable: true });
+    return blob;
+}
+
+/**
+ * Label a file picked from a folder with its path relative to that folder
+ * @param {File} file - File from a folder drop or folder picker
+ * @param {string} relativePath - Path within the chosen folder, e.g. "Case 12/Inbox/Re_ Offer.msg"
+ * @returns {File|Blob} The file itself if the path adds nothing, otherwise a named blob
+ */
+export function withRelativePath(file, relativePath) {
+    if (!relativePath || relativePath === file.name) {
+        return file;
+    }
+    return createNamedBlob([file], relativePath, file.type);
+}
@@ -1,6 +1,6 @@
 /**
  * Email formatting utilities
- * Handles formatting of email addresses, recipients, and dates
+ * Handles formatting of email addresses, recipients, dates and file sizes
  */
 
 /**
@@ -27,10 +27,12 @@ export function formatRecipients(recipients, type) {
         return '';
     }
 
-    const recipientType = type.toLowerCase() === 'cc' ? 2 : 1;
+    // msgreader reports 'to'/'cc'/'bcc'; older versions used MAPI numbers
+    const recipientType = type.toLowerCase() === 'cc' ? 'cc' : 'to';
+    const mapiType = recipientType === 'cc' ? 2 : 1;
 
     const filtered = recipients
-        .filter(r => r.recipType === recipientType)
+        .filter(r => r.recipType === recipientType || r.recipType === mapiType)
         .map(r => formatAddress(r.name, r.email))
         .filter(Boolean);
 
@@ -63,3 +65,24 @@ export function parseDate(dateValue) {
 
     return null;
 }
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "842 B", "12.4 KB", "3.1 MB"
+ */
+export function formatFileSize(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+
+    const units = ['KB', 'MB', 'GB'];
+    let size = bytes / 1024;
+    let unit = 0;
+
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+
+    return `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+}
@@ -0,0 +1,159 @@
+/**
+ * Localized quoted-header labels
+ * The header labels, reply attribution lines and forward separators Outlook, Gmail
+ * and Apple Mail write into quoted messages, in English, French, German, Spanish,
+ * Dutch and Portuguese
+ */
+
+// Header type -> labels (matched case-insensitively, before a ":" that may have a space in front)
+const HEADER_LABELS = {
+    from: ['From', 'De', 'Von', 'Van'],
+    to: ['To', 'À', 'A', 'An', 'Aan', 'Para'],
+    cc: ['Cc', 'Kopie', 'Copie', 'Copia'],
+    date: [
+        'Date', 'Sent', 'Envoyé', 'Envoyé le', 'Datum', 'Gesendet', 'Fecha', 'Enviado', 'Enviado el',
+        'Enviada em', 'Enviado em', 'Data', 'Verzonden', 'Verstuurd'
+    ],
+    subject: ['Subject', 'Objet', 'Betreff', 'Asunto', 'Onderwerp', 'Assunto']
+};
+
+// "On … wrote:" in each language (Gmail, Apple Mail and Thunderbird reply attributions).
+// Group 1 is the date, followed by the sender unless the sender has its own group
+const ATTRIBUTION_PATTERNS = [
+    { pattern: /^On\s+(.+)\s+wrote\s*:\s*$/i },
+    { pattern: /^Le\s+(.+)\s+a\s+écrit\s*:\s*$/i },
+    { pattern: /^Am\s+(.+?)\s+schrieb\s+(.+?)\s*:\s*$/i, senderGroup: 2 },
+    { pattern: /^El\s+(.+)\s+escribió\s*:\s*$/i },
+    { pattern: /^Op\s+(.+?)\s+schreef\s+(.+?)\s*:\s*$/i, senderGroup: 2 },
+    { pattern: /^(?:Em|Às)\s+(.+)\s+escreveu\s*:\s*$/i }
+];
+
+// Lines a forwarded or quoted message follows: "-----Original Message-----",
+// "---------- Forwarded message ---------" (Gmail), "Begin forwarded message:" (Apple Mail)
+const SEPARATOR_PHRASES = [
+    'original message', 'forwarded message',
+    'message d\'origine', 'message transféré', 'message transmis',
+    'ursprüngliche nachricht', 'weitergeleitete nachricht',
+    'mensaje original', 'mensaje reenviado',
+    'oorspronkelijk bericht', 'doorgestuurd bericht',
+    'mensagem original', 'mensagem encaminhada'
+];
+const FORWARD_INTRODUCTIONS = [
+    'begin forwarded message', 'début du message réexpédié', 'anfang der weitergeleiteten nachricht',
+    'inicio del mensaje reenviado', 'begin doorgestuurd bericht', 'início da mensagem reencaminhada'
+];
+
+// Where the date ends and the sender starts in "Mon, Jan 6, 2025 at 9:26 AM John Smith <js@x.com>"
+const ATTRIBUTION_TIME = /\d{1,2}[:h]\d{2}(?::\d{2})?(?:\s*[ap]\.?\s?m\.?(?![a-z]))?(?:\s+uhr\b)?/i;
+
+const LABEL_TYPES = new Map(
+    Object.entries(HEADER_LABELS).flatMap(([type, labels]) => labels.map(label => [label.toLowerCase(), type]))
+);
+
+// Longest labels first, so "Enviado el:" isn't read as "Enviado"
+const HEADER_LINE = new RegExp(
+    `^(${Array.from(LABEL_TYPES.keys()).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})\\s*:\\s*(.*)$`,
+    'iu'
+);
+
+/**
+ * Recognise a quoted header line
+ * @param {string} line - Trimmed line
+ * @returns {Object|null} { type, value } - type is 'from', 'to', 'cc', 'date' or 'subject'
+ */
+export function matchHeaderLine(line) {
+    const match = line.match(HEADER_LINE);
+    if (!match) return null;
+    return { type: LABEL_TYPES.get(match[1].toLowerCase()), value: match[2] };
+}
+
+/**
+ * Check whether a line is a quoted header line, optionally of one type
+ * @param {string} line - Trimmed line
+ * @param {Array<string>} types - Header types to accept (default: any)
+ * @returns {boolean} True if the line is a matching header
+ */
+export function isHeaderLine(line, types = null) {
+    const header = matchHeaderLine(line);
+    return header !== null && (!types || types.includes(header.type));
+}
+
+/**
+ * Check whether a line is a reply attribution ("On … wrote:", "Le … a écrit :", …)
+ * @param {string} line - Trimmed line
+ * @returns {boolean} True if the line introduces a quoted message
+ */
+export function isAttributionLine(line) {
+    return parseAttribution(line) !== null;
+}
+
+/**
+ * Find a reply attribution starting at a line, including one wrapped onto a second line
+ * @param {Array<string>} lines - Lines of text
+ * @param {number} index - Line to start at
+ * @returns {Object|null} { lineCount, date, sender } - date and sender as written
+ */
+export function matchAttribution(lines, index) {
+    const first = (lines[index] || '').trim();
+    if (!first) return null;
+
+    const single = parseAttribution(first);
+    if (single) {
+        return { lineCount: 1, ...single };
+    }
+
+    // Gmail wraps long attributions: "On Mon, Jan 6, 2025 at 9:26 AM John Smith <" / "js@x.com> wrote:"
+    const second = (lines[index + 1] || '').trim();
+    if (!second || isAttributionLine(second)) return null;
+
+    const wrapped = parseAttribution(`${first} ${second}`.replace(/<\s+/g, '<'));
+    return wrapped ? { lineCount: 2, ...wrapped } : null;
+}
+
+/**
+ * Check whether a line separates a message from the forwarded or original message below it
+ * @param {string} line - Trimmed line
+ * @returns {boolean} True for "-----Original Message-----", "Begin forwarded message:" and the like
+ */
+export function isSeparatorLine(line) {
+    const dashed = line.match(/^-{3,}\s*([^-].*?)\s*-{3,}$/);
+    if (dashed) {
+        return SEPARATOR_PHRASES.includes(dashed[1].toLowerCase());
+    }
+
+    const introduction = line.match(/^(.+?)\s*:$/);
+    return introduction !== null && FORWARD_INTRODUCTIONS.includes(introduction[1].toLowerCase());
+}
+
+/**
+ * Split an attribution line into its date and sender
+ * @param {string} line - Attribution line (or two joined lines)
+ * @returns {Object|null} { date, sender }, or null if the line isn't an attribution
+ */
+function parseAttribution(line) {
+    for (const { pattern, senderGroup } of ATTRIBUTION_PATTERNS) {
+        const match = line.match(pattern);
+        if (!match) continue;
+
+        if (senderGroup) {
+            return { date: match[1].trim(), sender: match[senderGroup].trim() };
+        }
+
+        // Date and sender run together: split after the time, or else at the last comma
+        const text = match[1];
+        const time = text.match(ATTRIBUTION_TIME);
+        const end = time ? time.index + time[0].length : text.lastIndexOf(',');
+        if (end <= 0) {
+            return { date: text.trim(), sender: '' };
+        }
+        return {
+            date: text.substring(0, end).replace(/[\s,]+$/, ''),
+            sender: text.substring(end).replace(/^[\s,]+/, '')
+        };
+    }
+    return null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
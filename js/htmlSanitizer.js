@@ -0,0 +1,208 @@
+/**
+ * Email HTML sanitizer
+ * Reduces an email's HTML body to an allowlist of presentational markup
+ * so it can be shown in a sandboxed frame: no scripts, forms, frames,
+ * event handlers or remote resources survive.
+ */
+
+// Elements kept (with their allowed attributes); anything else is unwrapped
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'address', 'b', 'big', 'blockquote', 'br', 'caption', 'center', 'cite',
+    'code', 'col', 'colgroup', 'dd', 'del', 'dfn', 'div', 'dl', 'dt', 'em', 'font',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+    'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub',
+    'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt', 'u', 'ul', 'var'
+]);
+
+// Elements removed together with their content
+const DROPPED_TAGS = new Set([
+    'script', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'applet', 'form', 'input', 'button', 'select', 'textarea', 'option', 'link', 'meta',
+    'base', 'title', 'svg', 'math', 'audio', 'video', 'source', 'track', 'canvas', 'xml'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+    'align', 'alt', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'class', 'color',
+    'colspan', 'dir', 'face', 'height', 'hspace', 'lang', 'rowspan', 'size', 'span',
+    'start', 'style', 'title', 'type', 'valign', 'vspace', 'width'
+]);
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+const SAFE_IMAGE = /^data:image\/(png|jpeg|gif|webp|bmp);base64,/i;
+
+// CSS declarations that could load resources or run code
+const UNSAFE_DECLARATION = /[^;{}]*(url\s*\(|expression\s*\(|behavior\s*:|-moz-binding|javascript:)[^;{}]*;?/gi;
+
+/**
+ * Sanitize an email's HTML body
+ * @param {string} html - Original HTML
+ * @param {Function} resolveImage - Maps a cid: reference to a data: URL: (contentId) => string|null
+ * @returns {Object} { styles, body } - Sanitized <style> text and body markup
+ */
+export function sanitizeEmailHtml(html, resolveImage) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+
+    // Outlook keeps its paragraph and list styling in <style> blocks in the head
+    const styles = Array.from(doc.querySelectorAll('style'))
+        .map(style => sanitizeCss(style.textContent))
+        .join('\n');
+
+    const body = doc.body || doc.createElement('body');
+    const bodyStyle = sanitizeCss(body.getAttribute('style') || '');
+    cleanChildren(body, resolveImage);
+
+    return {
+        styles,
+        body: bodyStyle ? `<div style="${escapeAttribute(bodyStyle)}">${body.innerHTML}</div>` : body.innerHTML
+    };
+}
+
+/**
+ * Build a complete, script-free document for an iframe's srcdoc
+ * The Content-Security-Policy blocks every network request, so even markup
+ * that slipped through the sanitizer cannot fetch anything.
+ * @param {string} html - Original HTML
+ * @param {Function} resolveImage - Maps a cid: reference to a data: URL
+ * @returns {string} HTML document
+ */
+export function createSandboxDocument(html, resolveImage) {
+    const { styles, body } = sanitizeEmailHtml(html, resolveImage);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">
+<style>body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 14px; overflow-wrap: break-word; } img { max-width: 100%; height: auto; }</style>
+<style>${styles.replace(/<\//g, '<\\/')}</style>
+</head>
+<body>${body}</body>
+</html>`;
+}
+
+/**
+ * Recursively clean the children of a node
+ * @param {Node} parent - Node whose children are cleaned
+ * @param {Function} resolveImage - cid: resolver
+ */
+function cleanChildren(parent, resolveImage) {
+    for (const node of Array.from(parent.childNodes)) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            continue;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            // Comments (including Outlook's conditional comments), processing instructions
+            node.remove();
+            continue;
+        }
+
+        const tag = node.localName;
+
+        if (DROPPED_TAGS.has(tag) || tag === 'style' || tag === 'head') {
+            node.remove();
+            continue;
+        }
+
+        cleanChildren(node, resolveImage);
+
+        if (!ALLOWED_TAGS.has(tag)) {
+            // Keep the content of unknown wrappers (o:p, section, …)
+            node.replaceWith(...node.childNodes);
+            continue;
+        }
+
+        cleanAttributes(node, resolveImage);
+    }
+}
+
+/**
+ * Remove every attribute that isn't allowlisted, and vet links, images and inline styles
+ * @param {Element} element - Element to clean
+ * @param {Function} resolveImage - cid: resolver
+ */
+function cleanAttributes(element, resolveImage) {
+    const original = {
+        href: element.getAttribute('href'),
+        src: element.getAttribute('src')
+    };
+
+    for (const attribute of Array.from(element.attributes)) {
+        if (!ALLOWED_ATTRIBUTES.has(attribute.name.toLowerCase())) {
+            element.removeAttribute(attribute.name);
+        }
+    }
+
+    if (element.hasAttribute('style')) {
+        const style = sanitizeCss(element.getAttribute('style'));
+        if (style) {
+            element.setAttribute('style', style);
+        } else {
+            element.removeAttribute('style');
+        }
+    }
+
+    // The frame may not open popups, so target="_blank" keeps a click from loading the
+    // page inside the card; the viewer opens links outside the frame after asking
+    if (element.localName === 'a' && original.href && SAFE_LINK.test(original.href.trim())) {
+        element.setAttribute('href', original.href.trim());
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    if (element.localName === 'img') {
+        const src = resolveImageSource((original.src || '').trim(), resolveImage);
+
+        if (src) {
+            element.setAttribute('src', src);
+        } else {
+            // Remote images are never fetched; keep a visible trace of them
+            element.setAttribute('alt', `[image${original.src ? ' not shown' : ''}: ${element.getAttribute('alt') || 'no description'}]`);
+        }
+    }
+}
+
+/**
+ * Work out what an <img> may display
+ * @param {string} src - Original src
+ * @param {Function} resolveImage - cid: resolver
+ * @returns {string|null} data: URL, or null if the image is not available offline
+ */
+function resolveImageSource(src, resolveImage) {
+    if (/^cid:/i.test(src)) {
+        const dataUrl = resolveImage ? resolveImage(safeDecodeUri(src.substring(4))) : null;
+        return dataUrl && SAFE_IMAGE.test(dataUrl) ? dataUrl : null;
+    }
+
+    return SAFE_IMAGE.test(src) ? src : null;
+}
+
+/**
+ * Drop CSS declarations and rules that could load resources or run code
+ * @param {string} css - Style sheet or inline style text
+ * @returns {string} Safe CSS
+ */
+function sanitizeCss(css) {
+    return (css || '')
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(UNSAFE_DECLARATION, '')
+        .trim();
+}
+
+/**
+ * Decode a percent-encoded cid: reference, leaving malformed ones as they are
+ */
+function safeDecodeUri(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Escape text for a double-quoted attribute
+ */
+function escapeAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
@@ -0,0 +1,205 @@
+/**
+ * Chronology index export
+ * One row per email (sequence, dates, user edits, participants, subject, attachments,
+ * source and origin) as CSV or as an Excel workbook, for privilege logs
+ * and review tracking
+ */
+
+import { createZip } from './zipWriter.js';
+import { escapeXml } from './xmlText.js';
+import { getEffectiveDate, describeEmailDate } from './dateEdits.js';
+import { getFieldValue, listUserEdits } from './emailEdits.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const COLUMNS = [
+    { title: 'Seq', width: 6 },
+    { title: 'Date (ISO)', width: 22 },
+    { title: 'Date', width: 28 },
+    { title: 'User Edits', width: 20 },
+    { title: 'From', width: 32 },
+    { title: 'To', width: 40 },
+    { title: 'Cc', width: 32 },
+    { title: 'Subject', width: 48 },
+    { title: 'Attachments', width: 36 },
+    { title: 'Source File', width: 40 },
+    { title: 'Origin', width: 18 }
+];
+
+// Excel refuses cells longer than this
+const MAX_CELL_LENGTH = 32767;
+
+// Spreadsheet apps read a cell starting with one of these as a formula; subjects,
+// senders and attachment names come from untrusted mail
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+/**
+ * Build the index rows
+ * @param {Array<Object>} emails - Emails in chronological order (EmailChain.getSortedEmails)
+ * @param {Function} formatDate - Formats a date for display: (date) => string
+ * @returns {Array<Array>} Rows of cell values (the sequence number is a number, the rest strings)
+ */
+export function buildIndexRows(emails, formatDate) {
+    return emails.map((email, index) => [
+        index + 1,
+        getEffectiveDate(email) ? getEffectiveDate(email).toISOString() : '',
+        describeEmailDate(email, formatDate),
+        listUserEdits(email).join(', '),
+        getFieldValue(email, 'from'),
+        getFieldValue(email, 'to'),
+        getFieldValue(email, 'cc'),
+        getFieldValue(email, 'subject'),
+        (email.attachments || []).join('; '),
+        email.sourceFile || '',
+        email.splitFromChain ? 'Split from chain' : 'Top-level'
+    ]);
+}
+
+/**
+ * Build the index as CSV (RFC 4180, with a UTF-8 byte order mark so Excel detects the encoding)
+ * @param {Array<Object>} emails - Emails in chronological order
+ * @param {Object} options - Export options
+ * @param {Function} options.formatDate - Formats a date for display
+ * @returns {Blob} CSV file
+ */
+export function createIndexCsv(emails, options = {}) {
+    const formatDate = options.formatDate || defaultFormatDate;
+    const rows = [COLUMNS.map(column => column.title), ...buildIndexRows(emails, formatDate)];
+    const csv = rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+
+    return new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * Build the index as an Excel workbook with a frozen, filterable header row
+ * @param {Array<Object>} emails - Emails in chronological order
+ * @param {Object} options - Export options
+ * @param {Function} options.formatDate - Formats a date for display
+ * @returns {Blob} .xlsx file
+ */
+export function createIndexXlsx(emails, options = {}) {
+    const formatDate = options.formatDate || defaultFormatDate;
+    const rows = [COLUMNS.map(column => column.title), ...buildIndexRows(emails, formatDate)];
+    const lastColumn = columnName(COLUMNS.length - 1);
+
+    const rowsXml = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number') {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+
+            // Style 2 has quotePrefix, so Excel keeps the cell text even when it is edited
+            const styleIndex = rowIndex === 0 ? 1 : (FORMULA_TRIGGER.test(value) ? 2 : 0);
+            const style = styleIndex ? ` s="${styleIndex}"` : '';
+            return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value, MAX_CELL_LENGTH)}</t></is></c>`;
+        }).join('');
+
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    const columnsXml = COLUMNS.map((column, i) =>
+        `<col min="${i + 1}" max="${i + 1}" width="${column.width}" customWidth="1"/>`
+    ).join('');
+
+    const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+        `<dimension ref="A1:${lastColumn}${rows.length}"/>` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${columnsXml}</cols>` +
+        `<sheetData>${rowsXml}</sheetData>` +
+        `<autoFilter ref="A1:${lastColumn}${rows.length}"/>` +
+        '</worksheet>';
+
+    const zip = createZip([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES },
+        { name: '_rels/.rels', content: PACKAGE_RELATIONSHIPS },
+        { name: 'xl/workbook.xml', content: workbookXml(lastColumn, rows.length) },
+        { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELATIONSHIPS },
+        { name: 'xl/styles.xml', content: STYLES },
+        { name: 'xl/worksheets/sheet1.xml', content: sheet }
+    ]);
+
+    return new Blob([zip], { type: XLSX_MIME_TYPE });
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * Text that would start a formula is prefixed with ' so it stays text
+ * @param {string|number} value - Cell value
+ * @returns {string} CSV field
+ */
+function escapeCsvField(value) {
+    const text = typeof value === 'string' && FORMULA_TRIGGER.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Fallback date formatter
+ */
+function defaultFormatDate(date) {
+    return date ? date.toLocaleString() : 'Unknown Date';
+}
+
+/**
+ * Workbook part: one sheet, with the filter range Excel expects to be defined
+ * @param {string} lastColumn - Name of the last column
+ * @param {number} rowCount - Number of rows including the header
+ * @returns {string} workbook.xml
+ */
+function workbookXml(lastColumn, rowCount) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Chronology" sheetId="1" r:id="rId1"/></sheets>' +
+        '<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">' +
+        `Chronology!$A$1:$${lastColumn}$${rowCount}</definedName></definedNames>` +
+        '</workbook>';
+}
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+const PACKAGE_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+const WORKBOOK_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+// Cell formats: 0 = default, 1 = bold shaded header
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+    '<fill><patternFill patternType="solid"><fgColor rgb="FFEEF1F6"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
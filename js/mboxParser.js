@@ -0,0 +1,161 @@
+/**
+ * .mbox mailbox splitter
+ * Splits a Unix mailbox into individual RFC 822 messages
+ *
+ * Supports the common variants:
+ * - mboxo / mboxrd: messages separated by "From " lines, with ">From " escaping in bodies
+ * - mboxcl / mboxcl2: a Content-Length header gives the exact body length
+ */
+
+import { bytesToBinaryString, binaryStringToBytes } from './mimeParser.js';
+import { createNamedBlob } from './fileTypes.js';
+
+// "From sender date" separator line, e.g. "From MAILER-DAEMON Fri Jul  8 12:08:34 2011"
+const SEPARATOR_PATTERN = /^From \S*[ \t]+.*\d{1,2}:\d{2}/;
+
+// Full asctime-style separator, trusted even without a preceding blank line
+const STRICT_SEPARATOR_PATTERN = /^From \S+ +(Mon|Tue|Wed|Thu|Fri|Sat|Sun) +(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) +\d{1,2} +\d{1,2}:\d{2}/;
+
+/**
+ * Read an .mbox file and split it into one blob per message
+ * Each blob has type message/rfc822 and a name identifying its position in the mailbox
+ * @param {File} file - .mbox file
+ * @returns {Promise<Array<Blob>>} Message blobs, in mailbox order
+ */
+export async function readMailbox(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const messages = splitMbox(bytesToBinaryString(new Uint8Array(arrayBuffer)));
+
+    return messages.map((message, index) => createNamedBlob(
+        [binaryStringToBytes(message)],
+        `${file.name} › message ${index + 1} of ${messages.length}`,
+        'message/rfc822'
+    ));
+}
+
+/**
+ * Split raw mailbox content into messages
+ * @param {string} raw - Mailbox content as a binary string
+ * @returns {Array<string>} Raw messages (binary strings)
+ */
+export function splitMbox(raw) {
+    const messages = [];
+    let position = findSeparator(raw, 0);
+
+    while (position !== -1) {
+        const lineEnd = raw.indexOf('\n', position);
+        if (lineEnd === -1) break;
+
+        const start = lineEnd + 1;
+        const fixedEnd = findContentLengthEnd(raw, start);
+        let end;
+        let next;
+
+        if (fixedEnd !== -1) {
+            // mboxcl/mboxcl2: the body length is known, bodies are not escaped
+            end = fixedEnd;
+            next = findSeparator(raw, fixedEnd);
+        } else {
+            next = findSeparator(raw, start);
+            end = next === -1 ? raw.length : next;
+        }
+
+        // Drop the blank line that precedes the next separator
+        let message = raw.substring(start, end).replace(/\r?\n$/, '');
+        if (fixedEnd === -1) {
+            message = unescapeFromLines(message);
+        }
+
+        if (message.trim()) {
+            messages.push(message);
+        }
+
+        position = next;
+    }
+
+    return messages;
+}
+
+/**
+ * Find the next "From " separator line at or after a position
+ * @param {string} raw - Mailbox content
+ * @param {number} from - Position to search from
+ * @returns {number} Start of the separator line, or -1
+ */
+function findSeparator(raw, from) {
+    let index = raw.indexOf('From ', from);
+
+    while (index !== -1) {
+        const atLineStart = index === 0 || raw[index - 1] === '\n';
+
+        if (atLineStart) {
+            const lineEnd = raw.indexOf('\n', index);
+            const line = raw.substring(index, lineEnd === -1 ? raw.length : lineEnd);
+
+            if (SEPARATOR_PATTERN.test(line) &&
+                (index === from || isPrecededByBlankLine(raw, index) || STRICT_SEPARATOR_PATTERN.test(line))) {
+                return index;
+            }
+        }
+
+        index = raw.indexOf('From ', index + 5);
+    }
+
+    return -1;
+}
+
+/**
+ * Check whether the line before a position is empty
+ * @param {string} raw - Mailbox content
+ * @param {number} index - Start of a line
+ * @returns {boolean} True if preceded by a blank line (or at the start)
+ */
+function isPrecededByBlankLine(raw, index) {
+    if (index === 0) return true;
+
+    // index - 1 is the line's own "\n"; look at what ends the previous line
+    let i = index - 2;
+    if (raw[i] === '\r') i--;
+    return i < 0 || raw[i] === '\n';
+}
+
+/**
+ * Use a Content-Length header to find the exact end of a message
+ * Only trusted when the length lands on the end of the mailbox or another separator
+ * @param {string} raw - Mailbox content
+ * @param {number} start - Start of the message headers
+ * @returns {number} End of the message, or -1 if there is no usable Content-Length
+ */
+function findContentLengthEnd(raw, start) {
+    const headerEndMatch = /\r?\n\r?\n/.exec(raw.substring(start, start + 65536));
+    if (!headerEndMatch) return -1;
+
+    const headerBlock = raw.substring(start, start + headerEndMatch.index);
+    const lengthMatch = headerBlock.match(/^Content-Length:\s*(\d+)\s*$/mi);
+    if (!lengthMatch) return -1;
+
+    const bodyStart = start + headerEndMatch.index + headerEndMatch[0].length;
+    const end = bodyStart + Number(lengthMatch[1]);
+
+    if (end > raw.length) return -1;
+
+    const rest = raw.substring(end, end + 4096);
+    if (!rest.trim()) return end;
+
+    const separatorOffset = rest.search(/^(\r?\n)*From /);
+    if (separatorOffset === 0) {
+        const separatorStart = end + rest.indexOf('From ');
+        return findSeparator(raw, separatorStart) === separatorStart ? end : -1;
+    }
+
+    return -1;
+}
+
+/**
+ * Undo mboxo/mboxrd escaping: ">From " -> "From ", ">>From " -> ">From "
+ * @param {string} message - Raw message
+ * @returns {string} Unescaped message
+ */
+function unescapeFromLines(message) {
+    return message.replace(/^>(>*From )/gm, '$1');
+}
@@ -0,0 +1,533 @@
+/**
+ * MIME message parser
+ * Decodes RFC 822 / MIME messages (.eml): headers, multipart bodies,
+ * transfer encodings, RFC 2047 encoded words and attachments
+ *
+ * Raw message data is handled as a "binary string" (one character per byte)
+ * until the charset of each part is known.
+ */
+
+/**
+ * Parse a raw MIME message
+ * @param {string} raw - Message source as a binary string
+ * @returns {Object} Parsed message: { headers, text, html, attachments }
+ */
+export function parseMimeMessage(raw) {
+    const root = parsePart(raw);
+    const message = {
+        headers: root.headers,
+        text: '',
+        html: '',
+        attachments: []
+    };
+
+    collectParts(root, message);
+
+    return message;
+}
+
+/**
+ * Get the first value of a header, decoded for display
+ * @param {Array<Object>} headers - Headers from parseMimeMessage
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string} Decoded header value, or empty string
+ */
+export function getHeader(headers, name) {
+    const lowerName = name.toLowerCase();
+    const header = headers.find(h => h.name.toLowerCase() === lowerName);
+    return header ? decodeHeaderValue(header.value) : '';
+}
+
+/**
+ * Parse a header block into name/value pairs
+ * Folded continuation lines are unfolded into their header
+ * @param {string} block - Raw header block
+ * @returns {Array<Object>} Array of { name, value } (values are raw)
+ */
+export function parseHeaders(block) {
+    const headers = [];
+
+    for (const line of block.split(/\r?\n/)) {
+        if (/^[ \t]/.test(line) && headers.length > 0) {
+            headers[headers.length - 1].value += ' ' + line.trim();
+            continue;
+        }
+
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers.push({
+                name: line.substring(0, colon).trim(),
+                value: line.substring(colon + 1).trim()
+            });
+        }
+    }
+
+    return headers;
+}
+
+/**
+ * Decode a raw header value: 8-bit bytes and RFC 2047 encoded words
+ * @param {string} value - Raw header value (binary string)
+ * @returns {string} Decoded value
+ */
+export function decodeHeaderValue(value) {
+    if (!value) return '';
+    return decodeEncodedWords(decodeRawText(value));
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=)
+ * Whitespace between adjacent encoded words is dropped, as the RFC requires
+ * @param {string} text - Header text
+ * @returns {string} Decoded text
+ */
+export function decodeEncodedWords(text) {
+    if (!text || text.indexOf('=?') === -1) {
+        return text || '';
+    }
+
+    return text
+        .replace(/(\?=)\s+(?==\?)/g, '$1')
+        .replace(/=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g, (match, charset, encoding, encoded) => {
+            // Strip RFC 2231 language suffix (charset*lang)
+            const cleanCharset = charset.split('*')[0];
+            const binary = encoding.toUpperCase() === 'B'
+                ? decodeBase64(encoded)
+                : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+            return decodeCharset(binary, cleanCharset);
+        });
+}
+
+/**
+ * Parse an address list header into individual addresses
+ * Handles quoted names, angle-bracket addresses, comments and groups
+ * @param {string} value - Decoded header value
+ * @returns {Array<Object>} Array of { name, email }
+ */
+export function parseAddressList(value) {
+    if (!value) return [];
+
+    return splitOutsideQuotes(value, ',')
+        .map(parseAddress)
+        .filter(address => address.name || address.email);
+}
+
+/**
+ * Convert a byte array to a binary string
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} Binary string
+ */
+export function bytesToBinaryString(bytes) {
+    const chunks = [];
+    const chunkSize = 0x8000;
+
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize)));
+    }
+
+    return chunks.join('');
+}
+
+/**
+ * Convert a binary string to a byte array
+ * @param {string} binary - Binary string
+ * @returns {Uint8Array} Bytes
+ */
+export function binaryStringToBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+}
+
+/**
+ * Split a raw part into headers and body, and parse nested parts
+ * A part that starts with a line break has no headers (RFC 2046: it is text/plain),
+ * e.g. the multipart child "\r\n\r\nHello there.\r\n\r\nSecond para." is all body;
+ * its first paragraph is not a header block
+ * @param {string} raw - Raw part (binary string)
+ * @returns {Object} Part object
+ */
+function parsePart(raw) {
+    const separator = raw.search(/\r?\n\r?\n/);
+    const leadingBreak = raw.match(/^\r?\n/);
+    let headerBlock = raw;
+    let body = '';
+
+    if (leadingBreak) {
+        headerBlock = '';
+        body = raw.substring(leadingBreak[0].length);
+    } else if (separator !== -1) {
+        headerBlock = raw.substring(0, separator);
+        body = raw.substring(separator).replace(/^\r?\n\r?\n/, '');
+    }
+
+    const headers = parseHeaders(headerBlock);
+    const contentType = parseStructuredValue(getHeader(headers, 'content-type') || 'text/plain');
+    const disposition = parseStructuredValue(getHeader(headers, 'content-disposition'));
+
+    const part = {
+        headers,
+        mimeType: contentType.value.toLowerCase() || 'text/plain',
+        params: contentType.params,
+        disposition: disposition.value.toLowerCase(),
+        dispositionParams: disposition.params,
+        encoding: getHeader(headers, 'content-transfer-encoding').toLowerCase(),
+        contentId: getHeader(headers, 'content-id').replace(/^<|>$/g, ''),
+        body,
+        children: []
+    };
+
+    if (part.mimeType.startsWith('multipart/') && part.params.boundary) {
+        part.children = splitMultipart(body, part.params.boundary).map(parsePart);
+    }
+
+    return part;
+}
+
+/**
+ * Split a multipart body on its boundary lines
+ * @param {string} body - Multipart body
+ * @param {string} boundary - Boundary parameter
+ * @returns {Array<string>} Raw child parts (preamble and epilogue dropped)
+ */
+function splitMultipart(body, boundary) {
+    const delimiter = '--' + boundary;
+    const parts = [];
+    let current = null;
+
+    for (const line of body.split(/\r?\n/)) {
+        if (line.startsWith(delimiter)) {
+            const rest = line.substring(delimiter.length).trim();
+
+            if (current !== null) {
+                parts.push(current.join('\n'));
+            }
+
+            if (rest === '--') {
+                return parts;
+            }
+
+            current = rest === '' ? [] : null;
+            continue;
+        }
+
+        if (current !== null) {
+            current.push(line);
+        }
+    }
+
+    // Missing closing delimiter: keep what we have
+    if (current !== null) {
+        parts.push(current.join('\n'));
+    }
+
+    return parts;
+}
+
+/**
+ * Walk the part tree and fill in the message bodies and attachments
+ * @param {Object} part - Part object
+ * @param {Object} message - Message being assembled
+ */
+function collectParts(part, message) {
+    if (part.children.length > 0) {
+        part.children.forEach(child => collectParts(child, message));
+        return;
+    }
+
+    const fileName = decodeEncodedWords(
+        part.dispositionParams.filename || part.params.name || ''
+    );
+    const isAttachment = part.disposition === 'attachment' || Boolean(fileName);
+
+    if (!isAttachment && part.mimeType === 'text/plain' && !message.text) {
+        message.text = decodeCharset(decodeTransfer(part), part.params.charset);
+        return;
+    }
+
+    if (!isAttachment && part.mimeType === 'text/html' && !message.html) {
+        message.html = decodeCharset(decodeTransfer(part), part.params.charset);
+        return;
+    }
+
+    // Skip empty structural leftovers (e.g. a blank alternative)
+    if (!isAttachment && !part.body.trim()) {
+        return;
+    }
+
+    const content = binaryStringToBytes(decodeTransfer(part));
+
+    message.attachments.push({
+        fileName: fileName || defaultAttachmentName(part, message.attachments.length + 1),
+        mimeType: part.mimeType,
+        contentId: part.contentId,
+        content
+    });
+}
+
+/**
+ * Build a file name for an attachment that does not carry one
+ * @param {Object} part - Part object
+ * @param {number} index - 1-based attachment index
+ * @returns {string} File name
+ */
+function defaultAttachmentName(part, index) {
+    if (part.mimeType === 'message/rfc822') {
+        const subject = getHeader(parseHeaders(part.body.split(/\r?\n\r?\n/)[0]), 'subject');
+        return `${subject || 'Attached message'}.eml`;
+    }
+
+    const subtype = part.mimeType.split('/')[1] || 'bin';
+    return `attachment-${index}.${subtype.replace(/[^a-z0-9]/gi, '')}`;
+}
+
+/**
+ * Undo the Content-Transfer-Encoding of a part
+ * @param {Object} part - Part object
+ * @returns {string} Decoded body (binary string)
+ */
+function decodeTransfer(part) {
+    switch (part.encoding) {
+        case 'base64':
+            return decodeBase64(part.body);
+        case 'quoted-printable':
+            return decodeQuotedPrintable(part.body);
+        default:
+            return part.body;
+    }
+}
+
+/**
+ * Decode base64 text, ignoring whitespace and stray characters
+ * @param {string} text - Base64 text
+ * @returns {string} Decoded binary string
+ */
+function decodeBase64(text) {
+    let clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+    // Drop a dangling character that cannot form a byte
+    if (clean.length % 4 === 1) {
+        clean = clean.slice(0, -1);
+    }
+    while (clean.length % 4 !== 0) {
+        clean += '=';
+    }
+
+    try {
+        return atob(clean);
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Decode quoted-printable text
+ * @param {string} text - Quoted-printable text
+ * @returns {string} Decoded binary string
+ */
+function decodeQuotedPrintable(text) {
+    return text
+        .replace(/[ \t]+(\r?\n)/g, '$1')     // Trailing whitespace is not significant
+        .replace(/=\r?\n/g, '')              // Soft line breaks
+        .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Decode a binary string using the given charset
+ * @param {string} binary - Binary string
+ * @param {string} charset - Charset label (defaults to UTF-8)
+ * @returns {string} Decoded text
+ */
+function decodeCharset(binary, charset) {
+    if (!binary) return '';
+
+    const bytes = binaryStringToBytes(binary);
+    const label = (charset || 'utf-8').trim().toLowerCase();
+
+    try {
+        return new TextDecoder(label).decode(bytes);
+    } catch (error) {
+        // Unknown charset label: fall back to UTF-8/Windows-1252 detection
+        return decodeRawText(binary);
+    }
+}
+
+/**
+ * Decode text of unknown charset: UTF-8 when valid, otherwise Windows-1252
+ * @param {string} binary - Binary string
+ * @returns {string} Decoded text
+ */
+function decodeRawText(binary) {
+    // Pure ASCII needs no decoding
+    if (!/[\x80-\xff]/.test(binary)) {
+        return binary;
+    }
+
+    const bytes = binaryStringToBytes(binary);
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+/**
+ * Parse a structured header value such as Content-Type
+ * Example: 'text/plain; charset="utf-8"' -> { value: 'text/plain', params: { charset: 'utf-8' } }
+ * Supports RFC 2231 extended and continued parameters (name*=, name*0*=)
+ * @param {string} header - Header value
+ * @returns {Object} { value, params }
+ */
+function parseStructuredValue(header) {
+    const segments = splitOutsideQuotes(header || '', ';');
+    const value = (segments.shift() || '').trim();
+    const params = {};
+    const continued = {};
+
+    for (const segment of segments) {
+        const eq = segment.indexOf('=');
+        if (eq === -1) continue;
+
+        const key = segment.substring(0, eq).trim().toLowerCase();
+        let paramValue = segment.substring(eq + 1).trim();
+
+        if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+            paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+        }
+
+        const extended = key.match(/^([^*]+)\*(\d+)?(\*)?$/);
+        if (extended) {
+            const [, baseName, index = '0', encodedFlag] = extended;
+            const isEncoded = Boolean(encodedFlag) || (extended[2] === undefined);
+            (continued[baseName] = continued[baseName] || []).push({
+                index: Number(index),
+                value: paramValue,
+                encoded: isEncoded
+            });
+        } else {
+            params[key] = paramValue;
+        }
+    }
+
+    for (const [name, pieces] of Object.entries(continued)) {
+        pieces.sort((a, b) => a.index - b.index);
+        params[name] = decodeRfc2231(pieces);
+    }
+
+    return { value, params };
+}
+
+/**
+ * Join and decode RFC 2231 parameter pieces (charset'lang'%XX...)
+ * @param {Array<Object>} pieces - Ordered pieces { value, encoded }
+ * @returns {string} Decoded parameter value
+ */
+function decodeRfc2231(pieces) {
+    let charset = 'utf-8';
+    let binary = '';
+
+    pieces.forEach((piece, i) => {
+        let text = piece.value;
+
+        if (i === 0 && piece.encoded) {
+            const match = text.match(/^([^']*)'[^']*'(.*)$/);
+            if (match) {
+                charset = match[1] || charset;
+                text = match[2];
+            }
+        }
+
+        binary += piece.encoded
+            ? text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+            : text;
+    });
+
+    return decodeCharset(binary, charset);
+}
+
+/**
+ * Parse a single address: "Name <addr>", "addr (Name)", "addr" or "Name"
+ * @param {string} text - Address text
+ * @returns {Object} { name, email }
+ */
+function parseAddress(text) {
+    // Drop group syntax ("Team: a@x.com" / trailing ";")
+    let address = text.trim().replace(/;$/, '').trim();
+    const groupMatch = address.match(/^([^"<@:]+):\s*(.*)$/);
+    if (groupMatch) {
+        address = groupMatch[2];
+    }
+
+    const angle = address.match(/^(.*)<([^>]*)>\s*$/);
+    if (angle) {
+        return {
+            name: unquoteName(angle[1]),
+            email: angle[2].trim()
+        };
+    }
+
+    const comment = address.match(/^(\S+@\S+)\s*\((.*)\)$/);
+    if (comment) {
+        return { name: unquoteName(comment[2]), email: comment[1] };
+    }
+
+    if (address.includes('@')) {
+        return { name: '', email: address.replace(/^"|"$/g, '') };
+    }
+
+    return { name: unquoteName(address), email: '' };
+}
+
+/**
+ * Remove surrounding quotes and escapes from a display name
+ * @param {string} name - Raw display name
+ * @returns {string} Clean display name
+ */
+function unquoteName(name) {
+    let clean = name.trim();
+    if (clean.startsWith('"') && clean.endsWith('"') && clean.length >= 2) {
+        clean = clean.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return clean.trim();
+}
+
+/**
+ * Split text on a delimiter, ignoring delimiters inside quotes, <> or ()
+ * @param {string} text - Text to split
+ * @param {string} delimiter - Single-character delimiter
+ * @returns {Array<string>} Segments
+ */
+function splitOutsideQuotes(text, delimiter) {
+    const segments = [];
+    let current = '';
+    let inQuotes = false;
+    let angleDepth = 0;
+    let parenDepth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\\' && inQuotes && i + 1 < text.length) {
+            current += char + text[++i];
+            continue;
+        }
+
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && char === '<') angleDepth++;
+        else if (!inQuotes && char === '>') angleDepth = Math.max(0, angleDepth - 1);
+        else if (!inQuotes && char === '(') parenDepth++;
+        else if (!inQuotes && char === ')') parenDepth = Math.max(0, parenDepth - 1);
+
+        if (char === delimiter && !inQuotes && angleDepth === 0 && parenDepth === 0) {
+            segments.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    segments.push(current);
+    return segments;
+}
@@ -1,13 +1,37 @@
 /**
- * .msg file parser
- * Wrapper around @kenjiuno/msgreader library
- * Main coordinator for parsing .msg files and extracting email data
+ * .msg, .eml and archive message parser
+ * Wrapper around @kenjiuno/msgreader library, the MIME parser and the PST reader
+ * Main coordinator for parsing email files and extracting email data
  */
 
 import * as MsgReader from '@kenjiuno/msgreader';
 import { formatAddress, formatRecipients, parseDate } from './formatters.js';
-import { extractBody, extractAttachments } from './bodyExtractor.js';
+import { extractBody, extractHtmlBody, extractAttachments, extractAttachmentFiles } from './bodyExtractor.js';
 import { parseForwardedChain } from './chainParser.js';
+import { parseMimeMessage, getHeader, parseAddressList, bytesToBinaryString } from './mimeParser.js';
+import { getFileExtension } from './fileTypes.js';
+import { getThreadingFromFields, getThreadingFromHeaders, observeThreadingProperty } from './threading.js';
+
+// Messages attached inside attached messages deeper than this are not parsed
+const MAX_EMBEDDED_DEPTH = 10;
+
+/**
+ * Parse any supported email file, choosing the parser by type or extension
+ * @param {File|Blob|Object} file - .msg or .eml file, message/rfc822 blob, or archive message entry
+ * @returns {Promise<Array<Object>>} Array of parsed email objects
+ * @throws {Error} If parsing fails
+ */
+export async function parseEmailFile(file) {
+    if (file.pstReader) {
+        return parsePstMessage(file);
+    }
+
+    if (file.type === 'message/rfc822' || getFileExtension(file.name) === '.eml') {
+        return parseEmlFile(file);
+    }
+
+    return parseMsgFile(file);
+}
 
 /**
  * Parse a .msg file
@@ -21,28 +45,262 @@ export async function parseMsgFile(file) {
         const arrayBuffer = await file.arrayBuffer();
 
         // Parse using MsgReader
-        const msgReader = new MsgReader.default(arrayBuffer);
+        const msgReader = createMsgReader(arrayBuffer);
         const fileData = msgReader.getFileData();
 
         // Extract email data
-        const email = {
-            subject: fileData.subject || '',
-            from: formatAddress(fileData.senderName, fileData.senderEmail),
-            to: formatRecipients(fileData.recipients, 'to'),
-            cc: formatRecipients(fileData.recipients, 'cc'),
-            date: parseDate(fileData.messageDeliveryTime || fileData.clientSubmitTime),
-            body: extractBody(fileData),
-            attachments: extractAttachments(fileData.attachments),
-            sourceFile: file.name  // Track source filename
-        };
-
-        // Check if this is a forwarded email chain and extract individual emails
-        const chainEmails = parseForwardedChain(email, file.name);
-
-        // Return array of emails (either the chain or single email wrapped in array)
-        return chainEmails.length > 0 ? chainEmails : [email];
+        const readContent = (attachment) => msgReader.getAttachment(attachment).content;
+        const email = createEmailFromFields(fileData, file.name, readContent);
+        const embedded = parseEmbeddedMessages(fileData.attachments, file.name, readContent);
+
+        return [...splitForwardedChain(email, file.name), ...embedded];
     } catch (error) {
         console.error('Error parsing .msg file:', error);
         throw new Error(`Failed to parse ${file.name}: ${error.message}`);
     }
 }
+
+/**
+ * Create a MsgReader that also keeps the threading properties msgreader doesn't decode
+ * @param {ArrayBuffer|Uint8Array} data - .msg file contents
+ * @returns {Object} MsgReader instance
+ */
+function createMsgReader(data) {
+    const msgReader = new MsgReader.default(data);
+    msgReader.parserConfig = { propertyObserver: observeThreadingProperty };
+    return msgReader;
+}
+
+/**
+ * Parse a message from an Outlook .pst/.ost archive
+ * @param {Object} entry - Queue entry from PstReader.createMessageEntry
+ * @returns {Promise<Array<Object>>} Array of parsed email objects
+ * @throws {Error} If parsing fails
+ */
+export async function parsePstMessage(entry) {
+    try {
+        const fields = await entry.pstReader.readMessage(entry.nid);
+        const readContent = (attachment) => attachment.content;
+        const email = createEmailFromFields(fields, entry.name, readContent);
+        const embedded = parseEmbeddedMessages(fields.attachments, entry.name, readContent);
+
+        return [...splitForwardedChain(email, entry.name), ...embedded];
+    } catch (error) {
+        console.error('Error parsing archive message:', error);
+        throw new Error(`Failed to parse ${entry.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Build an email object from msgreader-style message fields
+ * Shared by .msg files and .pst/.ost archive messages
+ * @param {Object} fields - Message fields (msgreader getFileData layout)
+ * @param {string} sourceFile - Name of the source file
+ * @param {Function} readContent - Reads an attachment's bytes: (attachment) => Uint8Array
+ * @returns {Object} Email object
+ */
+function createEmailFromFields(fields, sourceFile, readContent) {
+    return {
+        subject: fields.subject || '',
+        from: formatAddress(fields.senderName, fields.senderEmail),
+        to: formatRecipients(fields.recipients, 'to'),
+        cc: formatRecipients(fields.recipients, 'cc'),
+        date: parseDate(fields.messageDeliveryTime || fields.clientSubmitTime),
+        body: extractBody(fields),
+        bodyHtml: extractHtmlBody(fields),
+        attachments: extractAttachments(fields.attachments),
+        attachmentFiles: extractAttachmentFiles(fields.attachments, readContent),
+        ...getThreadingFromFields(fields),
+        sourceFile  // Track source filename
+    };
+}
+
+/**
+ * Parse an .eml (RFC 822 / MIME) file
+ * @param {File} file - .eml file to parse
+ * @returns {Promise<Array<Object>>} Array of parsed email objects
+ * @throws {Error} If parsing fails
+ */
+export async function parseEmlFile(file) {
+    try {
+        const arrayBuffer = await file.arrayBuffer();
+        const raw = bytesToBinaryString(new Uint8Array(arrayBuffer));
+
+        const message = parseMimeMessage(raw);
+        const email = createEmailFromMime(message, file.name);
+        const embedded = parseEmbeddedMessages(message.attachments, file.name, (attachment) => attachment.content);
+
+        return [...splitForwardedChain(email, file.name), ...embedded];
+    } catch (error) {
+        console.error('Error parsing .eml file:', error);
+        throw new Error(`Failed to parse ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Build an email object from raw MIME source
+ * Produces the same shape as parseMsgFile so the rest of the app is format-agnostic
+ * @param {string} raw - Message source as a binary string
+ * @param {string} sourceFile - Name of the source file
+ * @returns {Object} Email object
+ */
+export function parseMimeEmail(raw, sourceFile) {
+    return createEmailFromMime(parseMimeMessage(raw), sourceFile);
+}
+
+/**
+ * Build an email object from a parsed MIME message
+ * @param {Object} message - Result of parseMimeMessage
+ * @param {string} sourceFile - Name of the source file
+ * @returns {Object} Email object
+ * @throws {Error} If the message has no headers
+ */
+function createEmailFromMime(message, sourceFile) {
+    const headers = message.headers;
+
+    if (headers.length === 0) {
+        throw new Error('No message headers found');
+    }
+
+    const sender = parseAddressList(getHeader(headers, 'from'))[0] || {};
+    const recipients = [
+        ...parseAddressList(getHeader(headers, 'to')).map(r => ({ ...r, recipType: 'to' })),
+        ...parseAddressList(getHeader(headers, 'cc')).map(r => ({ ...r, recipType: 'cc' }))
+    ];
+
+    return {
+        subject: getHeader(headers, 'subject'),
+        from: formatAddress(sender.name, sender.email),
+        to: formatRecipients(recipients, 'to'),
+        cc: formatRecipients(recipients, 'cc'),
+        date: parseDate(getHeader(headers, 'date')),
+        dateText: getHeader(headers, 'date'),
+        body: extractBody({ body: message.text, bodyHTML: message.html }),
+        bodyHtml: message.html || '',
+        attachments: extractAttachments(message.attachments),
+        attachmentFiles: extractAttachmentFiles(message.attachments, (attachment) => attachment.content),
+        ...getThreadingFromHeaders(headers),
+        sourceFile
+    };
+}
+
+/**
+ * Parse emails that were forwarded as attachments, recursively
+ * Each runs through the same pipeline as a top-level file (including chain splitting)
+ * and is labelled with its provenance, e.g. "Outer.msg › Attached.msg"
+ * @param {Array<Object>} attachments - Attachments (msgreader or MIME parser layout)
+ * @param {string} parentSource - Source label of the containing email
+ * @param {Function} readContent - Reads an attachment's bytes: (attachment) => Uint8Array
+ * @param {number} depth - Nesting depth
+ * @returns {Array<Object>} Parsed emails
+ */
+function parseEmbeddedMessages(attachments, parentSource, readContent, depth = 0) {
+    const emails = [];
+
+    if (!attachments || depth >= MAX_EMBEDDED_DEPTH) {
+        return emails;
+    }
+
+    for (const attachment of attachments) {
+        const kind = getEmbeddedMessageKind(attachment);
+        if (!kind) continue;
+
+        const sourceFile = `${parentSource} › ${getEmbeddedMessageName(attachment, kind)}`;
+
+        try {
+            let email;
+            let nested;
+
+            if (kind === 'fields') {
+                // Embedded Outlook item: msgreader/PstReader already parsed its properties
+                const fields = attachment.innerMsgContentFields;
+                email = createEmailFromFields(fields, sourceFile, readContent);
+                nested = parseEmbeddedMessages(fields.attachments, sourceFile, readContent, depth + 1);
+            } else if (kind === 'msg') {
+                const msgReader = createMsgReader(readContent(attachment));
+                const fields = msgReader.getFileData();
+                const readInner = (inner) => msgReader.getAttachment(inner).content;
+                email = createEmailFromFields(fields, sourceFile, readInner);
+                nested = parseEmbeddedMessages(fields.attachments, sourceFile, readInner, depth + 1);
+            } else {
+                const message = parseMimeMessage(bytesToBinaryString(readContent(attachment)));
+                email = createEmailFromMime(message, sourceFile);
+                nested = parseEmbeddedMessages(message.attachments, sourceFile, (inner) => inner.content, depth + 1);
+            }
+
+            emails.push(...splitForwardedChain(email, sourceFile), ...nested);
+        } catch (error) {
+            // An unreadable attachment shouldn't lose the email it is attached to
+            console.error(`Error parsing attached message ${sourceFile}:`, error);
+        }
+    }
+
+    return emails;
+}
+
+/**
+ * Work out whether an attachment is an email message, and in which format
+ * @param {Object} attachment - Attachment
+ * @returns {string|null} 'fields' (already parsed Outlook item), 'msg', 'eml', or null
+ */
+function getEmbeddedMessageKind(attachment) {
+    if (attachment.innerMsgContent && attachment.innerMsgContentFields) {
+        return 'fields';
+    }
+
+    const extension = getFileExtension(attachment.fileName || attachment.name);
+    const mimeType = (attachment.mimeType || attachment.attachMimeTag || '').toLowerCase();
+
+    if (extension === '.msg' || mimeType === 'application/vnd.ms-outlook') {
+        return 'msg';
+    }
+
+    if (extension === '.eml' || mimeType === 'message/rfc822') {
+        return 'eml';
+    }
+
+    return null;
+}
+
+/**
+ * Name an attached message for its provenance label
+ * @param {Object} attachment - Attachment
+ * @param {string} kind - Result of getEmbeddedMessageKind
+ * @returns {string} File name, e.g. "Attached.msg"
+ */
+function getEmbeddedMessageName(attachment, kind) {
+    const name = attachment.fileName || attachment.name ||
+        (kind === 'fields' && attachment.innerMsgContentFields.subject) || 'Attached message';
+
+    if (getFileExtension(name) === '.msg' || getFileExtension(name) === '.eml') {
+        return name;
+    }
+    return `${name}.${kind === 'eml' ? 'eml' : 'msg'}`;
+}
+
+/**
+ * Split a forwarded chain out of an email, if it contains one
+ * @param {Object} email - Parsed email object
+ * @param {string} sourceFile - Name of the source file
+ * @returns {Array<Object>} The chain emails, or the single email wrapped in an array
+ */
+function splitForwardedChain(email, sourceFile) {
+    // Check if this is a forwarded email chain and extract individual emails
+    const chainEmails = parseForwardedChain(email, sourceFile);
+
+    // The attachments travelled with the containing message; when the chain doesn't keep
+    // it as its own entry, they go to the newest message of the chain
+    if (chainEmails.length > 0 && chainEmails[0].splitFromChain && email.attachmentFiles && email.attachmentFiles.length > 0) {
+        chainEmails[0].attachments = email.attachments;
+        chainEmails[0].attachmentFiles = email.attachmentFiles;
+    }
+
+    // Quoted headers often name people without their address; the containing message's
+    // own headers have it, and the participant directory reads it from here
+    chainEmails.filter(chainEmail => chainEmail.splitFromChain).forEach(chainEmail => {
+        chainEmail.containerHeaders = { from: email.from || '', to: email.to || '', cc: email.cc || '' };
+    });
+
+    // Return array of emails (either the chain or single email wrapped in array)
+    return chainEmails.length > 0 ? chainEmails : [email];
+}
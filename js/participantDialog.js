@@ -0,0 +1,197 @@
+/**
+ * Participant directory dialog
+ * Lists everyone in the chain with the names and addresses they were written as and
+ * how often they sent, received and were copied; people can be merged, and a name or
+ * address split off into a person of its own
+ */
+
+import { describeVariant } from './participants.js';
+
+export class ParticipantDialog {
+    /**
+     * @param {Object} options - Dialog options
+     * @param {Function} options.onMerge - Called to merge people: (people) => void
+     * @param {Function} options.onSplit - Called to split a variant off its person: (person, key) => void
+     * @param {Function} options.formatDate - Formats a date for display: (date) => string
+     */
+    constructor(options) {
+        this.dialogEl = document.getElementById('participantDialog');
+        this.listEl = document.getElementById('participantList');
+        this.statusEl = document.getElementById('participantStatus');
+        this.mergeBtn = document.getElementById('participantMergeBtn');
+        this.closeBtn = document.getElementById('participantCloseBtn');
+
+        this.onMerge = options.onMerge;
+        this.onSplit = options.onSplit;
+        this.formatDate = options.formatDate;
+        this.registry = null;
+
+        this.listEl.addEventListener('change', () => this.updateSelection());
+        this.listEl.addEventListener('click', (e) => this.handleSplitClick(e));
+        this.mergeBtn.addEventListener('click', () => this.onMerge(this.getSelectedPeople()));
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Show the directory
+     * @param {Object} registry - From buildParticipantRegistry
+     */
+    show(registry) {
+        this.dialogEl.classList.remove('hidden');
+        this.update(registry);
+    }
+
+    /**
+     * Show the directory again after a merge or split (ticks are cleared)
+     * @param {Object} registry - From buildParticipantRegistry
+     */
+    update(registry) {
+        this.registry = registry;
+        if (this.dialogEl.classList.contains('hidden')) return;
+
+        this.listEl.innerHTML = '';
+        if (registry.people.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'participant-empty';
+            empty.textContent = 'No senders or recipients were found.';
+            this.listEl.appendChild(empty);
+        } else {
+            this.listEl.appendChild(this.createTable(registry.people));
+        }
+        this.updateSelection();
+    }
+
+    /**
+     * Build the table of people
+     * @param {Array<Object>} people - People from the registry
+     * @returns {HTMLElement} Table element
+     */
+    createTable(people) {
+        const table = document.createElement('table');
+        table.className = 'participant-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Person</th>
+                    <th>Written as</th>
+                    <th title="Emails they sent">Sent</th>
+                    <th title="Emails addressed to them">Received</th>
+                    <th title="Emails they were copied on">Cc'd</th>
+                    <th>First seen</th>
+                    <th>Last seen</th>
+                </tr>
+            </thead>
+        `;
+
+        const body = document.createElement('tbody');
+        people.forEach((person, index) => {
+            const row = document.createElement('tr');
+
+            const select = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(index);
+            checkbox.setAttribute('aria-label', `Select ${person.displayName}`);
+            select.appendChild(checkbox);
+
+            const name = document.createElement('td');
+            const displayName = document.createElement('div');
+            displayName.className = 'participant-name';
+            displayName.textContent = person.displayName;
+            name.appendChild(displayName);
+            if (person.address && person.address !== person.displayName) {
+                const address = document.createElement('div');
+                address.className = 'participant-address';
+                address.textContent = person.address;
+                name.appendChild(address);
+            }
+
+            const variants = document.createElement('td');
+            person.variants.forEach(key => variants.appendChild(this.createVariantElement(person, key, index)));
+
+            row.append(select, name, variants);
+            [person.sent, person.received, person.cc].forEach(count => row.appendChild(createCell(String(count), 'participant-count')));
+            [person.first, person.last].forEach(date => row.appendChild(createCell(date ? this.formatDate(date) : '—', 'participant-date')));
+            body.appendChild(row);
+        });
+
+        table.appendChild(body);
+        return table;
+    }
+
+    /**
+     * Build the chip for one name or address a person was written as
+     * @param {Object} person - Person from the registry
+     * @param {string} key - Variant key
+     * @param {number} index - Person's position in the registry
+     * @returns {HTMLElement} Chip element
+     */
+    createVariantElement(person, key, index) {
+        const chip = document.createElement('span');
+        chip.className = 'participant-variant';
+        chip.textContent = describeVariant(key);
+        chip.title = key.startsWith('address:') ? 'Address' : 'Name (compared ignoring case, accents and "Last, First" order)';
+
+        // A lone variant is already its own person
+        if (person.variants.length > 1) {
+            const split = document.createElement('button');
+            split.type = 'button';
+            split.className = 'participant-split-btn';
+            split.dataset.person = String(index);
+            split.dataset.key = key;
+            split.title = 'Not the same person: split this off';
+            split.textContent = 'Split';
+            chip.appendChild(split);
+        }
+
+        return chip;
+    }
+
+    /**
+     * Split a variant off when its button is clicked
+     * @param {Event} e - Click event in the list
+     */
+    handleSplitClick(e) {
+        const button = e.target.closest('.participant-split-btn');
+        if (!button) return;
+        this.onSplit(this.registry.people[Number(button.dataset.person)], button.dataset.key);
+    }
+
+    /**
+     * Get the ticked people
+     * @returns {Array<Object>} People from the registry
+     */
+    getSelectedPeople() {
+        return Array.from(this.listEl.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => this.registry.people[Number(checkbox.value)]);
+    }
+
+    /**
+     * Refresh the status and the merge button for the ticked people
+     */
+    updateSelection() {
+        const selected = this.getSelectedPeople().length;
+        const total = this.registry ? this.registry.people.length : 0;
+
+        this.statusEl.textContent = selected > 0
+            ? `${selected} of ${total} selected`
+            : `${total} ${total !== 1 ? 'people' : 'person'}`;
+        this.mergeBtn.disabled = selected < 2;
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        this.dialogEl.classList.add('hidden');
+        this.listEl.innerHTML = '';
+    }
+}
+
+function createCell(text, className) {
+    const cell = document.createElement('td');
+    cell.className = className;
+    cell.textContent = text;
+    return cell;
+}
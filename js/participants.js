@@ -0,0 +1,450 @@
+/**
+ * Participant directory
+ * Groups the ways one person is written across the chain ("Jane Doe <jane@x.com>",
+ * "Jane Doe" in a quoted header, "jane@x.com", "Doe, Jane") into one identity, counts
+ * what each person sent and received, and fills in the addresses quoted headers leave out.
+ * The user's merges and splits are kept as overrides beside the parsed fields:
+ * { links: [[variantKey, variantKey]], detached: [variantKey] }
+ */
+
+import { getFieldValue } from './emailEdits.js';
+import { getEffectiveDate } from './dateEdits.js';
+
+const ADDRESS = /[\w.+'-]+@[\w-]+(?:\.[\w-]+)+/;
+
+// A given name or initial, perhaps with a middle initial: "Jane", "J.", "Jane Q."
+const GIVEN_NAME = /^\p{L}[\p{L}'-]*\.?(?:\s+\p{L}\.?)?$/u;
+
+// Roles a person can have in an email, and the field each is read from
+const ROLES = [
+    { role: 'sent', field: 'from' },
+    { role: 'received', field: 'to' },
+    { role: 'cc', field: 'cc' }
+];
+
+/**
+ * Overrides with no merges or splits
+ * @returns {Object} { links, detached }
+ */
+export function createParticipantOverrides() {
+    return { links: [], detached: [] };
+}
+
+/**
+ * Split a From/To/Cc field into the people it names
+ * Outlook separates people with ";", so commas only separate them when there is none.
+ * A one-word piece before a comma is a surname when a given name follows it and the
+ * chain never names it on its own: "Doe, Jane" is one person, and
+ * "Doe, Jane <jane@x.com>, Bob <bob@x.com>" two; "Alice, Bob" is two people when
+ * the chain names "Alice" alone elsewhere (soloNames), and one ("Bob Alice") otherwise
+ * @param {string} text - Field value
+ * @param {Set<string>} soloNames - Name keys the chain names on their own (default: none;
+ *   the registry's soloNames)
+ * @returns {Array<Object>} Mentions: { name, address, raw } (address lowercase; name or address may be '')
+ */
+export function parseParticipants(text, soloNames = new Set()) {
+    if (!text || !text.trim()) return [];
+
+    let pieces = splitOutside(text, ';');
+    if (pieces.length === 1) {
+        pieces = joinSurnames(splitOutside(text, ','), soloNames);
+    }
+
+    return pieces
+        .map(parseMention)
+        .filter(mention => mention.name || mention.address);
+}
+
+/**
+ * Build the directory of everyone in the chain
+ * A name and an address written together belong to one person, as does a name that
+ * spells an address ("Jane Doe" and jane.doe@x.com). Detached variants keep none of
+ * these automatic links; links the user made always hold
+ * @param {Array<Object>} emails - Emails in chronological order
+ * @param {Object} overrides - The user's merges and splits ({ links, detached })
+ * @returns {Object} { people, lookup, soloNames } - people, most often seen first; lookup maps a
+ *   variant key ("address:jane@x.com" or "name:jane doe") to its person; soloNames is
+ *   for parseParticipants
+ */
+export function buildParticipantRegistry(emails, overrides = createParticipantOverrides()) {
+    const detached = new Set(overrides.detached);
+    const parent = new Map();
+    const find = (key) => {
+        if (!parent.has(key)) parent.set(key, key);
+        let root = key;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(key, root);
+        return root;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent.set(rootB, rootA);
+    };
+    const link = (a, b) => {
+        if (!detached.has(a) && !detached.has(b)) union(a, b);
+    };
+
+    const fields = emails.flatMap(email => [
+        ...ROLES.map(({ field }) => getFieldValue(email, field)),
+        ...(email.containerHeaders ? ROLES.map(({ field }) => email.containerHeaders[field]) : [])
+    ]);
+    const soloNames = collectSoloNames(fields);
+
+    // Every mention, with the email and role it came from. The headers of the message a
+    // chain was split from only lend their names and addresses: that message is not in the chain
+    const mentions = [];
+    const containers = new Set();
+    const addMention = (mention, entry) => {
+        const nameKey = mention.name ? getNameKey(mention.name) : null;
+        const addressKey = mention.address ? `address:${mention.address}` : null;
+        if (nameKey || addressKey) mentions.push({ ...mention, ...entry, nameKey, addressKey });
+    };
+
+    emails.forEach((email, emailIndex) => {
+        for (const { role, field } of ROLES) {
+            parseParticipants(getFieldValue(email, field), soloNames)
+                .forEach(mention => addMention(mention, { email, emailIndex, role, topLevel: !email.splitFromChain }));
+        }
+
+        const headers = email.containerHeaders;
+        const containerKey = headers && `${headers.from}\n${headers.to}\n${headers.cc}`;
+        if (headers && !containers.has(containerKey)) {
+            containers.add(containerKey);
+            ROLES.forEach(({ field }) => parseParticipants(headers[field], soloNames)
+                .forEach(mention => addMention(mention, { email: null, topLevel: true })));
+        }
+    });
+
+    // A shared mailbox ("Jane Doe <info@acme.com>", "John Roe <info@acme.com>") would chain
+    // everyone who wrote from it into one person, so its mentions go by name alone
+    const sharedAddresses = findSharedAddresses(mentions);
+    for (const mention of mentions) {
+        if (mention.nameKey && sharedAddresses.has(mention.addressKey)) {
+            mention.addressKey = null;
+        }
+        [mention.nameKey, mention.addressKey].filter(Boolean).forEach(find);
+        if (mention.nameKey && mention.addressKey) link(mention.nameKey, mention.addressKey);
+        mention.key = mention.addressKey || mention.nameKey;
+    }
+
+    for (const key of Array.from(parent.keys())) {
+        if (!key.startsWith('address:')) continue;
+        const localPart = key.slice('address:'.length).split('@')[0].replace(/[._-]+/g, ' ');
+        const nameKey = getNameKey(localPart);
+        if (nameKey && parent.has(nameKey)) link(nameKey, key);
+    }
+
+    for (const [a, b] of overrides.links) {
+        if (parent.has(a) && parent.has(b)) union(a, b);
+    }
+
+    const byRoot = new Map();
+    for (const key of parent.keys()) {
+        const root = find(key);
+        if (!byRoot.has(root)) {
+            byRoot.set(root, {
+                variants: [],
+                names: new Map(),      // name as written -> times seen
+                addresses: new Map(),  // address -> { count, topLevel }
+                sent: 0,
+                received: 0,
+                cc: 0,
+                first: null,
+                last: null,
+                emails: new Set()
+            });
+        }
+        byRoot.get(root).variants.push(key);
+    }
+
+    // Each role counts once per email, however often the person is listed in it
+    const counted = new Set();
+    for (const mention of mentions) {
+        const root = find(mention.key);
+        const person = byRoot.get(root);
+
+        if (mention.name) {
+            person.names.set(mention.name, (person.names.get(mention.name) || 0) + 1);
+        }
+        if (mention.address) {
+            const entry = person.addresses.get(mention.address) || { count: 0, topLevel: false };
+            entry.count++;
+            entry.topLevel = entry.topLevel || mention.topLevel;
+            person.addresses.set(mention.address, entry);
+        }
+        if (!mention.email) continue;
+
+        const roleKey = `${root}\n${mention.role}\n${mention.emailIndex}`;
+        if (!counted.has(roleKey)) {
+            counted.add(roleKey);
+            person[mention.role]++;
+        }
+        person.emails.add(mention.email);
+
+        const date = getEffectiveDate(mention.email);
+        if (date) {
+            if (!person.first || date < person.first) person.first = date;
+            if (!person.last || date > person.last) person.last = date;
+        }
+    }
+
+    const people = Array.from(byRoot.values()).map(finishPerson);
+    people.sort((a, b) => b.emailCount - a.emailCount || a.displayName.localeCompare(b.displayName));
+
+    const lookup = new Map();
+    people.forEach(person => person.variants.forEach(key => lookup.set(key, person)));
+    return { people, lookup, soloNames };
+}
+
+/**
+ * Add the addresses a field leaves out, from the people the directory matched them to
+ * Addresses from the top-level .msg recipients are preferred over ones quoted in a chain
+ * @param {Object} registry - From buildParticipantRegistry
+ * @param {string} text - From/To/Cc field value
+ * @returns {Object} { text, filled } - the field with addresses added; filled is false
+ *   (and text unchanged) if there was nothing to add
+ */
+export function fillMissingAddresses(registry, text) {
+    const mentions = parseParticipants(text, registry.soloNames);
+    let filled = false;
+
+    const parts = mentions.map(mention => {
+        if (mention.address || !mention.name) return mention.raw;
+        const person = registry.lookup.get(getNameKey(mention.name));
+        if (!person || !person.address) return mention.raw;
+
+        filled = true;
+        return `${mention.name} <${person.address}>`;
+    });
+
+    if (!filled) return { text, filled: false };
+    return { text: parts.join(splitOutside(text, ';').length > 1 ? '; ' : ', '), filled: true };
+}
+
+/**
+ * Record that several people are one
+ * Every variant is linked, so splitting one off later leaves the rest merged
+ * @param {Object} overrides - Current overrides
+ * @param {Array<Object>} people - People from the registry (two or more)
+ * @returns {Object} New overrides
+ */
+export function mergeParticipants(overrides, people) {
+    const [anchor, ...variants] = people.flatMap(person => person.variants);
+    return {
+        links: [...overrides.links, ...variants.map(variant => [anchor, variant])],
+        detached: [...overrides.detached]
+    };
+}
+
+/**
+ * Record that a name or address belongs to a different person than the one it was grouped with
+ * Merges the user made through this variant move to another of the person's variants
+ * @param {Object} overrides - Current overrides
+ * @param {Object} person - Person the variant is grouped under
+ * @param {string} key - Variant key
+ * @returns {Object} New overrides
+ */
+export function splitParticipantVariant(overrides, person, key) {
+    const replacement = person.variants.find(variant => variant !== key);
+    const links = overrides.links
+        .map(pair => pair.map(variant => (variant === key ? replacement : variant)))
+        .filter(([a, b]) => a && b && a !== b);
+
+    return {
+        links,
+        detached: overrides.detached.includes(key) ? [...overrides.detached] : [...overrides.detached, key]
+    };
+}
+
+/**
+ * Readable form of a variant key
+ * @param {string} key - e.g. "name:jane doe"
+ * @returns {string} e.g. "jane doe"
+ */
+export function describeVariant(key) {
+    return key.slice(key.indexOf(':') + 1);
+}
+
+/**
+ * Find the addresses written with names of different people
+ * "Jane" and "Jane Doe" can be one person; "Jane Doe" and "John Roe" cannot
+ * @param {Array<Object>} mentions - Mentions with nameKey and addressKey
+ * @returns {Set<string>} Address keys
+ */
+function findSharedAddresses(mentions) {
+    const namesByAddress = new Map();
+    for (const { nameKey, addressKey } of mentions) {
+        if (!nameKey || !addressKey) continue;
+        if (!namesByAddress.has(addressKey)) namesByAddress.set(addressKey, new Set());
+        namesByAddress.get(addressKey).add(nameKey);
+    }
+
+    const shared = new Set();
+    for (const [addressKey, nameKeys] of namesByAddress) {
+        const words = Array.from(nameKeys).map(key => describeVariant(key).split(' '));
+        const conflict = words.some((a, i) => words.slice(i + 1).some(b => {
+            const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+            return !shorter.every(word => longer.includes(word));
+        }));
+        if (conflict) shared.add(addressKey);
+    }
+    return shared;
+}
+
+/**
+ * Find the names a chain gives someone on their own: a whole field, one of a ";" list,
+ * a name written with its address, or the name an address spells ("alice@x.com")
+ * @param {Array<string>} fields - From/To/Cc field values
+ * @returns {Set<string>} Name keys
+ */
+function collectSoloNames(fields) {
+    const names = new Set();
+    for (const text of fields) {
+        if (!text || !text.trim()) continue;
+
+        const listed = splitOutside(text, ';');
+        const pieces = listed.length > 1 ? listed : splitOutside(text, ',');
+        for (const mention of pieces.map(parseMention)) {
+            const solo = listed.length > 1 || pieces.length === 1 || mention.address;
+            const nameKey = solo && mention.name && getNameKey(mention.name);
+            if (nameKey) names.add(nameKey);
+
+            const localKey = mention.address && getNameKey(mention.address.split('@')[0].replace(/[._-]+/g, ' '));
+            if (localKey) names.add(localKey);
+        }
+    }
+    return names;
+}
+
+/**
+ * Put a one-word piece back together with the piece after it when the two are
+ * "Surname, Given": the next piece is a given name, the chain never names the first
+ * on its own, and the field either names no addresses and is just the two pieces,
+ * or gives the address with the name
+ */
+function joinSurnames(pieces, soloNames) {
+    const mentions = pieces.map(parseMention);
+    const isSurname = (i) => {
+        const [surname, given] = [mentions[i], mentions[i + 1]];
+        return Boolean(given) && !surname.address && /^\S+$/.test(surname.name) &&
+            GIVEN_NAME.test(given.name) && !soloNames.has(getNameKey(surname.name));
+    };
+
+    const hasAddresses = mentions.some(mention => mention.address);
+    if (!hasAddresses) {
+        return pieces.length === 2 && isSurname(0) ? [pieces.join(', ')] : pieces;
+    }
+
+    const joined = [];
+    for (let i = 0; i < pieces.length; i++) {
+        if (isSurname(i) && mentions[i + 1].address) {
+            joined.push(`${pieces[i]}, ${pieces[i + 1]}`);
+            i++;
+        } else {
+            joined.push(pieces[i]);
+        }
+    }
+    return joined;
+}
+
+/**
+ * Turn a person's tallies into the shape the directory hands out
+ */
+function finishPerson(person) {
+    // A person's own addresses come before shared mailboxes they wrote from
+    const owns = (address) => Number(person.variants.includes(`address:${address}`));
+    const addresses = Array.from(person.addresses.entries())
+        .sort(([addressA, a], [addressB, b]) => owns(addressB) - owns(addressA) ||
+            Number(b.topLevel) - Number(a.topLevel) || b.count - a.count)
+        .map(([address]) => address);
+    const names = Array.from(person.names.entries())
+        .sort(([, a], [, b]) => b - a)
+        .map(([name]) => name);
+    const variants = person.variants.sort((a, b) =>
+        Number(b.startsWith('address:')) - Number(a.startsWith('address:')) || a.localeCompare(b));
+
+    return {
+        id: variants[0],
+        displayName: names[0] || addresses[0] || describeVariant(variants[0]),
+        names,
+        addresses,
+        address: addresses[0] || '',
+        variants,
+        sent: person.sent,
+        received: person.received,
+        cc: person.cc,
+        first: person.first,
+        last: person.last,
+        emailCount: person.emails.size
+    };
+}
+
+/**
+ * Read one mention: "Name <addr>", "Name [mailto:addr]", "Name (addr)", "addr" or "Name"
+ */
+function parseMention(raw) {
+    const text = raw.trim();
+    let name = text;
+    let address = '';
+
+    const bracketed = text.match(/^(.*?)[<[(]\s*(?:mailto:)?([^>\])]*)[>\])]\s*$/i);
+    if (bracketed && ADDRESS.test(bracketed[2])) {
+        name = bracketed[1];
+        address = bracketed[2].match(ADDRESS)[0];
+    } else if (ADDRESS.test(text) && text.replace(/^mailto:/i, '').replace(ADDRESS, '').replace(/['"]/g, '').trim() === '') {
+        name = '';
+        address = text.match(ADDRESS)[0];
+    }
+
+    name = name.trim().replace(/^["']+|["']+$/g, '').trim();
+    address = address.toLowerCase();
+    if (name.toLowerCase() === address) name = '';
+
+    return { name, address, raw: text };
+}
+
+/**
+ * Key a name the same however it is written: "Doe, Jane", "JANE DOE" and "Jane Doe" -> "name:jane doe"
+ */
+function getNameKey(name) {
+    let normalized = name
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/\([^)]*\)/g, ' ')
+        .toLowerCase();
+
+    const commaParts = normalized.split(',');
+    if (commaParts.length === 2) {
+        normalized = `${commaParts[1]} ${commaParts[0]}`;
+    }
+
+    normalized = normalized.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return normalized ? `name:${normalized}` : null;
+}
+
+/**
+ * Split on a separator outside quotes and brackets
+ */
+function splitOutside(text, separator) {
+    const pieces = [];
+    let current = '';
+    let inQuotes = false;
+    let depth = 0;
+
+    for (const char of text) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && '<[('.includes(char)) depth++;
+        else if (!inQuotes && '>])'.includes(char)) depth = Math.max(0, depth - 1);
+
+        if (char === separator && !inQuotes && depth === 0) {
+            pieces.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    pieces.push(current);
+
+    return pieces.map(piece => piece.trim()).filter(Boolean);
+}
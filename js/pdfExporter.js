@@ -0,0 +1,259 @@
+/**
+ * Chronology PDF export
+ * Lays out the sorted emails as a paginated PDF: cover page, table of contents
+ * with page references, one header block per email, page numbers, and a footer
+ * naming each email's source file
+ */
+
+import { PdfDocument } from './pdfWriter.js';
+import { getEffectiveDate, describeEmailDate } from './dateEdits.js';
+import { getFieldValue, describeField } from './emailEdits.js';
+
+const PAGE_WIDTH = 612;     // US Letter
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const CONTENT_BOTTOM = PAGE_HEIGHT - 60;
+const FOOTER_BASELINE = PAGE_HEIGHT - 32;
+
+const BODY_SIZE = 10;
+const BODY_LEADING = 13;
+const HEADER_LABEL_WIDTH = 72;
+const TOC_LEADING = 16;
+
+const GREY = [0.4, 0.4, 0.4];
+const LIGHT_GREY = [0.8, 0.8, 0.8];
+const HEADER_FILL = [0.94, 0.95, 0.97];
+const ACCENT = [0.1, 0.45, 0.8];
+
+/**
+ * Build the chronology PDF
+ * @param {Array<Object>} emails - Emails in chronological order (EmailChain.getSortedEmails)
+ * @param {Object} options - Export options
+ * @param {string} options.title - Document title (default: "Email Chronology")
+ * @param {Function} options.formatDate - Formats a date for display: (date) => string
+ * @returns {Blob} PDF file
+ */
+export function createChronologyPdf(emails, options = {}) {
+    const title = options.title || 'Email Chronology';
+    const formatDate = options.formatDate || ((date) => (date ? date.toLocaleString() : 'Unknown Date'));
+    const doc = new PdfDocument({ width: PAGE_WIDTH, height: PAGE_HEIGHT, title });
+
+    drawCoverPage(doc, emails, title, formatDate);
+
+    // The contents entries are one line each, so the number of contents pages is known up front
+    const tocPages = [];
+    const entriesPerPage = [firstTocCapacity(), laterTocCapacity()];
+    let remaining = emails.length;
+    do {
+        tocPages.push(doc.addPage());
+        remaining -= entriesPerPage[tocPages.length === 1 ? 0 : 1];
+    } while (remaining > 0);
+
+    const emailStartPages = emails.map((email, index) =>
+        drawEmail(doc, email, index, emails.length, formatDate)
+    );
+
+    drawTableOfContents(doc, tocPages, emails, emailStartPages, formatDate);
+    drawFooters(doc, title);
+
+    return doc.toBlob();
+}
+
+/**
+ * Draw the cover page
+ * @param {PdfDocument} doc - Document
+ * @param {Array<Object>} emails - Emails
+ * @param {string} title - Document title
+ * @param {Function} formatDate - Date formatter
+ */
+function drawCoverPage(doc, emails, title, formatDate) {
+    const page = doc.addPage();
+    page.footer = null;
+
+    const centre = (text, y, style) => {
+        const width = doc.measureText(text, style.font, style.size);
+        doc.text(page, (PAGE_WIDTH - width) / 2, y, text, style);
+    };
+
+    centre(title, 250, { font: 'bold', size: 26 });
+    doc.line(page, MARGIN + 120, 272, PAGE_WIDTH - MARGIN - 120, 272, { color: LIGHT_GREY, width: 1 });
+
+    const dated = emails.map(getEffectiveDate).filter(Boolean);
+    const sources = new Set(emails.map(email => email.sourceFile || 'Unknown'));
+    const lines = [`${emails.length} email${emails.length !== 1 ? 's' : ''}`];
+
+    if (dated.length > 0) {
+        lines.push(`${formatDate(dated[0])} – ${formatDate(dated[dated.length - 1])}`);
+    }
+    lines.push(`Compiled from ${sources.size} source file${sources.size !== 1 ? 's' : ''}`);
+
+    lines.forEach((line, i) => centre(line, 305 + i * 20, { size: 13, color: GREY }));
+
+    centre(`Generated ${formatDate(new Date())}`, PAGE_HEIGHT - 120, { size: 10, color: GREY });
+}
+
+/**
+ * Number of contents entries on the first contents page (below the heading)
+ */
+function firstTocCapacity() {
+    return Math.floor((CONTENT_BOTTOM - (MARGIN + 50)) / TOC_LEADING);
+}
+
+/**
+ * Number of contents entries on each further contents page
+ */
+function laterTocCapacity() {
+    return Math.floor((CONTENT_BOTTOM - MARGIN) / TOC_LEADING);
+}
+
+/**
+ * Draw the table of contents into the pages reserved for it
+ * @param {PdfDocument} doc - Document
+ * @param {Array<Object>} tocPages - Reserved pages
+ * @param {Array<Object>} emails - Emails
+ * @param {Array<number>} startPages - Index of each email's first page
+ * @param {Function} formatDate - Date formatter
+ */
+function drawTableOfContents(doc, tocPages, emails, startPages, formatDate) {
+    let pageNumber = 0;
+    let page = tocPages[0];
+    let y = MARGIN + 50;
+
+    doc.text(page, MARGIN, MARGIN + 18, 'Contents', { font: 'bold', size: 18 });
+
+    const numberWidth = 30;
+    const dateWidth = 150;
+    const pageRefWidth = 36;
+    const subjectX = MARGIN + numberWidth + dateWidth;
+    const subjectWidth = CONTENT_WIDTH - numberWidth - dateWidth - pageRefWidth;
+
+    emails.forEach((email, index) => {
+        if (y > CONTENT_BOTTOM - TOC_LEADING) {
+            page = tocPages[++pageNumber];
+            y = MARGIN;
+        }
+
+        const subject = `${getFieldValue(email, 'subject') || '(No Subject)'} — ${getFieldValue(email, 'from') || 'Unknown sender'}`;
+        const pageRef = String(startPages[index] + 1);
+
+        doc.text(page, MARGIN, y + 10, `${index + 1}.`, { size: BODY_SIZE, color: GREY });
+        doc.text(page, MARGIN + numberWidth, y + 10,
+            doc.truncateText(describeEmailDate(email, formatDate), 'regular', BODY_SIZE, dateWidth - 8), { size: BODY_SIZE });
+        doc.text(page, subjectX, y + 10,
+            doc.truncateText(subject, 'regular', BODY_SIZE, subjectWidth - 8), { size: BODY_SIZE });
+        doc.text(page, PAGE_WIDTH - MARGIN - doc.measureText(pageRef, 'regular', BODY_SIZE), y + 10,
+            pageRef, { size: BODY_SIZE, color: ACCENT });
+
+        doc.link(page, MARGIN, y, CONTENT_WIDTH, TOC_LEADING, startPages[index]);
+        y += TOC_LEADING;
+    });
+}
+
+/**
+ * Lay out one email, starting on a new page
+ * @param {PdfDocument} doc - Document
+ * @param {Object} email - Email
+ * @param {number} index - Position in the chronology
+ * @param {number} total - Number of emails
+ * @param {Function} formatDate - Date formatter
+ * @returns {number} Index of the email's first page
+ */
+function drawEmail(doc, email, index, total, formatDate) {
+    let page = doc.addPage();
+    page.footer = email.sourceFile || 'Unknown';
+    const firstPage = page.index;
+
+    const rows = [
+        ['From:', describeField(email, 'from')],
+        ['To:', describeField(email, 'to')],
+        ['Cc:', describeField(email, 'cc')],
+        ['Date:', describeEmailDate(email, formatDate)],
+        ['Subject:', describeField(email, 'subject') || '(No Subject)']
+    ].filter(([, value]) => value);
+
+    if (email.attachments && email.attachments.length > 0) {
+        rows.push(['Attachments:', email.attachments.join('; ')]);
+    }
+
+    // Later pages of a long email repeat which email they belong to
+    const continuePage = () => {
+        page = doc.addPage();
+        page.footer = email.sourceFile || 'Unknown';
+        doc.text(page, MARGIN, MARGIN + 8,
+            doc.truncateText(`Email ${index + 1} (continued) — ${getFieldValue(email, 'subject') || '(No Subject)'}`, 'italic', 9, CONTENT_WIDTH),
+            { font: 'italic', size: 9, color: GREY });
+    };
+
+    // Header block, one shaded block per page: a distribution list can run for pages
+    const valueWidth = CONTENT_WIDTH - HEADER_LABEL_WIDTH - 16;
+    const headerLines = rows.flatMap(([label, value]) =>
+        doc.wrapText(value, 'regular', BODY_SIZE, valueWidth).map((line, i) => ({ label, line, first: i === 0 }))
+    );
+
+    let top = MARGIN;
+    let y = MARGIN + 34;
+    doc.text(page, MARGIN + 8, MARGIN + 16, `EMAIL ${index + 1} OF ${total}`, { font: 'bold', size: 8, color: ACCENT });
+
+    for (let start = 0; start < headerLines.length;) {
+        let count = 1;
+        while (start + count < headerLines.length && y + (count + 1) * BODY_LEADING + 4 <= CONTENT_BOTTOM) count++;
+
+        doc.rect(page, MARGIN, top, CONTENT_WIDTH, y + count * BODY_LEADING + 4 - top, HEADER_FILL);
+        headerLines.slice(start, start + count).forEach(({ label, line, first }, i) => {
+            // A row cut by a page break is labelled again on the next page
+            if (first || i === 0) {
+                doc.text(page, MARGIN + 8, y, label, { font: 'bold', size: BODY_SIZE });
+            }
+            doc.text(page, MARGIN + 8 + HEADER_LABEL_WIDTH, y, line, { size: BODY_SIZE });
+            y += BODY_LEADING;
+        });
+
+        start += count;
+        if (start < headerLines.length) {
+            continuePage();
+            top = MARGIN + 20;
+            y = MARGIN + 34;
+        }
+    }
+
+    y += 26;
+
+    // Body
+    const bodyLines = doc.wrapText(email.body || '', 'regular', BODY_SIZE, CONTENT_WIDTH);
+    for (const line of bodyLines) {
+        if (y > CONTENT_BOTTOM) {
+            continuePage();
+            y = MARGIN + 30;
+        }
+
+        if (line) {
+            doc.text(page, MARGIN, y, line, { size: BODY_SIZE });
+        }
+        y += BODY_LEADING;
+    }
+
+    return firstPage;
+}
+
+/**
+ * Draw the footer of every page except the cover: source file and page number
+ * @param {PdfDocument} doc - Document
+ * @param {string} title - Document title (footer of the contents pages)
+ */
+function drawFooters(doc, title) {
+    const total = doc.pages.length;
+
+    for (const page of doc.pages) {
+        if (page.footer === null) continue;
+
+        const pageLabel = `Page ${page.index + 1} of ${total}`;
+        const pageLabelWidth = doc.measureText(pageLabel, 'regular', 8);
+        const left = page.footer ? `Source: ${page.footer}` : title;
+
+        doc.line(page, MARGIN, FOOTER_BASELINE - 12, PAGE_WIDTH - MARGIN, FOOTER_BASELINE - 12, { color: LIGHT_GREY });
+        doc.text(page, MARGIN, FOOTER_BASELINE,
+            doc.truncateText(left, 'regular', 8, CONTENT_WIDTH - pageLabelWidth - 16), { size: 8, color: GREY });
+        doc.text(page, PAGE_WIDTH - MARGIN - pageLabelWidth, FOOTER_BASELINE, pageLabel, { size: 8, color: GREY });
+    }
+}
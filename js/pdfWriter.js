@@ -0,0 +1,376 @@
+/**
+ * Minimal PDF writer
+ * Builds text-and-rectangle PDF documents in the browser using the standard
+ * Helvetica fonts (WinAnsi encoding), with internal page links.
+ * Coordinates are in points, measured from the top-left corner of the page.
+ */
+
+// Helvetica and Helvetica-Bold advance widths for characters 32-126 (1/1000 em)
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+    italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS }
+};
+
+// Unicode characters that WinAnsi places in 0x80-0x9F
+const WINANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Widths of the 0x80-0x9F characters (same in both weights, close enough for layout)
+const WINANSI_EXTRA_WIDTHS = {
+    0x80: 556, 0x82: 222, 0x83: 556, 0x84: 333, 0x85: 1000, 0x86: 556, 0x87: 556, 0x88: 333,
+    0x89: 1000, 0x8a: 667, 0x8b: 333, 0x8c: 1000, 0x8e: 611, 0x91: 222, 0x92: 222, 0x93: 333,
+    0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0x98: 333, 0x99: 1000, 0x9a: 500, 0x9b: 333,
+    0x9c: 944, 0x9e: 500, 0x9f: 667
+};
+
+export class PdfDocument {
+    /**
+     * Create a new document
+     * @param {Object} options - Document options
+     * @param {number} options.width - Page width in points (default: US Letter)
+     * @param {number} options.height - Page height in points
+     * @param {string} options.title - Document title (metadata)
+     */
+    constructor(options = {}) {
+        this.width = options.width || 612;
+        this.height = options.height || 792;
+        this.title = options.title || '';
+        this.pages = [];
+    }
+
+    /**
+     * Append a blank page
+     * @returns {Object} Page handle
+     */
+    addPage() {
+        const page = { index: this.pages.length, ops: [], links: [] };
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Draw a single line of text
+     * @param {Object} page - Page handle
+     * @param {number} x - Left edge
+     * @param {number} y - Baseline, from the top of the page
+     * @param {string} text - Text (characters outside WinAnsi become "?")
+     * @param {Object} style - { font: 'regular'|'bold'|'italic', size, color: [r, g, b] }
+     */
+    text(page, x, y, text, style = {}) {
+        const font = FONTS[style.font || 'regular'];
+        const size = style.size || 10;
+        const color = style.color || [0, 0, 0];
+
+        page.ops.push(
+            `BT ${formatColor(color)} rg /${font.resource} ${fmt(size)} Tf ` +
+            `${fmt(x)} ${fmt(this.height - y)} Td (${escapeString(encodeWinAnsi(text))}) Tj ET`
+        );
+    }
+
+    /**
+     * Draw a filled rectangle
+     * @param {Object} page - Page handle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge, from the top of the page
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Array<number>} color - Fill colour [r, g, b] (0-1)
+     */
+    rect(page, x, y, width, height, color) {
+        page.ops.push(
+            `${formatColor(color)} rg ${fmt(x)} ${fmt(this.height - y - height)} ${fmt(width)} ${fmt(height)} re f`
+        );
+    }
+
+    /**
+     * Draw a straight line
+     * @param {Object} page - Page handle
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y, from the top
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y, from the top
+     * @param {Object} style - { width, color: [r, g, b] }
+     */
+    line(page, x1, y1, x2, y2, style = {}) {
+        page.ops.push(
+            `${formatColor(style.color || [0, 0, 0])} RG ${fmt(style.width || 0.5)} w ` +
+            `${fmt(x1)} ${fmt(this.height - y1)} m ${fmt(x2)} ${fmt(this.height - y2)} l S`
+        );
+    }
+
+    /**
+     * Make an area of a page link to another page
+     * @param {Object} page - Page handle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge, from the top
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} targetIndex - Index of the page to jump to
+     */
+    link(page, x, y, width, height, targetIndex) {
+        page.links.push({ x, y, width, height, targetIndex });
+    }
+
+    /**
+     * Measure the width of a line of text
+     * @param {string} text - Text
+     * @param {string} font - 'regular', 'bold' or 'italic'
+     * @param {number} size - Font size
+     * @returns {number} Width in points
+     */
+    measureText(text, font, size) {
+        const widths = FONTS[font || 'regular'].widths;
+        const encoded = encodeWinAnsi(text);
+        let total = 0;
+
+        for (let i = 0; i < encoded.length; i++) {
+            total += charWidth(encoded.charCodeAt(i), widths);
+        }
+
+        return total * size / 1000;
+    }
+
+    /**
+     * Wrap text to a width, keeping existing line breaks
+     * Words longer than the width are broken character by character
+     * @param {string} text - Text
+     * @param {string} font - Font name
+     * @param {number} size - Font size
+     * @param {number} maxWidth - Available width
+     * @returns {Array<string>} Lines
+     */
+    wrapText(text, font, size, maxWidth) {
+        const lines = [];
+
+        for (const paragraph of String(text || '').replace(/\t/g, '    ').split(/\r?\n/)) {
+            let line = '';
+
+            for (const word of paragraph.split(/(\s+)/)) {
+                if (!word) continue;
+
+                const candidate = line + word;
+                if (this.measureText(candidate, font, size) <= maxWidth) {
+                    line = candidate;
+                    continue;
+                }
+
+                if (line.trim()) {
+                    lines.push(line.trimEnd());
+                }
+                line = /^\s+$/.test(word) ? '' : word;
+
+                // A single word wider than the line
+                while (this.measureText(line, font, size) > maxWidth) {
+                    let fit = line.length - 1;
+                    while (fit > 1 && this.measureText(line.substring(0, fit), font, size) > maxWidth) {
+                        fit--;
+                    }
+                    lines.push(line.substring(0, fit));
+                    line = line.substring(fit);
+                }
+            }
+
+            lines.push(line.trimEnd());
+        }
+
+        return lines;
+    }
+
+    /**
+     * Shorten text with an ellipsis so it fits a width
+     * @param {string} text - Text
+     * @param {string} font - Font name
+     * @param {number} size - Font size
+     * @param {number} maxWidth - Available width
+     * @returns {string} Text that fits
+     */
+    truncateText(text, font, size, maxWidth) {
+        const value = String(text || '').replace(/\s+/g, ' ');
+        if (this.measureText(value, font, size) <= maxWidth) {
+            return value;
+        }
+
+        let length = value.length;
+        while (length > 0 && this.measureText(value.substring(0, length) + '…', font, size) > maxWidth) {
+            length--;
+        }
+        return value.substring(0, length).trimEnd() + '…';
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Blob} PDF file
+     */
+    toBlob() {
+        const objects = [];   // objects[n - 1] is the body of object n
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const fontIds = {};
+        for (const [name, font] of Object.entries(FONTS)) {
+            fontIds[name] = addObject(
+                `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+            );
+        }
+        const fontResources = Object.entries(FONTS)
+            .map(([name, font]) => `/${font.resource} ${fontIds[name]} 0 R`)
+            .join(' ');
+
+        // Page object numbers are needed up front for link destinations
+        const pageIds = this.pages.map(() => addObject(null));
+
+        this.pages.forEach((page, i) => {
+            const stream = page.ops.join('\n');
+            const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+
+            const annotations = page.links
+                .filter(link => pageIds[link.targetIndex])
+                .map(link => addObject(
+                    `<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${fmt(link.x)} ` +
+                    `${fmt(this.height - link.y - link.height)} ${fmt(link.x + link.width)} ` +
+                    `${fmt(this.height - link.y)}] /Dest [${pageIds[link.targetIndex]} 0 R /XYZ null null null] >>`
+                ));
+
+            objects[pageIds[i] - 1] =
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${fmt(this.width)} ${fmt(this.height)}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R` +
+                (annotations.length > 0 ? ` /Annots [${annotations.map(id => `${id} 0 R`).join(' ')}]` : '') +
+                ' >>';
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] =
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const infoId = addObject(
+            `<< /Title (${escapeString(encodeWinAnsi(this.title))}) /Producer (Email Chronology) ` +
+            `/CreationDate (${formatPdfDate(new Date())}) >>`
+        );
+
+        // One character per byte throughout, so string lengths are byte offsets
+        let output = '%PDF-1.4\n%âãÏÓ\n';
+        const offsets = [];
+
+        objects.forEach((body, i) => {
+            offsets.push(output.length);
+            output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        });
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+        output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i);
+        }
+
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+}
+
+/**
+ * Encode text as WinAnsi (one char per byte)
+ * Accented letters outside WinAnsi fall back to their base letter, anything else to "?"
+ * @param {string} text - Text
+ * @returns {string} Encoded text
+ */
+function encodeWinAnsi(text) {
+    let result = '';
+
+    for (const char of String(text || '')) {
+        const code = char.codePointAt(0);
+
+        if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) {
+            result += char;
+        } else if (WINANSI_EXTRAS[char]) {
+            result += String.fromCharCode(WINANSI_EXTRAS[char]);
+        } else if (code < 0x20) {
+            result += ' ';
+        } else {
+            const base = char.normalize('NFD')[0];
+            result += base.charCodeAt(0) < 0x7f && base !== char ? base : '?';
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Width of an encoded character
+ * @param {number} code - WinAnsi code
+ * @param {Array<number>} widths - Width table for 32-126
+ * @returns {number} Width (1/1000 em)
+ */
+function charWidth(code, widths) {
+    if (code >= 32 && code <= 126) {
+        return widths[code - 32];
+    }
+
+    if (WINANSI_EXTRA_WIDTHS[code]) {
+        return WINANSI_EXTRA_WIDTHS[code];
+    }
+
+    // Latin-1 letters are as wide as their unaccented forms
+    const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+    return base >= 32 && base <= 126 ? widths[base - 32] : 556;
+}
+
+/**
+ * Escape a PDF literal string
+ */
+function escapeString(text) {
+    return text.replace(/[\\()]/g, '\\$&');
+}
+
+/**
+ * Format a number for a content stream
+ */
+function fmt(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format an RGB colour (0-1 components)
+ */
+function formatColor(color) {
+    return color.map(fmt).join(' ');
+}
+
+/**
+ * Format a date for the document information dictionary
+ */
+function formatPdfDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
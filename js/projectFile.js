@@ -0,0 +1,135 @@
+/**
+ * Project files
+ * Saves the working set of emails to a versioned JSON file and restores it,
+ * including dates, attachment bytes, the participant directory's merges and the
+ * date settings (day/month order, display time zone), so a session can be picked up later
+ */
+
+import { bytesToBase64, base64ToBytes } from './base64.js';
+import { createParticipantOverrides } from './participants.js';
+
+const PROJECT_FORMAT = 'email-chronology-project';
+
+/**
+ * Current project schema version; bump it (and add a migration) when the saved shape changes
+ */
+export const PROJECT_SCHEMA_VERSION = 4;
+
+// Upgrades a project from the keyed version to the next one: (project) => project
+const MIGRATIONS = {
+    // 1 -> 2: emails list every file (and chain position) they were found in
+    1: (project) => ({
+        ...project,
+        schemaVersion: 2,
+        emails: project.emails.map(email => ({
+            ...email,
+            sources: email.sources || [{
+                file: email.sourceFile || 'Unknown',
+                chainIndex: email.splitFromChain ? email.chainIndex : null
+            }]
+        }))
+    }),
+    // 2 -> 3: the participant directory's manual merges and splits are saved
+    2: (project) => ({
+        ...project,
+        schemaVersion: 3,
+        participants: createParticipantOverrides()
+    }),
+    // 3 -> 4: the day/month order and display time zone are saved (earlier projects used the defaults)
+    3: (project) => ({
+        ...project,
+        schemaVersion: 4,
+        dateSettings: { dateOrder: 'mdy', displayTimeZone: '' }
+    })
+};
+
+/**
+ * Serialize emails to a project file
+ * Every property of each email is kept; Dates and byte arrays are tagged so
+ * they come back as the same types
+ * @param {Array<Object>} emails - Emails to save
+ * @param {Object} participants - Participant directory overrides ({ links, detached })
+ * @param {Object} dateSettings - Day/month order and display time zone (EmailChain.getDateSettings)
+ * @returns {Blob} JSON project file
+ */
+export function createProjectFile(emails, participants = createParticipantOverrides(), dateSettings = {}) {
+    const project = {
+        format: PROJECT_FORMAT,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        savedAt: new Date(),
+        emails,
+        participants,
+        dateSettings
+    };
+
+    return new Blob([JSON.stringify(project, encodeValue)], { type: 'application/json' });
+}
+
+/**
+ * Read a project file
+ * @param {File} file - Project file chosen by the user
+ * @returns {Promise<Object>} { emails, participants, dateSettings, savedAt }
+ * @throws {Error} If the file is not a project or was saved by a newer version
+ */
+export async function readProjectFile(file) {
+    let project;
+    try {
+        project = JSON.parse(await file.text(), decodeValue);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!project || project.format !== PROJECT_FORMAT || !Number.isInteger(project.schemaVersion)) {
+        throw new Error('The file is not an Email Chronology project');
+    }
+
+    if (project.schemaVersion > PROJECT_SCHEMA_VERSION) {
+        throw new Error(`The project was saved by a newer version of the app (schema version ${project.schemaVersion})`);
+    }
+
+    while (project.schemaVersion < PROJECT_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[project.schemaVersion];
+        if (!migrate) {
+            throw new Error(`Projects with schema version ${project.schemaVersion} are no longer supported`);
+        }
+        project = migrate(project);
+    }
+
+    return {
+        emails: Array.isArray(project.emails) ? project.emails : [],
+        participants: project.participants || createParticipantOverrides(),
+        dateSettings: project.dateSettings || {},
+        savedAt: project.savedAt
+    };
+}
+
+/**
+ * JSON.stringify replacer: tag Dates and byte arrays
+ * Uses this[key] because Date.toJSON has already run on value
+ */
+function encodeValue(key, value) {
+    const original = this[key];
+
+    if (original instanceof Date) {
+        return { $date: isNaN(original) ? null : original.toISOString() };
+    }
+    if (original instanceof Uint8Array) {
+        return { $bytes: bytesToBase64(original) };
+    }
+    return value;
+}
+
+/**
+ * JSON.parse reviver: restore tagged Dates and byte arrays
+ */
+function decodeValue(key, value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if ('$date' in value) {
+            return new Date(value.$date === null ? NaN : value.$date);
+        }
+        if ('$bytes' in value) {
+            return base64ToBytes(value.$bytes);
+        }
+    }
+    return value;
+}
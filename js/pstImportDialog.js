@@ -0,0 +1,218 @@
+/**
+ * Outlook archive import dialog
+ * Lets the user pick folders of a .pst/.ost file and filter its messages
+ * by date or subject before they are queued for processing
+ */
+
+export class PstImportDialog {
+    constructor() {
+        this.dialogEl = document.getElementById('pstDialog');
+        this.fileNameEl = document.getElementById('pstDialogFile');
+        this.folderTreeEl = document.getElementById('pstFolderTree');
+        this.dateFromEl = document.getElementById('pstDateFrom');
+        this.dateToEl = document.getElementById('pstDateTo');
+        this.subjectEl = document.getElementById('pstSubject');
+        this.matchCountEl = document.getElementById('pstMatchCount');
+        this.cancelBtn = document.getElementById('pstCancelBtn');
+        this.importBtn = document.getElementById('pstImportBtn');
+
+        this.reader = null;
+        this.folders = new Map();       // nid -> { folder, path }
+        this.messageCache = new Map();  // nid -> Promise<Array> of message summaries
+        this.countToken = 0;
+        this.resolve = null;
+
+        this.folderTreeEl.addEventListener('change', (e) => this.handleFolderToggle(e));
+        [this.dateFromEl, this.dateToEl, this.subjectEl].forEach(input => {
+            input.addEventListener('input', () => this.updateMatchCount());
+        });
+        this.cancelBtn.addEventListener('click', () => this.close([]));
+        this.importBtn.addEventListener('click', () => this.confirm());
+    }
+
+    /**
+     * Show the dialog for an archive and wait for the user's choice
+     * @param {PstReader} reader - Opened archive
+     * @returns {Promise<Array<Object>>} Queue entries for the chosen messages (empty if cancelled)
+     */
+    async choose(reader) {
+        this.reader = reader;
+        this.folders.clear();
+        this.messageCache.clear();
+
+        const tree = await reader.getFolderTree();
+
+        this.fileNameEl.textContent = `${reader.name} — ${tree.name}`;
+        this.subjectEl.value = '';
+        this.dateFromEl.value = '';
+        this.dateToEl.value = '';
+        this.folderTreeEl.innerHTML = '';
+        this.folderTreeEl.appendChild(this.createFolderList(tree.children, []));
+        this.updateMatchCount();
+
+        this.dialogEl.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Build a nested list of folder checkboxes
+     * @param {Array<Object>} folders - Folders at this level
+     * @param {Array<string>} parentPath - Names of the parent folders
+     * @returns {HTMLElement} List element
+     */
+    createFolderList(folders, parentPath) {
+        const list = document.createElement('ul');
+        list.className = 'pst-folder-list';
+
+        for (const folder of folders) {
+            const path = [...parentPath, folder.name || '(Unnamed)'];
+            this.folders.set(folder.nid, { folder, path });
+
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'pst-folder';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(folder.nid);
+
+            const name = document.createElement('span');
+            name.textContent = folder.name || '(Unnamed)';
+
+            const count = document.createElement('span');
+            count.className = 'pst-folder-count';
+            count.textContent = folder.contentCount > 0 ? String(folder.contentCount) : '';
+
+            label.append(checkbox, name, count);
+            item.appendChild(label);
+
+            if (folder.children.length > 0) {
+                item.appendChild(this.createFolderList(folder.children, path));
+            }
+
+            list.appendChild(item);
+        }
+
+        return list;
+    }
+
+    /**
+     * Ticking a folder ticks (or unticks) its subfolders too
+     * @param {Event} e - Change event from a folder checkbox
+     */
+    handleFolderToggle(e) {
+        const checkbox = e.target;
+        const item = checkbox.closest('li');
+
+        item.querySelectorAll('ul input[type="checkbox"]').forEach(child => {
+            child.checked = checkbox.checked;
+        });
+
+        this.updateMatchCount();
+    }
+
+    /**
+     * Get the NIDs of the ticked folders
+     * @returns {Array<number>} Folder NIDs
+     */
+    getSelectedFolders() {
+        return Array.from(this.folderTreeEl.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => Number(checkbox.value));
+    }
+
+    /**
+     * List a folder's messages (cached per dialog session)
+     * @param {number} nid - Folder NID
+     * @returns {Promise<Array<Object>>} Message summaries
+     */
+    listMessages(nid) {
+        if (!this.messageCache.has(nid)) {
+            this.messageCache.set(nid, this.reader.listMessages(nid).catch(error => {
+                console.error('Error reading folder:', error);
+                return [];
+            }));
+        }
+        return this.messageCache.get(nid);
+    }
+
+    /**
+     * Collect the messages that match the current selection and filters
+     * @returns {Promise<Array<Object>>} Matches: { nid, subject, date, path }
+     */
+    async findMatches() {
+        const from = this.dateFromEl.value ? new Date(`${this.dateFromEl.value}T00:00:00`) : null;
+        const to = this.dateToEl.value ? new Date(`${this.dateToEl.value}T23:59:59.999`) : null;
+        const subjectFilter = this.subjectEl.value.trim().toLowerCase();
+        const matches = [];
+
+        for (const nid of this.getSelectedFolders()) {
+            const { path } = this.folders.get(nid);
+            const messages = await this.listMessages(nid);
+
+            for (const message of messages) {
+                if (from && (!message.date || message.date < from)) continue;
+                if (to && (!message.date || message.date > to)) continue;
+                if (subjectFilter && !message.subject.toLowerCase().includes(subjectFilter)) continue;
+
+                matches.push({ ...message, path });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Refresh the "N messages match" status
+     */
+    async updateMatchCount() {
+        const token = ++this.countToken;
+
+        if (this.getSelectedFolders().length === 0) {
+            this.matchCountEl.textContent = 'Tick the folders to import';
+            this.importBtn.disabled = true;
+            return;
+        }
+
+        this.matchCountEl.textContent = 'Counting messages…';
+        const matches = await this.findMatches();
+
+        // A newer update started while we were reading folders
+        if (token !== this.countToken) return;
+
+        const count = matches.length;
+        this.matchCountEl.textContent = `${count} message${count !== 1 ? 's' : ''} match`;
+        this.importBtn.disabled = count === 0;
+    }
+
+    /**
+     * Queue the matching messages and close
+     */
+    async confirm() {
+        this.importBtn.disabled = true;
+        const matches = await this.findMatches();
+
+        const entries = matches.map(message => this.reader.createMessageEntry(
+            message.nid,
+            [this.reader.name, ...message.path, message.subject || '(No Subject)'].join(' › ')
+        ));
+
+        this.close(entries);
+    }
+
+    /**
+     * Hide the dialog and hand the result back to choose()
+     * @param {Array<Object>} entries - Queue entries
+     */
+    close(entries) {
+        this.dialogEl.classList.add('hidden');
+        this.folderTreeEl.innerHTML = '';
+
+        if (this.resolve) {
+            this.resolve(entries);
+            this.resolve = null;
+        }
+    }
+}
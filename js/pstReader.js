@@ -0,0 +1,1039 @@
+/**
+ * Outlook .pst/.ost reader
+ * Reads Personal Folders files in the browser, following [MS-PST]:
+ * - NDB layer: header, node/block B-trees, data trees and subnodes
+ * - LTP layer: heap-on-node, BTH, property contexts and table contexts
+ * - Messaging layer: folders, contents tables, messages, recipients, attachments
+ *
+ * Supports ANSI (Outlook 97-2002), Unicode (Outlook 2003+) and 4K-page OST files,
+ * unencrypted or with the default "compressible" (permute) encoding.
+ * The file is read lazily in slices, so large archives are never loaded whole.
+ */
+
+import { decodeWithCodepage } from './codepages.js';
+
+// Node IDs of well-known objects
+const NID_MESSAGE_STORE = 0x21;
+const NID_ROOT_FOLDER = 0x122;
+const NID_RECIPIENT_TABLE = 0x692;
+const NID_ATTACHMENT_TABLE = 0x671;
+
+// Node types (low 5 bits of a NID)
+const NID_TYPE_HIERARCHY_TABLE = 0x0d;
+const NID_TYPE_CONTENTS_TABLE = 0x0e;
+
+// Heap-on-node client signatures
+const HEAP_SIG_TABLE = 0x7c;
+const HEAP_SIG_PROPERTIES = 0xbc;
+
+// Property IDs used by the reader
+const PROP = {
+    MESSAGE_CLASS: 0x001a,
+    SUBJECT: 0x0037,
+    CLIENT_SUBMIT_TIME: 0x0039,
+    SENT_REPRESENTING_NAME: 0x0042,
+    CONVERSATION_INDEX: 0x0071,
+    TRANSPORT_HEADERS: 0x007d,
+    RECIPIENT_TYPE: 0x0c15,
+    SENDER_NAME: 0x0c1a,
+    SENDER_ADDRESS_TYPE: 0x0c1e,
+    SENDER_EMAIL: 0x0c1f,
+    MESSAGE_DELIVERY_TIME: 0x0e06,
+    BODY: 0x1000,
+    RTF_COMPRESSED: 0x1009,
+    BODY_HTML: 0x1013,
+    MESSAGE_ID: 0x1035,
+    REFERENCES: 0x1039,
+    IN_REPLY_TO: 0x1042,
+    DISPLAY_NAME: 0x3001,
+    ADDRESS_TYPE: 0x3002,
+    EMAIL_ADDRESS: 0x3003,
+    CONTENT_COUNT: 0x3602,
+    SUBFOLDERS: 0x360a,
+    ATTACH_DATA: 0x3701,
+    ATTACH_FILENAME: 0x3704,
+    ATTACH_METHOD: 0x3705,
+    ATTACH_LONG_FILENAME: 0x3707,
+    ATTACH_MIME_TAG: 0x370e,
+    ATTACH_CONTENT_ID: 0x3712,
+    SMTP_ADDRESS: 0x39fe,
+    INTERNET_CODEPAGE: 0x3fde,
+    SENDER_SMTP_ADDRESS: 0x5d01
+};
+
+// Message classes that are not emails and are skipped when listing folders
+const NON_MAIL_CLASSES = /^IPM\.(Appointment|Contact|DistList|Task|StickyNote|Activity)/i;
+
+// Decoding table for NDB_CRYPT_PERMUTE ("compressible encryption"), from [MS-PST] 5.1
+const PERMUTE_DECODE = new Uint8Array([
+    0x47, 0xf1, 0xb4, 0xe6, 0x0b, 0x6a, 0x72, 0x48, 0x85, 0x4e, 0x9e, 0xeb, 0xe2, 0xf8, 0x94, 0x53,
+    0xe0, 0xbb, 0xa0, 0x02, 0xe8, 0x5a, 0x09, 0xab, 0xdb, 0xe3, 0xba, 0xc6, 0x7c, 0xc3, 0x10, 0xdd,
+    0x39, 0x05, 0x96, 0x30, 0xf5, 0x37, 0x60, 0x82, 0x8c, 0xc9, 0x13, 0x4a, 0x6b, 0x1d, 0xf3, 0xfb,
+    0x8f, 0x26, 0x97, 0xca, 0x91, 0x17, 0x01, 0xc4, 0x32, 0x2d, 0x6e, 0x31, 0x95, 0xff, 0xd9, 0x23,
+    0xd1, 0x00, 0x5e, 0x79, 0xdc, 0x44, 0x3b, 0x1a, 0x28, 0xc5, 0x61, 0x57, 0x20, 0x90, 0x3d, 0x83,
+    0xb9, 0x43, 0xbe, 0x67, 0xd2, 0x46, 0x42, 0x76, 0xc0, 0x6d, 0x5b, 0x7e, 0xb2, 0x0f, 0x16, 0x29,
+    0x3c, 0xa9, 0x03, 0x54, 0x0d, 0xda, 0x5d, 0xdf, 0xf6, 0xb7, 0xc7, 0x62, 0xcd, 0x8d, 0x06, 0xd3,
+    0x69, 0x5c, 0x86, 0xd6, 0x14, 0xf7, 0xa5, 0x66, 0x75, 0xac, 0xb1, 0xe9, 0x45, 0x21, 0x70, 0x0c,
+    0x87, 0x9f, 0x74, 0xa4, 0x22, 0x4c, 0x6f, 0xbf, 0x1f, 0x56, 0xaa, 0x2e, 0xb3, 0x78, 0x33, 0x50,
+    0xb0, 0xa3, 0x92, 0xbc, 0xcf, 0x19, 0x1c, 0xa7, 0x63, 0xcb, 0x1e, 0x4d, 0x3e, 0x4b, 0x1b, 0x9b,
+    0x4f, 0xe7, 0xf0, 0xee, 0xad, 0x3a, 0xb5, 0x59, 0x04, 0xea, 0x40, 0x55, 0x25, 0x51, 0xe5, 0x7a,
+    0x89, 0x38, 0x68, 0x52, 0x7b, 0xfc, 0x27, 0xae, 0xd7, 0xbd, 0xfa, 0x07, 0xf4, 0xcc, 0x8e, 0x5f,
+    0xef, 0x35, 0x9c, 0x84, 0x2b, 0x15, 0xd5, 0x77, 0x34, 0x49, 0xb6, 0x12, 0x0a, 0x7f, 0x71, 0x88,
+    0xfd, 0x9d, 0x18, 0x41, 0x7d, 0x93, 0xd8, 0x58, 0x2c, 0xce, 0xfe, 0x24, 0xaf, 0xde, 0xb8, 0x36,
+    0xc8, 0xa1, 0x80, 0xa6, 0x99, 0x98, 0xa8, 0x2f, 0x0e, 0x81, 0x65, 0x73, 0xe4, 0xc2, 0xa2, 0x8a,
+    0xd4, 0xe1, 0x11, 0xd0, 0x08, 0x8b, 0x2a, 0xf2, 0xed, 0x9a, 0x64, 0x3f, 0xc1, 0x6c, 0xf9, 0xec
+]);
+
+// Maximum number of B-tree pages kept in memory
+const PAGE_CACHE_LIMIT = 4096;
+
+/**
+ * Reader for a single .pst/.ost file
+ */
+export class PstReader {
+    /**
+     * Open a .pst/.ost file and read its header
+     * @param {File|Blob} file - Archive file
+     * @returns {Promise<PstReader>} Ready-to-use reader
+     * @throws {Error} If the file is not a supported PST/OST
+     */
+    static async open(file) {
+        const reader = new PstReader(file);
+        await reader.readHeader();
+        return reader;
+    }
+
+    /**
+     * @param {File|Blob} file - Archive file
+     */
+    constructor(file) {
+        this.file = file;
+        this.name = file.name;
+        this.pageCache = new Map();
+    }
+
+    /**
+     * Read and validate the file header
+     */
+    async readHeader() {
+        const header = await this.readBytes(0, 564);
+        const view = toView(header);
+
+        if (String.fromCharCode(header[0], header[1], header[2], header[3]) !== '!BDN') {
+            throw new Error('Not an Outlook data file');
+        }
+
+        const version = view.getUint16(10, true);
+        const isAnsi = version === 14 || version === 15;
+        const is4k = version >= 36;
+
+        if (!isAnsi && version < 23) {
+            throw new Error(`Unsupported Outlook data file version ${version}`);
+        }
+
+        this.format = {
+            isAnsi,
+            is4k,
+            idSize: isAnsi ? 4 : 8,
+            pageSize: is4k ? 4096 : 512
+        };
+
+        this.cryptMethod = header[isAnsi ? 461 : 513];
+        if (this.cryptMethod === 2) {
+            throw new Error('Outlook files with high (cyclic) encryption are not supported');
+        }
+
+        this.nbtRoot = this.readId(view, isAnsi ? 188 : 224);
+        this.bbtRoot = this.readId(view, isAnsi ? 196 : 240);
+    }
+
+    /**
+     * Get the display name of the message store (e.g. "Personal Folders")
+     * @returns {Promise<string>} Store name
+     */
+    async getStoreName() {
+        const props = await this.readPropertyContext(await this.readNode(NID_MESSAGE_STORE));
+        return props.get(PROP.DISPLAY_NAME) || this.name;
+    }
+
+    /**
+     * Read the folder hierarchy
+     * @returns {Promise<Object>} Root folder: { nid, name, contentCount, children }
+     */
+    async getFolderTree() {
+        const root = await this.readFolder(NID_ROOT_FOLDER, 0);
+        root.name = await this.getStoreName();
+        return root;
+    }
+
+    /**
+     * List the email messages in a folder using its contents table
+     * @param {number} folderNid - Folder node ID
+     * @returns {Promise<Array<Object>>} Summaries: { nid, subject, date }
+     */
+    async listMessages(folderNid) {
+        const tableNid = (folderNid & ~0x1f) | NID_TYPE_CONTENTS_TABLE;
+        const node = await this.readNode(tableNid);
+        if (!node) return [];
+
+        const rows = await this.readTable(node, [
+            PROP.MESSAGE_CLASS,
+            PROP.SUBJECT,
+            PROP.MESSAGE_DELIVERY_TIME,
+            PROP.CLIENT_SUBMIT_TIME
+        ]);
+
+        return rows
+            .filter(row => !NON_MAIL_CLASSES.test(row.values.get(PROP.MESSAGE_CLASS) || ''))
+            .map(row => ({
+                nid: row.rowId,
+                subject: stripSubjectPrefix(row.values.get(PROP.SUBJECT) || ''),
+                date: row.values.get(PROP.MESSAGE_DELIVERY_TIME) || row.values.get(PROP.CLIENT_SUBMIT_TIME) || null
+            }));
+    }
+
+    /**
+     * Read a message into the same field layout msgreader produces for .msg files
+     * @param {number} nid - Message node ID
+     * @returns {Promise<Object>} Message fields
+     */
+    async readMessage(nid) {
+        const node = await this.readNode(nid);
+        if (!node) {
+            throw new Error(`Message ${nid} not found`);
+        }
+
+        return this.readMessageNode(node);
+    }
+
+    /**
+     * Create a queue entry for a message, processed like an individual file
+     * @param {number} nid - Message node ID
+     * @param {string} name - Display name (used as the email's source label)
+     * @returns {Object} Queue entry: { name, pstReader, nid }
+     */
+    createMessageEntry(nid, name) {
+        return { name, pstReader: this, nid };
+    }
+
+    /**
+     * Read message fields from a message node (top-level or embedded)
+     * @param {Object} node - Message node
+     * @returns {Promise<Object>} Message fields
+     */
+    async readMessageNode(node) {
+        const props = await this.readPropertyContext(node);
+        const codepage = props.get(PROP.INTERNET_CODEPAGE);
+        const senderType = props.get(PROP.SENDER_ADDRESS_TYPE) || '';
+        let bodyHtml = props.get(PROP.BODY_HTML);
+
+        if (bodyHtml instanceof Uint8Array) {
+            bodyHtml = decodeWithCodepage(bodyHtml, codepage);
+        }
+
+        return {
+            messageClass: props.get(PROP.MESSAGE_CLASS) || '',
+            subject: stripSubjectPrefix(props.get(PROP.SUBJECT) || ''),
+            senderName: props.get(PROP.SENDER_NAME) || props.get(PROP.SENT_REPRESENTING_NAME) || '',
+            senderEmail: props.get(PROP.SENDER_SMTP_ADDRESS) ||
+                (senderType.toUpperCase() === 'EX' ? '' : props.get(PROP.SENDER_EMAIL) || ''),
+            recipients: await this.readRecipients(node),
+            messageDeliveryTime: props.get(PROP.MESSAGE_DELIVERY_TIME) || null,
+            clientSubmitTime: props.get(PROP.CLIENT_SUBMIT_TIME) || null,
+            body: props.get(PROP.BODY) || '',
+            bodyHtml: bodyHtml || '',
+            compressedRtf: props.get(PROP.RTF_COMPRESSED) || null,
+            headers: props.get(PROP.TRANSPORT_HEADERS) || '',
+            messageId: props.get(PROP.MESSAGE_ID) || '',
+            inReplyToId: props.get(PROP.IN_REPLY_TO) || '',
+            references: props.get(PROP.REFERENCES) || '',
+            conversationIndex: props.get(PROP.CONVERSATION_INDEX) || null,
+            attachments: await this.readAttachments(node)
+        };
+    }
+
+    /**
+     * Read the recipient table of a message
+     * @param {Object} node - Message node
+     * @returns {Promise<Array<Object>>} Recipients: { name, email, recipType }
+     */
+    async readRecipients(node) {
+        const tableNode = await this.readSubnode(node, NID_RECIPIENT_TABLE);
+        if (!tableNode) return [];
+
+        const rows = await this.readTable(tableNode, [
+            PROP.RECIPIENT_TYPE,
+            PROP.DISPLAY_NAME,
+            PROP.ADDRESS_TYPE,
+            PROP.EMAIL_ADDRESS,
+            PROP.SMTP_ADDRESS
+        ]);
+
+        return rows.map(row => {
+            const addressType = (row.values.get(PROP.ADDRESS_TYPE) || '').toUpperCase();
+            const type = row.values.get(PROP.RECIPIENT_TYPE);
+
+            return {
+                name: row.values.get(PROP.DISPLAY_NAME) || '',
+                email: row.values.get(PROP.SMTP_ADDRESS) ||
+                    (addressType === 'EX' ? '' : row.values.get(PROP.EMAIL_ADDRESS) || ''),
+                recipType: type === 2 ? 'cc' : type === 3 ? 'bcc' : 'to'
+            };
+        });
+    }
+
+    /**
+     * Read the attachments of a message, including their content
+     * @param {Object} node - Message node
+     * @returns {Promise<Array<Object>>} Attachments in msgreader layout
+     */
+    async readAttachments(node) {
+        const tableNode = await this.readSubnode(node, NID_ATTACHMENT_TABLE);
+        if (!tableNode) return [];
+
+        const rows = await this.readTable(tableNode, []);
+        const attachments = [];
+
+        for (const row of rows) {
+            const attachNode = await this.readSubnode(node, row.rowId);
+            if (!attachNode) continue;
+
+            const props = await this.readPropertyContext(attachNode);
+            const data = props.get(PROP.ATTACH_DATA);
+            const attachment = {
+                fileName: props.get(PROP.ATTACH_LONG_FILENAME) || props.get(PROP.ATTACH_FILENAME) ||
+                    props.get(PROP.DISPLAY_NAME) || '',
+                name: props.get(PROP.DISPLAY_NAME) || '',
+                attachMimeTag: props.get(PROP.ATTACH_MIME_TAG) || '',
+                pidContentId: props.get(PROP.ATTACH_CONTENT_ID) || '',
+                content: data instanceof Uint8Array ? data : null
+            };
+
+            // Embedded message (ATTACH_EMBEDDED_MSG): the data is a subnode holding a message
+            if (data && data.objectNid !== undefined) {
+                const messageNode = await this.readSubnode(attachNode, data.objectNid);
+                if (messageNode) {
+                    attachment.innerMsgContent = true;
+                    attachment.innerMsgContentFields = await this.readMessageNode(messageNode);
+                }
+            }
+
+            attachment.contentLength = attachment.content ? attachment.content.length : 0;
+            attachments.push(attachment);
+        }
+
+        return attachments;
+    }
+
+    /**
+     * Recursively read a folder and its subfolders
+     * @param {number} nid - Folder node ID
+     * @param {number} depth - Recursion depth (guards against corrupt loops)
+     * @returns {Promise<Object>} Folder: { nid, name, contentCount, children }
+     */
+    async readFolder(nid, depth) {
+        const node = await this.readNode(nid);
+        const props = node ? await this.readPropertyContext(node) : new Map();
+        const folder = {
+            nid,
+            name: props.get(PROP.DISPLAY_NAME) || '',
+            contentCount: props.get(PROP.CONTENT_COUNT) || 0,
+            children: []
+        };
+
+        if (depth > 32 || props.get(PROP.SUBFOLDERS) === false) {
+            return folder;
+        }
+
+        const hierarchyNode = await this.readNode((nid & ~0x1f) | NID_TYPE_HIERARCHY_TABLE);
+        if (!hierarchyNode) {
+            return folder;
+        }
+
+        const rows = await this.readTable(hierarchyNode, []);
+        for (const row of rows) {
+            if (row.rowId === nid) continue;
+            folder.children.push(await this.readFolder(row.rowId, depth + 1));
+        }
+
+        return folder;
+    }
+
+    // ------------------------------------------------------------------
+    // LTP layer: heap-on-node, BTH, property context, table context
+    // ------------------------------------------------------------------
+
+    /**
+     * Read a property context (PC) into a map of property ID to value
+     * @param {Object} node - Node holding the PC
+     * @returns {Promise<Map<number, *>>} Properties
+     */
+    async readPropertyContext(node) {
+        const heap = new Heap(node.blocks);
+        const props = new Map();
+
+        if (heap.clientSignature !== HEAP_SIG_PROPERTIES) {
+            return props;
+        }
+
+        for (const record of readBth(heap, heap.userRoot)) {
+            const propId = u16(record.key, 0);
+            const type = u16(record.data, 0);
+            const hnid = u32(record.data, 2);
+
+            try {
+                props.set(propId, await this.readPropertyValue(node, heap, type, hnid));
+            } catch (error) {
+                console.warn(`Skipping unreadable property 0x${propId.toString(16)}:`, error);
+            }
+        }
+
+        return props;
+    }
+
+    /**
+     * Decode a property context value
+     * @param {Object} node - Node holding the PC
+     * @param {Heap} heap - Node heap
+     * @param {number} type - Property type
+     * @param {number} hnid - Inline value or HNID
+     * @returns {Promise<*>} Decoded value
+     */
+    async readPropertyValue(node, heap, type, hnid) {
+        switch (type) {
+            case 0x0002: return (hnid << 16) >> 16;                       // PtypInteger16
+            case 0x0003: return hnid | 0;                                 // PtypInteger32
+            case 0x000b: return (hnid & 0xff) !== 0;                      // PtypBoolean
+            case 0x0004: return toView(Uint8Array.of(hnid & 0xff, (hnid >>> 8) & 0xff,
+                (hnid >>> 16) & 0xff, hnid >>> 24)).getFloat32(0, true);  // PtypFloating32
+            default:
+                break;
+        }
+
+        const bytes = await this.readHnid(node, heap, hnid);
+
+        if (type === 0x000d) {
+            // PtypObject: NID (4) + size (4) of the subnode holding the object
+            return { objectNid: bytes.length >= 4 ? u32(bytes, 0) : 0 };
+        }
+
+        return decodeValue(type, bytes);
+    }
+
+    /**
+     * Read a table context (TC)
+     * @param {Object} node - Node holding the TC
+     * @param {Array<number>} propIds - Property IDs to read (others are skipped)
+     * @returns {Promise<Array<Object>>} Rows: { rowId, values: Map }
+     */
+    async readTable(node, propIds) {
+        const heap = new Heap(node.blocks);
+        if (heap.clientSignature !== HEAP_SIG_TABLE) {
+            return [];
+        }
+
+        const info = heap.get(heap.userRoot);
+        const columnCount = info[1];
+        const rowSize = u16(info, 8);
+        const cebOffset = u16(info, 6);
+        const hidRowIndex = u32(info, 10);
+        const hnidRows = u32(info, 14);
+        const columns = [];
+
+        for (let i = 0; i < columnCount; i++) {
+            const offset = 22 + i * 8;
+            columns.push({
+                tag: u32(info, offset),
+                offset: u16(info, offset + 4),
+                size: info[offset + 6],
+                bit: info[offset + 7]
+            });
+        }
+
+        const rowCount = readBth(heap, hidRowIndex).length;
+        if (rowCount === 0 || hnidRows === 0 || rowSize === 0) {
+            return [];
+        }
+
+        const rowBlocks = isHid(hnidRows)
+            ? [heap.get(hnidRows)]
+            : ((await this.readSubnode(node, hnidRows)) || { blocks: [] }).blocks;
+        const rowsPerBlock = rowBlocks.length > 1
+            ? Math.floor(rowBlocks[0].length / rowSize)
+            : rowCount;
+        const wanted = columns.filter(column => propIds.includes(column.tag >>> 16));
+        const rows = [];
+
+        for (let r = 0; r < rowCount; r++) {
+            const block = rowBlocks[Math.floor(r / rowsPerBlock)];
+            const start = (r % rowsPerBlock) * rowSize;
+            if (!block || start + rowSize > block.length) break;
+
+            const row = block.subarray(start, start + rowSize);
+            const values = new Map();
+
+            for (const column of wanted) {
+                const exists = row[cebOffset + (column.bit >> 3)] & (0x80 >> (column.bit & 7));
+                if (!exists) continue;
+
+                try {
+                    values.set(column.tag >>> 16, await this.readCell(node, heap, column, row));
+                } catch (error) {
+                    console.warn('Skipping unreadable table cell:', error);
+                }
+            }
+
+            rows.push({ rowId: u32(row, 0), values });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Decode one table cell
+     * @param {Object} node - Node holding the TC
+     * @param {Heap} heap - Node heap
+     * @param {Object} column - Column descriptor
+     * @param {Uint8Array} row - Row bytes
+     * @returns {Promise<*>} Decoded value
+     */
+    async readCell(node, heap, column, row) {
+        const type = column.tag & 0xffff;
+        const cell = row.subarray(column.offset, column.offset + column.size);
+
+        switch (type) {
+            case 0x0002: return toView(cell).getInt16(0, true);
+            case 0x0003: return toView(cell).getInt32(0, true);
+            case 0x000b: return cell[0] !== 0;
+            case 0x0004:
+            case 0x0005:
+            case 0x0006:
+            case 0x0014:
+            case 0x0040:
+                return decodeValue(type, cell);
+            default:
+                return decodeValue(type, await this.readHnid(node, heap, u32(cell, 0)));
+        }
+    }
+
+    /**
+     * Resolve an HNID to bytes: either a heap allocation or a subnode's data
+     * @param {Object} node - Owning node
+     * @param {Heap} heap - Node heap
+     * @param {number} hnid - HNID
+     * @returns {Promise<Uint8Array>} Bytes
+     */
+    async readHnid(node, heap, hnid) {
+        if (hnid === 0) {
+            return new Uint8Array(0);
+        }
+
+        if (isHid(hnid)) {
+            return heap.get(hnid);
+        }
+
+        const subnode = await this.readSubnode(node, hnid);
+        return subnode ? concatBytes(subnode.blocks) : new Uint8Array(0);
+    }
+
+    // ------------------------------------------------------------------
+    // NDB layer: nodes, subnodes, blocks and B-trees
+    // ------------------------------------------------------------------
+
+    /**
+     * Read a top-level node from the node B-tree
+     * @param {number} nid - Node ID
+     * @returns {Promise<Object|null>} Node: { nid, blocks, bidSub }, or null if absent
+     */
+    async readNode(nid) {
+        const entry = await this.findTreeEntry(this.nbtRoot, nid, true);
+        if (!entry) return null;
+
+        return {
+            nid,
+            blocks: await this.readDataTree(entry.bidData),
+            bidSub: entry.bidSub,
+            subnodes: null
+        };
+    }
+
+    /**
+     * Read a subnode of a node
+     * @param {Object} node - Parent node
+     * @param {number} nid - Subnode ID
+     * @returns {Promise<Object|null>} Subnode, or null if absent
+     */
+    async readSubnode(node, nid) {
+        if (!node.subnodes) {
+            node.subnodes = new Map();
+            if (node.bidSub) {
+                await this.readSubnodeTree(node.bidSub, node.subnodes);
+            }
+        }
+
+        const entry = node.subnodes.get(nid);
+        if (!entry) return null;
+
+        return {
+            nid,
+            blocks: await this.readDataTree(entry.bidData),
+            bidSub: entry.bidSub,
+            subnodes: null
+        };
+    }
+
+    /**
+     * Read an SIBLOCK/SLBLOCK tree into a map of subnode entries
+     * @param {number} bid - Block ID of the subnode tree
+     * @param {Map} subnodes - Map to fill: nid -> { bidData, bidSub }
+     */
+    async readSubnodeTree(bid, subnodes) {
+        const block = await this.readBlock(bid);
+        const { idSize, isAnsi } = this.format;
+        const level = block[1];
+        const count = u16(block, 2);
+        const headerSize = isAnsi ? 4 : 8;
+
+        for (let i = 0; i < count; i++) {
+            if (level === 0) {
+                const offset = headerSize + i * idSize * 3;
+                subnodes.set(u32(block, offset), {
+                    bidData: this.readIdAt(block, offset + idSize),
+                    bidSub: this.readIdAt(block, offset + idSize * 2)
+                });
+            } else {
+                const offset = headerSize + i * idSize * 2;
+                await this.readSubnodeTree(this.readIdAt(block, offset + idSize), subnodes);
+            }
+        }
+    }
+
+    /**
+     * Read the data tree of a node: a single block or an XBLOCK/XXBLOCK of blocks
+     * @param {number} bid - Block ID
+     * @returns {Promise<Array<Uint8Array>>} Data blocks, in order
+     */
+    async readDataTree(bid) {
+        if (!bid) return [];
+
+        const block = await this.readBlock(bid);
+        if (!isInternalBid(bid)) {
+            return [block];
+        }
+
+        // XBLOCK (level 1) lists data blocks, XXBLOCK (level 2) lists XBLOCKs
+        const { idSize } = this.format;
+        const count = u16(block, 2);
+        const blocks = [];
+
+        for (let i = 0; i < count; i++) {
+            const childBid = this.readIdAt(block, 8 + i * idSize);
+            blocks.push(...await this.readDataTree(childBid));
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Read and decode a single block
+     * @param {number} bid - Block ID
+     * @returns {Promise<Uint8Array>} Block data
+     */
+    async readBlock(bid) {
+        const entry = await this.findTreeEntry(this.bbtRoot, bid, false);
+        if (!entry) {
+            throw new Error(`Block ${bid} not found`);
+        }
+
+        let data = await this.readBytes(entry.ib, entry.cb);
+
+        if (!isInternalBid(bid)) {
+            if (this.cryptMethod === 1) {
+                data = data.map(byte => PERMUTE_DECODE[byte]);
+            }
+
+            // 4K-page OST files may zlib-compress data blocks
+            if (this.format.is4k && entry.cbInflated > entry.cb && isZlibHeader(data)) {
+                data = await inflate(data);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Find an entry in the node (NBT) or block (BBT) B-tree
+     * @param {number} rootOffset - File offset of the root page
+     * @param {number} key - NID or BID to find
+     * @param {boolean} isNodeTree - True for the NBT, false for the BBT
+     * @returns {Promise<Object|null>} Leaf entry, or null if absent
+     */
+    async findTreeEntry(rootOffset, key, isNodeTree) {
+        const target = isNodeTree ? key : clearLowBit(key);
+        let offset = rootOffset;
+
+        for (let depth = 0; depth < 16; depth++) {
+            const page = await this.readPage(offset);
+
+            if (page.level > 0) {
+                let next = null;
+                for (const entry of page.entries) {
+                    if (entry.key > target) break;
+                    next = entry;
+                }
+                if (!next) return null;
+                offset = next.ib;
+                continue;
+            }
+
+            return page.entries.find(entry => entry.key === target) || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read and parse a B-tree page (cached)
+     * @param {number} offset - File offset of the page
+     * @returns {Promise<Object>} Page: { level, entries }
+     */
+    async readPage(offset) {
+        if (this.pageCache.has(offset)) {
+            return this.pageCache.get(offset);
+        }
+
+        const { pageSize, idSize, isAnsi, is4k } = this.format;
+        const bytes = await this.readBytes(offset, pageSize);
+
+        let count;
+        let entrySize;
+        let level;
+
+        if (is4k) {
+            count = u16(bytes, 4056);
+            entrySize = bytes[4060];
+            level = bytes[4061];
+        } else {
+            const base = isAnsi ? 496 : 488;
+            count = bytes[base];
+            entrySize = bytes[base + 2];
+            level = bytes[base + 3];
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const start = i * entrySize;
+
+            if (level > 0) {
+                entries.push({
+                    key: this.readIdAt(bytes, start),
+                    ib: this.readIdAt(bytes, start + idSize * 2)
+                });
+            } else if (entrySize >= idSize * 3 + 4 && this.isNodePage(bytes)) {
+                entries.push({
+                    key: u32(bytes, start),
+                    bidData: this.readIdAt(bytes, start + idSize),
+                    bidSub: this.readIdAt(bytes, start + idSize * 2)
+                });
+            } else {
+                entries.push({
+                    key: clearLowBit(this.readIdAt(bytes, start)),
+                    ib: this.readIdAt(bytes, start + idSize),
+                    cb: u16(bytes, start + idSize * 2),
+                    // 4K pages record the size of the block once inflated
+                    cbInflated: is4k ? u16(bytes, start + idSize * 2 + 2) : 0
+                });
+            }
+        }
+
+        const page = { level, entries };
+
+        if (this.pageCache.size >= PAGE_CACHE_LIMIT) {
+            this.pageCache.clear();
+        }
+        this.pageCache.set(offset, page);
+
+        return page;
+    }
+
+    /**
+     * Check the page trailer type: 0x81 for NBT pages, 0x80 for BBT pages
+     * @param {Uint8Array} bytes - Page bytes
+     * @returns {boolean} True for a node B-tree page
+     */
+    isNodePage(bytes) {
+        const { pageSize, isAnsi, is4k } = this.format;
+        const trailerOffset = is4k ? pageSize - 24 : pageSize - (isAnsi ? 12 : 16);
+        return bytes[trailerOffset] === 0x81;
+    }
+
+    /**
+     * Read a 4- or 8-byte ID or offset from a DataView
+     * @param {DataView} view - View over header bytes
+     * @param {number} offset - Byte offset
+     * @returns {number} Value
+     */
+    readId(view, offset) {
+        return this.format.isAnsi
+            ? view.getUint32(offset, true)
+            : view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+
+    /**
+     * Read a 4- or 8-byte ID or offset from bytes
+     * @param {Uint8Array} bytes - Source bytes
+     * @param {number} offset - Byte offset
+     * @returns {number} Value
+     */
+    readIdAt(bytes, offset) {
+        return this.readId(toView(bytes), offset);
+    }
+
+    /**
+     * Read a byte range from the file
+     * @param {number} offset - Start offset
+     * @param {number} length - Number of bytes
+     * @returns {Promise<Uint8Array>} Bytes
+     */
+    async readBytes(offset, length) {
+        const buffer = await this.file.slice(offset, offset + length).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+}
+
+/**
+ * Heap-on-node view over a node's data blocks
+ */
+class Heap {
+    /**
+     * @param {Array<Uint8Array>} blocks - Node data blocks
+     */
+    constructor(blocks) {
+        this.blocks = blocks;
+        const first = blocks[0];
+
+        this.valid = Boolean(first) && first.length >= 12 && first[2] === 0xec;
+        this.clientSignature = this.valid ? first[3] : 0;
+        this.userRoot = this.valid ? u32(first, 4) : 0;
+    }
+
+    /**
+     * Get the bytes of a heap allocation
+     * @param {number} hid - Heap ID
+     * @returns {Uint8Array} Allocation bytes (empty if invalid)
+     */
+    get(hid) {
+        const blockIndex = hid >>> 16;
+        const index = (hid >>> 5) & 0x7ff;
+        const block = this.blocks[blockIndex];
+
+        if (!block || index === 0) {
+            return new Uint8Array(0);
+        }
+
+        const pageMap = u16(block, 0);
+        const allocCount = u16(block, pageMap);
+        if (index > allocCount) {
+            return new Uint8Array(0);
+        }
+
+        const start = u16(block, pageMap + 4 + (index - 1) * 2);
+        const end = u16(block, pageMap + 4 + index * 2);
+        return block.subarray(start, end);
+    }
+}
+
+/**
+ * Read all records of a BTH (B-tree on heap)
+ * @param {Heap} heap - Heap holding the BTH
+ * @param {number} hid - HID of the BTH header
+ * @returns {Array<Object>} Records: { key, data }
+ */
+function readBth(heap, hid) {
+    const header = heap.get(hid);
+    if (header.length < 8 || header[0] !== 0xb5) {
+        return [];
+    }
+
+    const keySize = header[1];
+    const dataSize = header[2];
+    const levels = header[3];
+    const root = u32(header, 4);
+
+    return root ? readBthLevel(heap, root, levels, keySize, dataSize) : [];
+}
+
+/**
+ * Read the records under one BTH index level
+ * @param {Heap} heap - Heap holding the BTH
+ * @param {number} hid - HID of the level's records
+ * @param {number} level - Remaining index levels (0 = leaf)
+ * @param {number} keySize - Key size in bytes
+ * @param {number} dataSize - Leaf data size in bytes
+ * @returns {Array<Object>} Records: { key, data }
+ */
+function readBthLevel(heap, hid, level, keySize, dataSize) {
+    const bytes = heap.get(hid);
+    const records = [];
+
+    if (level === 0) {
+        const size = keySize + dataSize;
+        for (let i = 0; i + size <= bytes.length; i += size) {
+            records.push({
+                key: bytes.subarray(i, i + keySize),
+                data: bytes.subarray(i + keySize, i + size)
+            });
+        }
+        return records;
+    }
+
+    const size = keySize + 4;
+    for (let i = 0; i + size <= bytes.length; i += size) {
+        records.push(...readBthLevel(heap, u32(bytes, i + keySize), level - 1, keySize, dataSize));
+    }
+    return records;
+}
+
+/**
+ * Decode a property value from its bytes
+ * @param {number} type - Property type
+ * @param {Uint8Array} bytes - Value bytes
+ * @returns {*} Decoded value (strings, numbers, Dates or bytes)
+ */
+function decodeValue(type, bytes) {
+    const view = toView(bytes);
+
+    switch (type) {
+        case 0x001f:                                   // PtypString (UTF-16LE)
+            return new TextDecoder('utf-16le').decode(bytes).replace(/\0+$/, '');
+        case 0x001e:                                   // PtypString8
+            return new TextDecoder('windows-1252').decode(bytes).replace(/\0+$/, '');
+        case 0x0040:                                   // PtypTime (FILETIME)
+            return bytes.length >= 8 ? fileTimeToDate(view) : null;
+        case 0x0014:                                   // PtypInteger64
+            return bytes.length >= 8 ? view.getUint32(0, true) + view.getInt32(4, true) * 0x100000000 : 0;
+        case 0x0005:                                   // PtypFloating64
+            return bytes.length >= 8 ? view.getFloat64(0, true) : 0;
+        case 0x0006:                                   // PtypCurrency
+            return bytes.length >= 8 ? (view.getUint32(0, true) + view.getInt32(4, true) * 0x100000000) / 10000 : 0;
+        case 0x0004:                                   // PtypFloating32
+            return bytes.length >= 4 ? view.getFloat32(0, true) : 0;
+        case 0x0002:                                   // PtypInteger16
+            return bytes.length >= 2 ? view.getInt16(0, true) : 0;
+        case 0x0003:                                   // PtypInteger32
+            return bytes.length >= 4 ? view.getInt32(0, true) : 0;
+        default:                                       // Binary, GUID, multi-valued
+            return bytes;
+    }
+}
+
+/**
+ * Convert a FILETIME (100ns ticks since 1601) to a Date
+ * @param {DataView} view - View positioned at the FILETIME
+ * @returns {Date|null} Date, or null for zero/invalid times
+ */
+function fileTimeToDate(view) {
+    const ticks = view.getUint32(0, true) + view.getUint32(4, true) * 0x100000000;
+    if (ticks === 0) return null;
+
+    const date = new Date(ticks / 10000 - 11644473600000);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Remove the MAPI subject prefix marker ("\u0001" + length) from a subject
+ * @param {string} subject - Raw subject
+ * @returns {string} Clean subject
+ */
+function stripSubjectPrefix(subject) {
+    return subject.charCodeAt(0) === 1 ? subject.substring(2) : subject;
+}
+
+/**
+ * Check whether bytes start with a zlib header
+ * @param {Uint8Array} bytes - Data
+ * @returns {boolean} True if zlib-compressed
+ */
+function isZlibHeader(bytes) {
+    return bytes.length > 2 && bytes[0] === 0x78 && ((bytes[0] << 8) | bytes[1]) % 31 === 0;
+}
+
+/**
+ * Inflate zlib data with the browser's DecompressionStream
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} arrays - Arrays to join
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(arrays) {
+    if (arrays.length === 1) return arrays[0];
+
+    const total = arrays.reduce((sum, array) => sum + array.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+
+    return result;
+}
+
+/**
+ * HNIDs with a zero NID type are heap IDs; others are subnode IDs
+ * @param {number} hnid - HNID
+ * @returns {boolean} True if the HNID is a HID
+ */
+function isHid(hnid) {
+    return (hnid & 0x1f) === 0;
+}
+
+/**
+ * Internal blocks (XBLOCK, SLBLOCK, ...) have bit 1 of the BID set
+ * @param {number} bid - Block ID
+ * @returns {boolean} True for internal blocks
+ */
+function isInternalBid(bid) {
+    return Math.floor(bid / 2) % 2 === 1;
+}
+
+/**
+ * Clear the reserved low bit of a BID
+ * @param {number} bid - Block ID
+ * @returns {number} BID with bit 0 cleared
+ */
+function clearLowBit(bid) {
+    return bid - (bid % 2);
+}
+
+/**
+ * Create a little-endian DataView over a byte array
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {DataView} View
+ */
+function toView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Read an unsigned 16-bit little-endian value
+ */
+function u16(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+/**
+ * Read an unsigned 32-bit little-endian value
+ */
+function u32(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
@@ -1,6 +1,6 @@
 /**
  * File processing queue
- * Manages sequential processing of .msg files
+ * Manages sequential processing of email files
  */
 
 export class ProcessingQueue {
@@ -9,11 +9,15 @@ export class ProcessingQueue {
         this.queue = [];
         this.isProcessing = false;
         this.currentFile = null;
+        this.currentExpanded = false; // The current file was replaced by the items it holds
+        this.batchTotal = 0;     // Files queued since the queue was last empty
+        this.scanCount = null;   // Files found so far while a folder is being scanned
 
         // DOM elements
         this.queueStatusEl = document.getElementById('queueStatus');
         this.queueCountEl = document.getElementById('queueCount');
         this.queueStateEl = document.getElementById('queueState');
+        this.queueTotalEl = document.getElementById('queueTotal');
         this.queueDetailsEl = document.getElementById('queueDetails');
         this.currentFileEl = document.getElementById('currentFile');
         this.nextFileEl = document.getElementById('nextFile');
@@ -24,7 +28,9 @@ export class ProcessingQueue {
      * @param {File[]} files - Array of files to process
      */
     addFiles(files) {
-        this.queue.push(...files);
+        this.queue = this.queue.concat(Array.from(files));
+        this.batchTotal += files.length;
+        this.scanCount = null;
         this.updateUI();
 
         if (!this.isProcessing) {
@@ -32,6 +38,33 @@ export class ProcessingQueue {
         }
     }
 
+    /**
+     * Insert files at the front of the queue, ahead of files already waiting
+     * Used when the current file expands into several items (e.g. the messages of a
+     * mailbox), which take its place in the batch total
+     * @param {Array<File|Blob>} files - Files to process next
+     */
+    insertFiles(files) {
+        // concat rather than unshift(...files): a large mailbox exceeds the argument limit
+        this.queue = files.concat(this.queue);
+        this.batchTotal += files.length - (this.currentFile && !this.currentExpanded ? 1 : 0);
+        this.currentExpanded = Boolean(this.currentFile);
+        this.updateUI();
+
+        if (!this.isProcessing) {
+            this.processNext();
+        }
+    }
+
+    /**
+     * Show how many files have been found while a dropped or chosen folder is scanned
+     * @param {number|null} count - Files found so far, or null when the scan is finished
+     */
+    showScanProgress(count) {
+        this.scanCount = count;
+        this.updateUI();
+    }
+
     /**
      * Process the next file in the queue
      */
@@ -39,12 +72,14 @@ export class ProcessingQueue {
         if (this.queue.length === 0) {
             this.isProcessing = false;
             this.currentFile = null;
+            this.batchTotal = 0;
             this.updateUI();
             return;
         }
 
         this.isProcessing = true;
         this.currentFile = this.queue.shift();
+        this.currentExpanded = false;
         this.updateUI();
 
         try {
@@ -63,7 +98,10 @@ export class ProcessingQueue {
     clear() {
         this.queue = [];
         this.currentFile = null;
+        this.currentExpanded = false;
         this.isProcessing = false;
+        this.batchTotal = 0;
+        this.scanCount = null;
         this.updateUI();
     }
 
@@ -74,16 +112,32 @@ export class ProcessingQueue {
         const totalInQueue = this.queue.length + (this.currentFile ? 1 : 0);
 
         // Show/hide queue status
-        if (totalInQueue === 0 && !this.currentFile) {
+        if (totalInQueue === 0 && !this.currentFile && this.scanCount === null) {
             this.queueStatusEl.classList.add('hidden');
             return;
         }
 
         this.queueStatusEl.classList.remove('hidden');
 
+        // Folder scan in progress: nothing is queued yet
+        if (this.scanCount !== null && totalInQueue === 0) {
+            this.queueCountEl.textContent = this.scanCount;
+            this.queueStateEl.textContent = 'Scanning folder…';
+            this.queueStateEl.classList.add('processing');
+            this.queueTotalEl.textContent = '';
+            this.queueDetailsEl.classList.add('hidden');
+            return;
+        }
+
         // Update count
         this.queueCountEl.textContent = totalInQueue;
 
+        // Total for the current batch, e.g. "12 of 250 files done"
+        const done = this.batchTotal - this.queue.length - (this.currentFile && !this.currentExpanded ? 1 : 0);
+        this.queueTotalEl.textContent = this.batchTotal > 1
+            ? `${done} of ${this.batchTotal} files done`
+            : '';
+
         // Update state
         if (this.isProcessing && this.currentFile) {
             this.queueStateEl.textContent = 'Processing';
@@ -0,0 +1,322 @@
+/**
+ * Outlook RTF body decoder
+ * - LZFu decompression of PR_RTF_COMPRESSED ([MS-OXRTFCP])
+ * - De-encapsulation of HTML stored inside RTF (\fromhtml1, [MS-OXRTFEX])
+ * - Plain RTF to text conversion as a last resort
+ */
+
+import { decodeWithCodepage } from './codepages.js';
+
+const COMPRESSED_LZFU = 0x75465a4c;   // "LZFu"
+const UNCOMPRESSED_MELA = 0x414c454d; // "MELA"
+
+// Dictionary preload defined by [MS-OXRTFCP] 2.1.2.1
+const LZFU_PRELOAD =
+    '{\\rtf1\\ansi\\mac\\deff0\\deftab720{\\fonttbl;}{\\f0\\fnil \\froman \\fswiss \\fmodern \\fscript ' +
+    '\\fdecor MS Sans SerifSymbolArialTimes New RomanCourier{\\colortbl\\red0\\green0\\blue0\r\n\\par ' +
+    '\\pard\\plain\\f0\\fs20\\b\\i\\u\\tab\\tx';
+
+// Destinations whose content is never visible text
+const SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst', 'header',
+    'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'listtable',
+    'listoverridetable', 'rsidtbl', 'xmlnstbl', 'themedata', 'colorschememapping',
+    'latentstyles', 'datastore', 'generator', 'filetbl', 'revtbl', 'pgdsctbl', 'mmathPr'
+]);
+
+// Control words that stand for a character
+const SYMBOLS = {
+    emdash: '—',
+    endash: '–',
+    bullet: '•',
+    lquote: '‘',
+    rquote: '’',
+    ldblquote: '“',
+    rdblquote: '”',
+    emspace: ' ',
+    enspace: ' ',
+    qmspace: ' '
+};
+
+/**
+ * Decompress an Outlook compressed RTF stream
+ * @param {Uint8Array} bytes - PR_RTF_COMPRESSED content
+ * @returns {string} RTF source as a binary string (one char per byte)
+ * @throws {Error} If the stream is not compressed RTF
+ */
+export function decompressRtf(bytes) {
+    if (!bytes || bytes.length < 16) {
+        throw new Error('Compressed RTF stream is too short');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const compressedSize = view.getUint32(0, true);
+    const rawSize = view.getUint32(4, true);
+    const compType = view.getUint32(8, true);
+    const end = Math.min(bytes.length, compressedSize + 4);
+
+    if (compType === UNCOMPRESSED_MELA) {
+        return bytesToString(bytes.subarray(16, 16 + rawSize));
+    }
+
+    if (compType !== COMPRESSED_LZFU) {
+        throw new Error('Unknown RTF compression type');
+    }
+
+    const dictionary = new Uint8Array(4096);
+    for (let i = 0; i < LZFU_PRELOAD.length; i++) {
+        dictionary[i] = LZFU_PRELOAD.charCodeAt(i);
+    }
+
+    let writePos = LZFU_PRELOAD.length;
+    const output = [];
+    let pos = 16;
+
+    while (pos < end) {
+        const control = bytes[pos++];
+
+        for (let bit = 0; bit < 8 && pos < end; bit++) {
+            if ((control & (1 << bit)) === 0) {
+                // Literal byte
+                const byte = bytes[pos++];
+                output.push(byte);
+                dictionary[writePos] = byte;
+                writePos = (writePos + 1) % 4096;
+                continue;
+            }
+
+            // Dictionary reference: 12-bit offset, 4-bit length
+            if (pos + 1 >= end) {
+                return bytesToString(output);
+            }
+            const reference = (bytes[pos] << 8) | bytes[pos + 1];
+            pos += 2;
+
+            const offset = reference >> 4;
+            const length = (reference & 0x0f) + 2;
+
+            // A reference to the write position marks the end of the stream
+            if (offset === writePos) {
+                return bytesToString(output);
+            }
+
+            for (let i = 0; i < length; i++) {
+                const byte = dictionary[(offset + i) % 4096];
+                output.push(byte);
+                dictionary[writePos] = byte;
+                writePos = (writePos + 1) % 4096;
+            }
+        }
+    }
+
+    return bytesToString(output);
+}
+
+/**
+ * Recover the HTML that Outlook encapsulated in an RTF body
+ * @param {string} rtf - RTF source (binary string)
+ * @returns {string} HTML, or empty string if the RTF does not encapsulate HTML
+ */
+export function extractHtmlFromRtf(rtf) {
+    if (!rtf || !/\\fromhtml1/.test(rtf.substring(0, 1024))) {
+        return '';
+    }
+    return interpretRtf(rtf, true);
+}
+
+/**
+ * Convert an RTF document to plain text
+ * @param {string} rtf - RTF source (binary string)
+ * @returns {string} Text
+ */
+export function rtfToText(rtf) {
+    if (!rtf) {
+        return '';
+    }
+
+    return interpretRtf(rtf, false)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Walk an RTF document and collect its output
+ * In HTML mode the output is the encapsulated HTML: \htmltag groups plus text
+ * outside \htmlrtf regions. In text mode it is the visible document text.
+ * @param {string} rtf - RTF source (binary string)
+ * @param {boolean} htmlMode - True to de-encapsulate HTML
+ * @returns {string} Output text
+ */
+function interpretRtf(rtf, htmlMode) {
+    const codepageMatch = rtf.match(/\\ansicpg(\d+)/);
+    const codepage = codepageMatch ? Number(codepageMatch[1]) : 1252;
+
+    let out = '';
+    let pendingBytes = [];
+    let state = { skip: false, htmlTag: false, uc: 1 };
+    const stack = [];
+    let suppressed = false;    // inside \htmlrtf ... \htmlrtf0
+    let skipChars = 0;         // fallback characters still to skip after \uN
+    let groupStart = false;    // the previous token opened a group
+
+    const flushBytes = () => {
+        if (pendingBytes.length > 0) {
+            out += decodeWithCodepage(new Uint8Array(pendingBytes), codepage);
+            pendingBytes = [];
+        }
+    };
+
+    const isVisible = () => !state.skip && (!htmlMode || !suppressed || state.htmlTag);
+
+    const emit = (text) => {
+        if (!isVisible()) return;
+        flushBytes();
+        out += text;
+    };
+
+    const emitByte = (byte) => {
+        if (skipChars > 0) {
+            skipChars--;
+            return;
+        }
+        if (isVisible()) {
+            pendingBytes.push(byte);
+        }
+    };
+
+    let i = 0;
+    while (i < rtf.length) {
+        const ch = rtf[i];
+
+        if (ch === '{') {
+            stack.push(state);
+            state = { ...state };
+            groupStart = true;
+            skipChars = 0;
+            i++;
+            continue;
+        }
+
+        if (ch === '}') {
+            flushBytes();
+            state = stack.pop() || { skip: false, htmlTag: false, uc: 1 };
+            groupStart = false;
+            skipChars = 0;
+            i++;
+            continue;
+        }
+
+        if (ch === '\r' || ch === '\n') {
+            i++;
+            continue;
+        }
+
+        if (ch !== '\\') {
+            groupStart = false;
+            emitByte(ch.charCodeAt(0));
+            i++;
+            continue;
+        }
+
+        // Control symbol or control word
+        const next = rtf[i + 1];
+
+        if (next === '\'') {
+            groupStart = false;
+            emitByte(parseInt(rtf.substring(i + 2, i + 4), 16) || 0);
+            i += 4;
+            continue;
+        }
+
+        if (!/[a-zA-Z]/.test(next || '')) {
+            i += 2;
+
+            if (next === '*') {
+                // Ignorable destination: hidden unless it's an HTML tag we're extracting
+                const word = (rtf.substring(i, i + 32).match(/^\\([a-zA-Z]+)/) || [])[1] || '';
+                state.htmlTag = htmlMode && word === 'htmltag';
+                if (!state.htmlTag) {
+                    state.skip = true;
+                }
+                continue;
+            }
+
+            groupStart = false;
+            if (skipChars > 0) {
+                skipChars--;
+            } else if (next === '{' || next === '}' || next === '\\') {
+                emit(next);
+            } else if (next === '~') {
+                emit(' ');
+            } else if (next === '_') {
+                emit('-');
+            } else if (next === '\r' || next === '\n') {
+                emit('\n');
+            }
+            continue;
+        }
+
+        const match = rtf.substring(i, i + 64).match(/^\\([a-zA-Z]+)(-?\d+)? ?/);
+        const word = match[1];
+        const param = match[2] !== undefined ? Number(match[2]) : null;
+        i += match[0].length;
+
+        const opensGroup = groupStart;
+        groupStart = false;
+
+        if (opensGroup && SKIPPED_DESTINATIONS.has(word)) {
+            state.skip = true;
+            continue;
+        }
+
+        switch (word) {
+            case 'htmlrtf':
+                flushBytes();
+                suppressed = param !== 0;
+                break;
+            case 'par':
+            case 'line':
+                emit(htmlMode ? '\r\n' : '\n');
+                break;
+            case 'row':
+                emit('\n');
+                break;
+            case 'tab':
+            case 'cell':
+                emit('\t');
+                break;
+            case 'uc':
+                state.uc = param === null ? 1 : param;
+                break;
+            case 'u':
+                emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+                skipChars = state.uc;
+                break;
+            case 'mhtmltag':
+                // Outlook's rewritten copy of a tag (e.g. cid: references); the original \htmltag is used
+                state.skip = true;
+                break;
+            default:
+                if (SYMBOLS[word]) {
+                    emit(SYMBOLS[word]);
+                }
+        }
+    }
+
+    flushBytes();
+    return out;
+}
+
+/**
+ * Convert bytes to a binary string (in chunks, so long bodies don't overflow the call stack)
+ * @param {Uint8Array|Array<number>} bytes - Bytes
+ * @returns {string} Binary string
+ */
+function bytesToString(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode.apply(null, Array.prototype.slice.call(bytes, i, i + 0x8000));
+    }
+    return text;
+}
@@ -0,0 +1,145 @@
+/**
+ * Search bar
+ * Free-text search and structured filters above the email chain; reports the
+ * query to the chain, which hides the cards that don't match
+ */
+
+import { parseSearchTerms } from './emailSearch.js';
+import { wallTimeToDate } from './timeZones.js';
+
+// Wait this long after the last keystroke before searching
+const TYPING_DELAY_MS = 200;
+
+export class SearchBar {
+    /**
+     * @param {Function} onChange - Called when the query changes: () => void
+     */
+    constructor(onChange) {
+        this.barEl = document.getElementById('searchBar');
+        this.textEl = document.getElementById('searchInput');
+        this.senderEl = document.getElementById('searchSender');
+        this.recipientEl = document.getElementById('searchRecipient');
+        this.dateFromEl = document.getElementById('searchDateFrom');
+        this.dateToEl = document.getElementById('searchDateTo');
+        this.attachmentsEl = document.getElementById('searchAttachments');
+        this.sourceEl = document.getElementById('searchSource');
+        this.originEl = document.getElementById('searchOrigin');
+        this.statusEl = document.getElementById('searchStatus');
+        this.clearBtn = document.getElementById('searchClearBtn');
+
+        this.onChange = onChange;
+        this.typingTimer = null;
+
+        [this.textEl, this.senderEl, this.recipientEl].forEach(input => {
+            input.addEventListener('input', () => {
+                clearTimeout(this.typingTimer);
+                this.typingTimer = setTimeout(() => this.onChange(), TYPING_DELAY_MS);
+            });
+        });
+        [this.dateFromEl, this.dateToEl, this.attachmentsEl, this.sourceEl, this.originEl].forEach(input => {
+            input.addEventListener('change', () => this.onChange());
+        });
+        this.clearBtn.addEventListener('click', () => {
+            this.reset();
+            this.onChange();
+        });
+    }
+
+    /**
+     * Read the current query
+     * Dates are whole days in the zone the cards show dates in: the "to" date includes all of that day
+     * @param {string} timeZone - IANA zone dates are shown in, or empty string for the viewer's own
+     * @returns {Object} Query for matchesSearch
+     */
+    getQuery(timeZone = '') {
+        return {
+            terms: parseSearchTerms(this.textEl.value),
+            sender: this.senderEl.value.trim(),
+            recipient: this.recipientEl.value.trim(),
+            dateFrom: readDayBoundary(this.dateFromEl.value, '00:00:00', timeZone),
+            dateTo: readDayBoundary(this.dateToEl.value, '23:59:59.999', timeZone),
+            attachments: this.attachmentsEl.value,
+            ...parseSourceChoice(this.sourceEl.value),
+            origin: this.originEl.value
+        };
+    }
+
+    /**
+     * Show the bar with the current source files and how many emails match
+     * @param {Array<string>} sourceFiles - Every file emails were found in
+     * @param {number} matchCount - Emails shown
+     * @param {number} total - Emails in the chain
+     * @param {boolean} active - True if a search term or filter is set
+     */
+    update(sourceFiles, matchCount, total, active) {
+        const selected = sourceFiles.includes(parseSourceChoice(this.sourceEl.value).sourceFile) ? this.sourceEl.value : '';
+        this.sourceEl.innerHTML = '<option value="">Any source file</option>';
+
+        // "Found in" matches every email the file held; "only found in" leaves out the
+        // ones another file held as well
+        [['in', 'Found in'], ['only', 'Only found in']].forEach(([mode, label]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            sourceFiles.forEach(file => {
+                const option = document.createElement('option');
+                option.value = `${mode}:${file}`;
+                option.textContent = mode === 'only' ? `Only in ${file}` : file;
+                group.appendChild(option);
+            });
+            this.sourceEl.appendChild(group);
+        });
+        this.sourceEl.value = selected;
+
+        this.statusEl.textContent = matchCount < total
+            ? `${matchCount} of ${total} email${total !== 1 ? 's' : ''} shown`
+            : `${total} email${total !== 1 ? 's' : ''}`;
+        this.clearBtn.disabled = !active;
+        this.barEl.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the bar (the chain is empty)
+     */
+    hide() {
+        this.barEl.classList.add('hidden');
+    }
+
+    /**
+     * Clear the search text and every filter
+     */
+    reset() {
+        clearTimeout(this.typingTimer);
+        [this.textEl, this.senderEl, this.recipientEl, this.dateFromEl, this.dateToEl].forEach(input => {
+            input.value = '';
+        });
+        [this.attachmentsEl, this.sourceEl, this.originEl].forEach(select => {
+            select.value = '';
+        });
+    }
+}
+
+/**
+ * Read a date input's day as the instant a wall-clock time on it happens
+ * @param {string} value - Date input value ("2025-03-05"), or empty string
+ * @param {string} time - Wall-clock time on that day, e.g. "00:00:00"
+ * @param {string} timeZone - IANA zone, or empty string for the viewer's own
+ * @returns {Date|null} Instant, or null if no day is set
+ */
+function readDayBoundary(value, time, timeZone) {
+    if (!value) return null;
+
+    // Without an offset the value is read in local time, so its fields are the wall time
+    const wallTime = new Date(`${value}T${time}`);
+    return timeZone ? wallTimeToDate(wallTime, { timeZone }) : wallTime;
+}
+
+/**
+ * Read the source file select's value ("in:<file>" or "only:<file>")
+ * @param {string} value - Option value
+ * @returns {Object} { sourceFile, sourceOnly }
+ */
+function parseSourceChoice(value) {
+    const separator = value.indexOf(':');
+    if (separator === -1) return { sourceFile: '', sourceOnly: false };
+    return { sourceFile: value.substring(separator + 1), sourceOnly: value.substring(0, separator) === 'only' };
+}
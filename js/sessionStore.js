@@ -0,0 +1,220 @@
+/**
+ * Session persistence
+ * Keeps the working set (emails, the original files they came from and the
+ * user's settings for them) in IndexedDB so it survives reloads and browser crashes
+ */
+
+const DB_NAME = 'email-chronology';
+const DB_VERSION = 2;
+const EMAIL_STORE = 'emails';
+const SOURCE_STORE = 'sources';
+const SETTINGS_STORE = 'settings';
+
+export class SessionStore {
+    constructor() {
+        this.db = null;
+        this.opening = null; // Pending open(); reads and writes wait for it
+    }
+
+    /**
+     * Open the database
+     * @returns {Promise<boolean>} True if persistence is available
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = this.openDatabase();
+        }
+        return this.opening;
+    }
+
+    /**
+     * Open the database (see open)
+     * @returns {Promise<boolean>} True if persistence is available
+     */
+    async openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return false;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(EMAIL_STORE)) {
+                        db.createObjectStore(EMAIL_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(SOURCE_STORE)) {
+                        db.createObjectStore(SOURCE_STORE, { autoIncrement: true });
+                    }
+                    if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                        db.createObjectStore(SETTINGS_STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            return true;
+        } catch (error) {
+            console.warn('Session persistence unavailable:', error);
+            this.db = null;
+            return false;
+        }
+    }
+
+    /**
+     * Check whether the database is open
+     * @returns {boolean} True if writes are persisted
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * Count the emails saved by a previous session
+     * @returns {Promise<number>} Number of saved emails
+     */
+    async getEmailCount() {
+        await this.opening;
+        if (!this.db) return 0;
+        return requestResult(this.transaction(EMAIL_STORE).objectStore(EMAIL_STORE).count());
+    }
+
+    /**
+     * Load the saved emails
+     * @returns {Promise<Array<Object>>} Email objects
+     */
+    async loadEmails() {
+        await this.opening;
+        if (!this.db) return [];
+        const records = await requestResult(this.transaction(EMAIL_STORE).objectStore(EMAIL_STORE).getAll());
+        return records.map(record => record.email);
+    }
+
+    /**
+     * Save emails (replacing any saved under the same id)
+     * @param {Array<Object>} entries - { id, email } pairs, id from EmailChain.generateEmailId
+     * @param {Array<string>} removedIds - Ids of emails to delete, e.g. copies merged away (default: none)
+     * @returns {Promise<void>}
+     */
+    async saveEmails(entries, removedIds = []) {
+        await this.opening;
+        if (!this.db || (entries.length === 0 && removedIds.length === 0)) return;
+
+        const transaction = this.transaction(EMAIL_STORE, 'readwrite');
+        const store = transaction.objectStore(EMAIL_STORE);
+        for (const id of removedIds) {
+            store.delete(id);
+        }
+        for (const { id, email } of entries) {
+            store.put({ id, email, savedAt: new Date() });
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Save the original files the user added, so their bytes outlive the tab
+     * A file added again replaces its earlier copy instead of being stored twice
+     * @param {Array<File|Blob>} files - Dropped or chosen files
+     * @returns {Promise<void>}
+     */
+    async saveSourceFiles(files) {
+        await this.opening;
+        if (!this.db || files.length === 0) return;
+
+        const transaction = this.transaction(SOURCE_STORE, 'readwrite');
+        const store = transaction.objectStore(SOURCE_STORE);
+        for (const file of files) {
+            store.put({ name: file.name, file, savedAt: new Date() }, `${file.name}|${file.size}|${file.lastModified || 0}`);
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Save a setting of the working set, e.g. the participant directory's merges
+     * @param {string} key - Setting name
+     * @param {*} value - Value (anything IndexedDB can clone)
+     * @returns {Promise<void>}
+     */
+    async saveSetting(key, value) {
+        await this.opening;
+        if (!this.db) return;
+
+        const transaction = this.transaction(SETTINGS_STORE, 'readwrite');
+        transaction.objectStore(SETTINGS_STORE).put(value, key);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Load a saved setting
+     * @param {string} key - Setting name
+     * @returns {Promise<*>} Value, or undefined if none was saved
+     */
+    async loadSetting(key) {
+        await this.opening;
+        if (!this.db) return undefined;
+        return requestResult(this.transaction(SETTINGS_STORE).objectStore(SETTINGS_STORE).get(key));
+    }
+
+    /**
+     * Delete everything saved
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.opening;
+        if (!this.db) return;
+
+        const transaction = this.transaction([EMAIL_STORE, SOURCE_STORE, SETTINGS_STORE], 'readwrite');
+        transaction.objectStore(EMAIL_STORE).clear();
+        transaction.objectStore(SOURCE_STORE).clear();
+        transaction.objectStore(SETTINGS_STORE).clear();
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Estimate how much storage the app uses
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if the browser can't tell
+     */
+    async estimateUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage: usage || 0, quota: quota || 0 };
+    }
+
+    /**
+     * Start a transaction
+     * @param {string|Array<string>} stores - Object store names
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @returns {IDBTransaction} Transaction
+     */
+    transaction(stores, mode = 'readonly') {
+        return this.db.transaction(stores, mode);
+    }
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
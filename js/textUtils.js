@@ -3,6 +3,9 @@
  * Handles text cleaning and date parsing
  */
 
+import { extractTimeZone, wallTimeToDate, getLocalTimeZone } from './timeZones.js';
+import { normalizeDateWords } from './dateWords.js';
+
 /**
  * Clean email text by removing mailto: links and extra whitespace
  * @param {string} text - Text to clean
@@ -26,11 +29,109 @@ export function cleanEmailText(text) {
 
 /**
  * Parse dates in various formats
- * Handles: "Mon, Jan 6, 2025, 9:26 AM", "January 9, 2025 7:06 PM", etc.
+ * Handles: "Mon, Jan 6, 2025, 9:26 AM", "January 9, 2025 7:06 PM", etc., and the
+ * same in French, German, Spanish, Dutch and Portuguese ("lundi 6 janvier 2025 09:26")
+ * The zone written in the date is honoured; without one the viewer's zone is assumed
  * @param {string} dateStr - Date string
  * @returns {Date|null} Parsed date or null
  */
 export function parseFlexibleDate(dateStr) {
+    const parsed = parseZonedDate(dateStr);
+    return parsed ? parsed.date : null;
+}
+
+/**
+ * Parse a date and report the time zone it was read in
+ * Understands numeric offsets ("-0500", "GMT+1"), abbreviations ("PST"), Windows
+ * zone names and Outlook's "(UTC-05:00) Eastern Time (US & Canada)" labels.
+ * Numeric dates like "03/04/2025" are read month first unless that's impossible;
+ * when either order would do, both readings are returned
+ * @param {string} dateStr - Date string
+ * @returns {Object|null} { date, timeZone, zoneAssumed, dateOrder, readings } - timeZone
+ *   is the zone's label; zoneAssumed is true when the string had none and the viewer's
+ *   zone was used; dateOrder is 'mdy' or 'dmy' for numeric dates whose order is certain;
+ *   readings is { mdy, dmy } for numeric dates whose order is ambiguous
+ */
+export function parseZonedDate(dateStr) {
+    if (!dateStr) return null;
+
+    const { text, zone } = extractTimeZone(dateStr.trim());
+    const cleaned = normalizeDateWords(text);
+    const numeric = parseNumericDate(cleaned);
+    const wallTime = numeric ? (numeric.mdy || numeric.dmy) : parseLocalDate(cleaned);
+    if (!wallTime) return null;
+
+    const toDate = (wall) => (zone ? wallTimeToDate(wall, zone) : wall);
+    const result = {
+        date: toDate(wallTime),
+        timeZone: zone ? zone.label : getLocalTimeZone(),
+        zoneAssumed: !zone,
+        dateOrder: null,
+        readings: null
+    };
+
+    if (numeric && numeric.mdy && numeric.dmy && numeric.mdy !== numeric.dmy) {
+        result.readings = { mdy: toDate(numeric.mdy), dmy: toDate(numeric.dmy) };
+    } else if (numeric && numeric.mdy !== numeric.dmy) {
+        result.dateOrder = numeric.mdy ? 'mdy' : 'dmy';
+    }
+    return result;
+}
+
+/**
+ * Parse an all-numeric date ("03/04/2025 10:12", "13.04.25 9:05 PM") as local wall-clock time
+ * @param {string} dateStr - Date string without a zone
+ * @returns {Object|null} { mdy, dmy } - the date read month first and day first
+ *   (null where that reading is impossible; the same Date when both orders agree),
+ *   or null if the string isn't a numeric date
+ */
+function parseNumericDate(dateStr) {
+    const match = dateStr.match(/^(?:[A-Za-z]+,?\s+)?(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?![\d/.-])(.*)$/);
+    if (!match) return null;
+
+    const first = Number(match[1]);
+    const second = Number(match[3]);
+    let year = Number(match[4]);
+    if (match[4].length === 2) {
+        year += year < 70 ? 2000 : 1900;
+    }
+
+    let hours = 0;
+    let minutes = 0;
+    let seconds = 0;
+    const time = match[5].match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s?m?\.?/i);
+    if (time) {
+        hours = Number(time[1]);
+        minutes = Number(time[2]);
+        seconds = Number(time[3] || 0);
+        const meridiem = (time[4] || '').toLowerCase();
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+    } else if (match[5].trim()) {
+        return null;
+    }
+
+    const build = (month, day) => {
+        const date = new Date(year, month - 1, day, hours, minutes, seconds);
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    };
+
+    if (first === second) {
+        const date = build(first, second);
+        return date ? { mdy: date, dmy: date } : null;
+    }
+
+    const mdy = build(first, second);
+    const dmy = build(second, first);
+    return mdy || dmy ? { mdy, dmy } : null;
+}
+
+/**
+ * Parse a date without a zone as local wall-clock time
+ * @param {string} dateStr - Date string
+ * @returns {Date|null} Parsed date or null
+ */
+function parseLocalDate(dateStr) {
     if (!dateStr) return null;
 
     // Try standard parsing first
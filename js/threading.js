@@ -0,0 +1,242 @@
+/**
+ * Conversation threading
+ * Reads Message-ID, In-Reply-To, References and Outlook's ConversationIndex
+ * (Thread-Index) from messages, and builds the reply tree of the chain
+ */
+
+import { parseHeaders, getHeader } from './mimeParser.js';
+import { base64ToBytes } from './base64.js';
+
+// A ConversationIndex is a 22-byte header followed by one 5-byte block per reply
+const CONVERSATION_HEADER_HEX = 44;
+const CONVERSATION_BLOCK_HEX = 10;
+
+// How each reply was linked to its parent, strongest first
+const LINK_DESCRIPTIONS = {
+    'in-reply-to': 'In-Reply-To header',
+    'references': 'References header',
+    'conversation-index': 'Outlook conversation index',
+    'chain': 'position in a forwarded chain'
+};
+
+/**
+ * Threading fields of a message from msgreader-style fields (.msg files and .pst/.ost messages)
+ * Falls back to the transport headers for anything the properties don't carry
+ * @param {Object} fields - Message fields; inReplyToId, references and conversationIndex
+ *   are filled in by observeThreadingProperty for .msg files
+ * @returns {Object} { messageId, inReplyTo, references, conversationIndex }
+ */
+export function getThreadingFromFields(fields) {
+    const headers = parseHeaders(fields.headers || '');
+    const fromHeaders = getThreadingFromHeaders(headers);
+
+    return {
+        messageId: parseMessageIds(fields.messageId)[0] || fromHeaders.messageId,
+        inReplyTo: parseMessageIds(fields.inReplyToId)[0] || fromHeaders.inReplyTo,
+        references: fields.references ? parseMessageIds(fields.references) : fromHeaders.references,
+        conversationIndex: fields.conversationIndex instanceof Uint8Array
+            ? bytesToHex(fields.conversationIndex)
+            : fromHeaders.conversationIndex
+    };
+}
+
+/**
+ * Threading fields of a message from its internet headers
+ * @param {Array<Object>} headers - Headers from parseHeaders / parseMimeMessage
+ * @returns {Object} { messageId, inReplyTo, references, conversationIndex }
+ */
+export function getThreadingFromHeaders(headers) {
+    return {
+        messageId: parseMessageIds(getHeader(headers, 'message-id'))[0] || '',
+        inReplyTo: parseMessageIds(getHeader(headers, 'in-reply-to'))[0] || '',
+        references: parseMessageIds(getHeader(headers, 'references')),
+        conversationIndex: decodeThreadIndex(getHeader(headers, 'thread-index'))
+    };
+}
+
+/**
+ * msgreader property observer that keeps the threading properties msgreader doesn't decode
+ * Set as MsgReader.parserConfig.propertyObserver before calling getFileData
+ * @param {Object} fields - Fields object being filled (the message, or an embedded message)
+ * @param {number} tag - Property tag
+ * @param {Uint8Array|null} raw - Property value
+ */
+export function observeThreadingProperty(fields, tag, raw) {
+    if (!raw) return;
+
+    switch (tag) {
+        case 0x00710102:    // PidTagConversationIndex
+            fields.conversationIndex = Uint8Array.from(raw);
+            break;
+        case 0x1042001f:    // PidTagInReplyToId
+        case 0x1042001e:
+            fields.inReplyToId = decodePropertyString(raw, tag);
+            break;
+        case 0x1039001f:    // PidTagInternetReferences
+        case 0x1039001e:
+            fields.references = decodePropertyString(raw, tag);
+            break;
+    }
+}
+
+/**
+ * Build the reply tree of a set of emails
+ * Each email's parent is found by In-Reply-To, then References, then Outlook's
+ * conversation index, then its position in a forwarded chain
+ * @param {Array<Object>} emails - Emails in chronological order
+ * @returns {Array<Object>} Thread roots: { email, parent, link, children } nodes, in input order
+ */
+export function buildThreads(emails) {
+    const nodes = new Map(emails.map(email => [email, { email, parent: null, link: null, children: [] }]));
+    const byMessageId = new Map();
+    const byConversationIndex = new Map();
+    const byChainPosition = new Map();
+
+    for (const email of emails) {
+        if (email.messageId && !byMessageId.has(email.messageId)) {
+            byMessageId.set(email.messageId, email);
+        }
+        if (email.conversationIndex && !byConversationIndex.has(email.conversationIndex)) {
+            byConversationIndex.set(email.conversationIndex, email);
+        }
+        for (const source of email.sources || []) {
+            if (source.chainIndex !== null && source.chainIndex !== undefined) {
+                byChainPosition.set(chainKey(source.file, source.chainIndex), email);
+            }
+        }
+    }
+
+    const findParent = (email) => {
+        if (email.inReplyTo && byMessageId.has(email.inReplyTo)) {
+            return { parent: byMessageId.get(email.inReplyTo), link: 'in-reply-to' };
+        }
+
+        const references = email.references || [];
+        for (let i = references.length - 1; i >= 0; i--) {
+            if (byMessageId.has(references[i])) {
+                return { parent: byMessageId.get(references[i]), link: 'references' };
+            }
+        }
+
+        // Drop reply blocks until an earlier message of the conversation is found
+        const index = email.conversationIndex || '';
+        for (let length = index.length - CONVERSATION_BLOCK_HEX; length >= CONVERSATION_HEADER_HEX; length -= CONVERSATION_BLOCK_HEX) {
+            const parent = byConversationIndex.get(index.substring(0, length));
+            if (parent) {
+                return { parent, link: 'conversation-index' };
+            }
+        }
+
+        // In a forwarded chain, each message replies to the one quoted below it
+        for (const source of email.sources || []) {
+            if (source.chainIndex !== null && source.chainIndex !== undefined) {
+                const parent = byChainPosition.get(chainKey(source.file, source.chainIndex + 1));
+                if (parent) {
+                    return { parent, link: 'chain' };
+                }
+            }
+        }
+
+        return null;
+    };
+
+    for (const email of emails) {
+        const found = findParent(email);
+        if (!found || found.parent === email) continue;
+
+        const node = nodes.get(email);
+        const parentNode = nodes.get(found.parent);
+
+        // Ignore links that would make a loop
+        let ancestor = parentNode;
+        while (ancestor && ancestor !== node) {
+            ancestor = ancestor.parent;
+        }
+        if (ancestor === node) continue;
+
+        node.parent = parentNode;
+        node.link = found.link;
+    }
+
+    // Attach children in input (chronological) order
+    const roots = [];
+    for (const email of emails) {
+        const node = nodes.get(email);
+        (node.parent ? node.parent.children : roots).push(node);
+    }
+    return roots;
+}
+
+/**
+ * Flatten a reply tree depth-first, for display
+ * @param {Array<Object>} roots - Result of buildThreads
+ * @returns {Array<Object>} { email, depth, parent, link } entries; parent is the parent email or null
+ */
+export function flattenThreads(roots) {
+    const entries = [];
+
+    const visit = (node, depth) => {
+        entries.push({
+            email: node.email,
+            depth,
+            parent: node.parent ? node.parent.email : null,
+            link: node.link
+        });
+        node.children.forEach(child => visit(child, depth + 1));
+    };
+
+    roots.forEach(root => visit(root, 0));
+    return entries;
+}
+
+/**
+ * Describe how a reply was linked to its parent
+ * @param {string} link - Link type from buildThreads
+ * @returns {string} Description
+ */
+export function describeThreadLink(link) {
+    return LINK_DESCRIPTIONS[link] || '';
+}
+
+/**
+ * Extract message ids from a header or property value, without angle brackets
+ * @param {string} value - e.g. "<a@x> <b@y>"
+ * @returns {Array<string>} Ids
+ */
+function parseMessageIds(value) {
+    if (!value) return [];
+
+    const bracketed = value.match(/<[^<>\s]+>/g);
+    if (bracketed) {
+        return bracketed.map(id => id.slice(1, -1));
+    }
+    return value.split(/\s+/).filter(id => id.includes('@'));
+}
+
+/**
+ * Decode a base64 Thread-Index header to a hex conversation index
+ */
+function decodeThreadIndex(value) {
+    if (!value) return '';
+    try {
+        return bytesToHex(base64ToBytes(value.replace(/\s+/g, '')));
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Decode a string property (UTF-16LE for PT_UNICODE, single-byte for PT_STRING8)
+ */
+function decodePropertyString(raw, tag) {
+    const encoding = (tag & 0xffff) === 0x001f ? 'utf-16le' : 'windows-1252';
+    return new TextDecoder(encoding).decode(Uint8Array.from(raw)).replace(/\0+$/, '');
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function chainKey(file, chainIndex) {
+    return `${file}\u0000${chainIndex}`;
+}
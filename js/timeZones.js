@@ -0,0 +1,287 @@
+/**
+ * Time zone handling
+ * Recognises the zone written in a quoted date (numeric offsets, abbreviations like
+ * "PST", Windows names like "Eastern Standard Time" and Outlook's
+ * "(UTC-05:00) Eastern Time (US & Canada)" labels) and converts wall-clock times
+ * in a zone to instants
+ */
+
+// Abbreviations are read literally ("PST" is always UTC-8, even in summer).
+// Ambiguous ones take their most common meaning in email: CST is US Central, IST is India
+const ZONE_ABBREVIATIONS = {
+    UT: 0, UTC: 0, GMT: 0, Z: 0,
+    EST: -300, EDT: -240,
+    CST: -360, CDT: -300,
+    MST: -420, MDT: -360,
+    PST: -480, PDT: -420,
+    AKST: -540, AKDT: -480,
+    HST: -600,
+    AST: -240, ADT: -180,
+    NST: -210, NDT: -150,
+    WET: 0, WEST: 60,
+    BST: 60, IST: 330,
+    CET: 60, CEST: 120, MET: 60, MEST: 120,
+    EET: 120, EEST: 180,
+    MSK: 180,
+    SGT: 480, HKT: 480,
+    JST: 540, KST: 540,
+    AWST: 480,
+    ACST: 570, ACDT: 630,
+    AEST: 600, AEDT: 660,
+    NZST: 720, NZDT: 780
+};
+
+// Windows zone names and Outlook's "(UTC±hh:mm) ..." label texts -> IANA zones
+const NAMED_ZONES = {
+    'eastern standard time': 'America/New_York',
+    'eastern daylight time': 'America/New_York',
+    'eastern time (us & canada)': 'America/New_York',
+    'central standard time': 'America/Chicago',
+    'central daylight time': 'America/Chicago',
+    'central time (us & canada)': 'America/Chicago',
+    'mountain standard time': 'America/Denver',
+    'mountain daylight time': 'America/Denver',
+    'mountain time (us & canada)': 'America/Denver',
+    'us mountain standard time': 'America/Phoenix',
+    'arizona': 'America/Phoenix',
+    'pacific standard time': 'America/Los_Angeles',
+    'pacific daylight time': 'America/Los_Angeles',
+    'pacific time (us & canada)': 'America/Los_Angeles',
+    'alaskan standard time': 'America/Anchorage',
+    'alaska': 'America/Anchorage',
+    'hawaiian standard time': 'Pacific/Honolulu',
+    'hawaii': 'Pacific/Honolulu',
+    'atlantic standard time': 'America/Halifax',
+    'atlantic time (canada)': 'America/Halifax',
+    'e. south america standard time': 'America/Sao_Paulo',
+    'brasilia': 'America/Sao_Paulo',
+    'utc': 'UTC',
+    'coordinated universal time': 'UTC',
+    'gmt standard time': 'Europe/London',
+    'dublin, edinburgh, lisbon, london': 'Europe/London',
+    'w. europe standard time': 'Europe/Berlin',
+    'amsterdam, berlin, bern, rome, stockholm, vienna': 'Europe/Berlin',
+    'romance standard time': 'Europe/Paris',
+    'brussels, copenhagen, madrid, paris': 'Europe/Paris',
+    'central europe standard time': 'Europe/Budapest',
+    'belgrade, bratislava, budapest, ljubljana, prague': 'Europe/Budapest',
+    'central european standard time': 'Europe/Warsaw',
+    'sarajevo, skopje, warsaw, zagreb': 'Europe/Warsaw',
+    'gtb standard time': 'Europe/Bucharest',
+    'athens, bucharest': 'Europe/Bucharest',
+    'fle standard time': 'Europe/Helsinki',
+    'helsinki, kyiv, riga, sofia, tallinn, vilnius': 'Europe/Helsinki',
+    'russian standard time': 'Europe/Moscow',
+    'moscow, st. petersburg': 'Europe/Moscow',
+    'israel standard time': 'Asia/Jerusalem',
+    'jerusalem': 'Asia/Jerusalem',
+    'arabian standard time': 'Asia/Dubai',
+    'abu dhabi, muscat': 'Asia/Dubai',
+    'india standard time': 'Asia/Kolkata',
+    'chennai, kolkata, mumbai, new delhi': 'Asia/Kolkata',
+    'china standard time': 'Asia/Shanghai',
+    'beijing, chongqing, hong kong, urumqi': 'Asia/Shanghai',
+    'singapore standard time': 'Asia/Singapore',
+    'kuala lumpur, singapore': 'Asia/Singapore',
+    'tokyo standard time': 'Asia/Tokyo',
+    'osaka, sapporo, tokyo': 'Asia/Tokyo',
+    'korea standard time': 'Asia/Seoul',
+    'seoul': 'Asia/Seoul',
+    'aus eastern standard time': 'Australia/Sydney',
+    'canberra, melbourne, sydney': 'Australia/Sydney',
+    'e. australia standard time': 'Australia/Brisbane',
+    'brisbane': 'Australia/Brisbane',
+    'new zealand standard time': 'Pacific/Auckland',
+    'auckland, wellington': 'Pacific/Auckland'
+};
+
+// Longest first, so "AUS Eastern Standard Time" isn't read as "Eastern Standard Time"
+const ZONE_NAMES_IN_TEXT = Object.keys(NAMED_ZONES)
+    .filter(name => name.includes(' '))
+    .sort((a, b) => b.length - a.length);
+
+/**
+ * Zones offered by the display time zone selector (besides the viewer's own)
+ */
+export const DISPLAY_TIME_ZONES = [
+    'UTC',
+    'America/Los_Angeles',
+    'America/Denver',
+    'America/Chicago',
+    'America/New_York',
+    'America/Sao_Paulo',
+    'Europe/London',
+    'Europe/Paris',
+    'Europe/Berlin',
+    'Europe/Helsinki',
+    'Europe/Moscow',
+    'Asia/Dubai',
+    'Asia/Kolkata',
+    'Asia/Singapore',
+    'Asia/Shanghai',
+    'Asia/Tokyo',
+    'Australia/Sydney',
+    'Pacific/Auckland'
+];
+
+const TIME = String.raw`\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:\s*[ap]\.?\s?m\.?)?`;
+
+// "(UTC-05:00) Eastern Time (US & Canada)" - the label runs to the end of the string
+const OUTLOOK_LABEL = /\(\s*(?:UTC|GMT)\s*(?:([+-])\s*(\d{1,2})(?::?(\d{2}))?)?\s*\)\s*(.*)$/i;
+// "10:00 -0500", "10:00:00+01:00", "10:00 GMT+1", "10:00 UTC+05:30"
+const TIME_OFFSET = new RegExp(String.raw`(${TIME})\s*(?:\(?\s*(?:UTC|GMT)\s*)?([+-])(\d{1,2})(?::?(\d{2}))?\)?(?![\d:])`, 'i');
+// "GMT+1" or "UTC-05:00" without a time in front of it
+const PREFIXED_OFFSET = /\b(?:UTC|GMT)\s*([+-])(\d{1,2})(?::?(\d{2}))?\b/i;
+// "10:00Z" (ISO 8601)
+const TIME_ZULU = new RegExp(String.raw`(${TIME})Z\b`);
+const ABBREVIATION = new RegExp(String.raw`\(?\b(${Object.keys(ZONE_ABBREVIATIONS).filter(name => name !== 'Z').join('|')})\b\)?`);
+
+const offsetFormatters = new Map();
+
+/**
+ * Find the time zone written in a date string
+ * @param {string} dateStr - Date string
+ * @returns {Object} { text, zone } - text is the date without the zone; zone is
+ *   { offset } in minutes east of UTC, or { timeZone } (IANA name), with a display
+ *   label; zone is null when the string names no zone
+ */
+export function extractTimeZone(dateStr) {
+    let match = dateStr.match(OUTLOOK_LABEL);
+    if (match) {
+        const text = dateStr.substring(0, match.index);
+        const timeZone = findNamedZone(match[4]);
+        if (timeZone) {
+            return { text, zone: { timeZone, label: timeZone } };
+        }
+        const offset = match[1] ? toOffset(match[1], match[2], match[3]) : 0;
+        return { text, zone: { offset, label: formatOffset(offset) } };
+    }
+
+    match = dateStr.match(TIME_OFFSET);
+    if (match) {
+        const offset = toOffset(match[2], match[3], match[4]);
+        // An abbreviation after the offset, as in "+0100 (CET)", only repeats it
+        const text = removeMatch(dateStr, match, match[1]).replace(/\s*\([A-Za-z .&]+\)\s*$/, '');
+        return { text, zone: { offset, label: formatOffset(offset) } };
+    }
+
+    match = dateStr.match(TIME_ZULU);
+    if (match) {
+        return { text: removeMatch(dateStr, match, match[1]), zone: { offset: 0, label: 'UTC' } };
+    }
+
+    match = dateStr.match(PREFIXED_OFFSET);
+    if (match) {
+        const offset = toOffset(match[1], match[2], match[3]);
+        return { text: removeMatch(dateStr, match), zone: { offset, label: formatOffset(offset) } };
+    }
+
+    // Windows zone names, e.g. "9:26 AM Eastern Standard Time"
+    const lower = dateStr.toLowerCase();
+    for (const name of ZONE_NAMES_IN_TEXT) {
+        const index = lower.indexOf(name);
+        if (index > 0) {
+            const text = dateStr.substring(0, index) + dateStr.substring(index + name.length);
+            return { text: text.replace(/\(\s*\)/, ''), zone: { timeZone: NAMED_ZONES[name], label: NAMED_ZONES[name] } };
+        }
+    }
+
+    match = dateStr.match(ABBREVIATION);
+    if (match) {
+        return { text: removeMatch(dateStr, match), zone: { offset: ZONE_ABBREVIATIONS[match[1]], label: match[1] } };
+    }
+
+    return { text: dateStr, zone: null };
+}
+
+/**
+ * Convert a wall-clock time in a zone to an instant
+ * @param {Date} wallTime - Date whose local fields hold the wall-clock time
+ * @param {Object} zone - Zone from extractTimeZone
+ * @returns {Date} Instant
+ */
+export function wallTimeToDate(wallTime, zone) {
+    const asUtc = Date.UTC(
+        wallTime.getFullYear(), wallTime.getMonth(), wallTime.getDate(),
+        wallTime.getHours(), wallTime.getMinutes(), wallTime.getSeconds(), wallTime.getMilliseconds()
+    );
+
+    if (zone.timeZone === undefined) {
+        return new Date(asUtc - zone.offset * 60000);
+    }
+
+    // The zone's offset at the guessed instant, corrected once for a DST change in between
+    let offset = getZoneOffset(asUtc, zone.timeZone);
+    const corrected = getZoneOffset(asUtc - offset * 60000, zone.timeZone);
+    if (corrected !== offset) {
+        offset = corrected;
+    }
+    return new Date(asUtc - offset * 60000);
+}
+
+/**
+ * The viewer's own time zone
+ * @returns {string} IANA zone name
+ */
+export function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * A zone's offset from UTC at an instant
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Minutes east of UTC
+ */
+function getZoneOffset(timestamp, timeZone) {
+    if (!offsetFormatters.has(timeZone)) {
+        offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    offsetFormatters.get(timeZone).formatToParts(new Date(timestamp))
+        .forEach(part => { parts[part.type] = Number(part.value); });
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - (timestamp - (timestamp % 1000))) / 60000);
+}
+
+/**
+ * Look up an Outlook zone label ("Eastern Time (US & Canada)"), allowing for truncation
+ */
+function findNamedZone(label) {
+    const name = label.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!name) return null;
+    if (NAMED_ZONES[name]) return NAMED_ZONES[name];
+
+    const key = Object.keys(NAMED_ZONES).find(candidate => candidate.startsWith(name) || name.startsWith(candidate));
+    return key ? NAMED_ZONES[key] : null;
+}
+
+function toOffset(sign, hours, minutes) {
+    const offset = Number(hours) * 60 + Number(minutes || 0);
+    return sign === '-' ? -offset : offset;
+}
+
+function formatOffset(offset) {
+    if (offset === 0) return 'UTC';
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Remove a zone match from a string, keeping the part of it that isn't the zone
+ */
+function removeMatch(str, match, keep = '') {
+    return str.substring(0, match.index) + keep + str.substring(match.index + match[0].length);
+}
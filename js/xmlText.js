@@ -0,0 +1,22 @@
+/**
+ * XML text escaping
+ * Shared by the .docx and .xlsx exports, so both write email text the same way
+ */
+
+// Characters XML 1.0 does not allow, which occasionally survive in email headers and bodies
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for XML content, dropping characters XML cannot represent
+ * @param {string} text - Text
+ * @param {number} maxLength - Longest text to keep, counted before escaping (default: no limit)
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text, maxLength = Infinity) {
+    return text
+        .replace(INVALID_XML_CHARS, '')
+        .substring(0, maxLength)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
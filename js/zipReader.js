@@ -0,0 +1,261 @@
+/**
+ * .zip archive reader
+ * Unpacks zip archives in the browser and extracts the email files they contain,
+ * recursing into nested zips
+ *
+ * Supports stored and deflated entries (via DecompressionStream) and ZIP64 archives.
+ * Encrypted entries are skipped.
+ */
+
+import { createNamedBlob, getFileExtension, isSupportedFile } from './fileTypes.js';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Nested archives deeper than this are ignored (guards against zip bombs)
+const MAX_NESTING_DEPTH = 8;
+
+/**
+ * Read a zip archive and return its email files as named blobs
+ * Blob names keep the archive path, e.g. "Production.zip › Custodian A/Re_ Offer.msg"
+ * @param {File|Blob} file - Zip archive
+ * @returns {Promise<Object>} { files: Array<Blob>, skipped: number }
+ */
+export async function readZipArchive(file) {
+    const result = { files: [], skipped: 0 };
+    await collectEntries(file, file.name, 0, result);
+    return result;
+}
+
+/**
+ * Add the supported entries of an archive to the result, recursing into nested zips
+ * @param {Blob} blob - Zip archive content
+ * @param {string} label - Display path of the archive
+ * @param {number} depth - Nesting depth
+ * @param {Object} result - Result being assembled
+ */
+async function collectEntries(blob, label, depth, result) {
+    const entries = await readCentralDirectory(blob);
+
+    for (const entry of entries) {
+        if (entry.isDirectory || isMetadataEntry(entry.name)) {
+            continue;
+        }
+
+        const extension = getFileExtension(entry.name);
+        const isNestedZip = extension === '.zip';
+
+        if (!isSupportedFile(entry.name) || entry.encrypted || (isNestedZip && depth >= MAX_NESTING_DEPTH)) {
+            result.skipped++;
+            continue;
+        }
+
+        try {
+            const content = await readEntry(blob, entry);
+            const entryLabel = `${label} › ${entry.name}`;
+
+            if (isNestedZip) {
+                await collectEntries(content, entryLabel, depth + 1, result);
+            } else {
+                const type = extension === '.eml' ? 'message/rfc822' : '';
+                result.files.push(createNamedBlob([content], entryLabel, type));
+            }
+        } catch (error) {
+            console.error(`Error extracting ${entry.name}:`, error);
+            result.skipped++;
+        }
+    }
+}
+
+/**
+ * Read the central directory of a zip archive
+ * @param {Blob} blob - Zip archive content
+ * @returns {Promise<Array<Object>>} Entries: { name, method, compressedSize, localOffset, encrypted, isDirectory }
+ * @throws {Error} If the archive is not a valid zip
+ */
+async function readCentralDirectory(blob) {
+    const tailSize = Math.min(blob.size, 65557);
+    const tail = await readBytes(blob, blob.size - tailSize, tailSize);
+    const eocd = findSignatureFromEnd(tail, EOCD_SIGNATURE);
+
+    if (eocd === -1) {
+        throw new Error('Not a valid zip archive');
+    }
+
+    const view = toView(tail);
+    let entryCount = view.getUint16(eocd + 10, true);
+    let directorySize = view.getUint32(eocd + 12, true);
+    let directoryOffset = view.getUint32(eocd + 16, true);
+
+    // ZIP64: the real values live in the ZIP64 end of central directory record
+    const locator = eocd - 20;
+    if (locator >= 0 && view.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+        const zip64Offset = readUint64(view, locator + 8);
+        const zip64 = toView(await readBytes(blob, zip64Offset, 56));
+
+        if (zip64.getUint32(0, true) === ZIP64_EOCD_SIGNATURE) {
+            entryCount = readUint64(zip64, 32);
+            directorySize = readUint64(zip64, 40);
+            directoryOffset = readUint64(zip64, 48);
+        }
+    }
+
+    const directory = await readBytes(blob, directoryOffset, directorySize);
+    const directoryView = toView(directory);
+    const entries = [];
+    let position = 0;
+
+    for (let i = 0; i < entryCount && position + 46 <= directory.length; i++) {
+        if (directoryView.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+            break;
+        }
+
+        const flags = directoryView.getUint16(position + 8, true);
+        const nameLength = directoryView.getUint16(position + 28, true);
+        const extraLength = directoryView.getUint16(position + 30, true);
+        const commentLength = directoryView.getUint16(position + 32, true);
+        const nameBytes = directory.subarray(position + 46, position + 46 + nameLength);
+        const extra = directory.subarray(position + 46 + nameLength, position + 46 + nameLength + extraLength);
+
+        const entry = {
+            name: decodeFileName(nameBytes, (flags & 0x0800) !== 0),
+            method: directoryView.getUint16(position + 10, true),
+            compressedSize: directoryView.getUint32(position + 20, true),
+            uncompressedSize: directoryView.getUint32(position + 24, true),
+            localOffset: directoryView.getUint32(position + 42, true),
+            encrypted: (flags & 0x0001) !== 0
+        };
+        entry.isDirectory = entry.name.endsWith('/');
+
+        applyZip64Extra(entry, extra);
+        entries.push(entry);
+
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Replace 0xFFFFFFFF sizes/offsets with the values from the ZIP64 extra field
+ * @param {Object} entry - Central directory entry
+ * @param {Uint8Array} extra - Extra field bytes
+ */
+function applyZip64Extra(entry, extra) {
+    const view = toView(extra);
+    let position = 0;
+
+    while (position + 4 <= extra.length) {
+        const id = view.getUint16(position, true);
+        const size = view.getUint16(position + 2, true);
+
+        if (id === 0x0001) {
+            let field = position + 4;
+            for (const key of ['uncompressedSize', 'compressedSize', 'localOffset']) {
+                if (entry[key] === 0xffffffff && field + 8 <= position + 4 + size) {
+                    entry[key] = readUint64(view, field);
+                    field += 8;
+                }
+            }
+            return;
+        }
+
+        position += 4 + size;
+    }
+}
+
+/**
+ * Extract the content of an entry
+ * @param {Blob} blob - Zip archive content
+ * @param {Object} entry - Central directory entry
+ * @returns {Promise<Blob>} Uncompressed entry content
+ * @throws {Error} If the compression method is not supported
+ */
+async function readEntry(blob, entry) {
+    const header = toView(await readBytes(blob, entry.localOffset, 30));
+
+    if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error('Invalid local file header');
+    }
+
+    const dataStart = entry.localOffset + 30 +
+        header.getUint16(26, true) + header.getUint16(28, true);
+    const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+    switch (entry.method) {
+        case 0:     // Stored
+            return data;
+        case 8:     // Deflated
+            return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        default:
+            throw new Error(`Unsupported compression method ${entry.method}`);
+    }
+}
+
+/**
+ * Skip macOS resource forks and similar archive metadata
+ * @param {string} name - Entry path
+ * @returns {boolean} True for metadata entries
+ */
+function isMetadataEntry(name) {
+    const baseName = name.split('/').pop();
+    return name.startsWith('__MACOSX/') || baseName.startsWith('._');
+}
+
+/**
+ * Decode an entry name: UTF-8 when flagged (or valid), otherwise code page 437/Latin-1
+ * @param {Uint8Array} bytes - Name bytes
+ * @param {boolean} isUtf8 - General purpose flag bit 11
+ * @returns {string} File name
+ */
+function decodeFileName(bytes, isUtf8) {
+    try {
+        return new TextDecoder('utf-8', { fatal: !isUtf8 }).decode(bytes);
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+/**
+ * Find the last occurrence of a 4-byte little-endian signature
+ * @param {Uint8Array} bytes - Bytes to search
+ * @param {number} signature - Signature
+ * @returns {number} Offset, or -1 if absent
+ */
+function findSignatureFromEnd(bytes, signature) {
+    const view = toView(bytes);
+    for (let i = bytes.length - 22; i >= 0; i--) {
+        if (view.getUint32(i, true) === signature) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Read a byte range of a blob
+ * @param {Blob} blob - Source blob
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Uint8Array>} Bytes
+ */
+async function readBytes(blob, offset, length) {
+    return new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+}
+
+/**
+ * Read an unsigned 64-bit little-endian value as a Number
+ */
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/**
+ * Create a DataView over a byte array
+ */
+function toView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
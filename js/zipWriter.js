@@ -0,0 +1,104 @@
+/**
+ * Zip writer
+ * Packs generated files into an uncompressed (stored) zip archive, the
+ * container format used by .docx and .xlsx documents
+ */
+
+const textEncoder = new TextEncoder();
+let crcTable = null;
+
+/**
+ * Build a zip archive
+ * @param {Array<Object>} entries - Files to store: { name, content } where content is a string (written as UTF-8) or Uint8Array
+ * @returns {Blob} Zip archive
+ */
+export function createZip(entries) {
+    const parts = [];
+    const centralDirectory = [];
+    const { time, date } = toDosDateTime(new Date());
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = textEncoder.encode(entry.name);
+        const data = typeof entry.content === 'string' ? textEncoder.encode(entry.content) : entry.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // local file header signature
+        local.setUint16(4, 20, true);           // version needed (2.0)
+        local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+        local.setUint16(8, 0, true);            // method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central directory header signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // local header offset
+
+        parts.push(local, name, data);
+        centralDirectory.push(central, name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // end of central directory signature
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * CRC-32 checksum (IEEE polynomial, as used by zip)
+ * @param {Uint8Array} data - Bytes
+ * @returns {number} Unsigned checksum
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} value - Date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(value) {
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((Math.max(value.getFullYear(), 1980) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}